@@ -2,13 +2,35 @@
 import { assign } from 'ember-platform';
 import { bind, next } from 'ember-runloop';
 import { camelize } from 'ember-string';
+import { guidFor } from 'ember-metal/utils';
 import { pluralize } from 'ember-inflector';
+import { InvalidError } from 'ember-data/adapters/errors';
 import Adapter from 'ember-data/adapter';
+import Ember from 'ember';
+import EmberObject from 'ember-object';
 import RSVP from 'rsvp';
 import computed from 'ember-computed';
 import getOwner from 'ember-owner/get';
 import inject from 'ember-service/inject';
 
+import firebase from 'firebase';
+
+import {
+  ConflictError,
+  TransactionAbortedError,
+  createInvalidError,
+  createNotFoundError,
+  getInvalidPath,
+  toAdapterError,
+} from '../errors';
+import { onDestroy, onRecordUnload } from '../utils/record-lifecycle';
+import createRecordSnapshot from '../utils/record-snapshot';
+import matchesWhere from '../utils/where';
+import resolvePathTemplate from '../utils/path-template';
+import stableStringify from '../utils/stable-stringify';
+
+const { ObjectProxy } = Ember;
+
 /**
  * @class FirebaseFlex
  * @namespace Adapter
@@ -24,6 +46,13 @@ export default Adapter.extend({
    */
   firebase: inject(),
 
+  /**
+   * @type {Ember.Service}
+   * @default
+   * @readonly
+   */
+  firebaseApp: inject(),
+
   /**
    * @type {string}
    * @default
@@ -31,6 +60,43 @@ export default Adapter.extend({
   innerReferencePathName: '_innerReferencePath',
 
   /**
+   * Key of the full path of the node a record was loaded from. It's
+   * added to every payload so that the record gets saved and deleted
+   * there.
+   *
+   * @type {string}
+   * @default
+   */
+  originPathName: '_originPath',
+
+  /**
+   * Key that marks a record as soft deleted along with when
+   *
+   * @type {string}
+   * @default
+   */
+  deletedAtName: 'deletedAt',
+
+  /**
+   * Key of the user ID who soft deleted a record
+   *
+   * @type {string}
+   * @default
+   */
+  deletedByName: 'deletedBy',
+
+  /**
+   * Node holding the audit history of records
+   *
+   * @type {string}
+   * @default
+   */
+  historyPath: 'history',
+
+  /**
+   * Number of holders of each active listener keyed by path and then
+   * by listener type
+   *
    * @type {Object}
    * @default
    */
@@ -51,6 +117,73 @@ export default Adapter.extend({
     return getOwner(this).lookup('service:fastboot');
   }),
 
+  /**
+   * @type {Ember.Service}
+   * @default
+   * @readonly
+   */
+  firebaseOutbox: computed(function() {
+    return getOwner(this).lookup('service:firebase-outbox');
+  }),
+
+  /**
+   * @type {Ember.Service}
+   * @default
+   * @readonly
+   */
+  firebaseRetry: computed(function() {
+    return getOwner(this).lookup('service:firebase-retry');
+  }),
+
+  /**
+   * @type {Ember.Service}
+   * @default
+   * @readonly
+   */
+  firebaseShoebox: computed(function() {
+    return getOwner(this).lookup('service:firebase-shoebox');
+  }),
+
+  /**
+   * Firebase references, callbacks and holders of each tracked listener
+   *
+   * @type {Object}
+   * @private
+   * @default null
+   */
+  _listenerHandles: null,
+
+  /**
+   * Model names whose unloaded records are being watched
+   *
+   * @type {Object}
+   * @private
+   * @default null
+   */
+  _unloadObservedModelNames: null,
+
+  /**
+   * Releases the listeners of a record array once it gets destroyed
+   *
+   * @type {function}
+   * @private
+   * @default null
+   */
+  _onRecordArrayDestroy: null,
+
+  /**
+   * Adapter hook
+   */
+  init() {
+    this._super(...arguments);
+
+    this.setProperties({
+      '_listenerHandles': {},
+      '_unloadObservedModelNames': {},
+      '_onRecordArrayDestroy': bind(this, this._releaseRecordArray),
+    });
+  },
+
   /**
    * @return {string} Push ID
    */
@@ -58,6 +191,87 @@ export default Adapter.extend({
     return this.get('firebase').push().key;
   },
 
+  /**
+   * Path template of the node holding the records of a model.
+   *
+   * Templates can contain `:id`, `:innerReferencePath`, or a record
+   * attribute (e.g. `:author`). Values of the adapter such as an
+   * injected service are interpolated by the hook itself (e.g.
+   * `` `tenants/${this.get('tenant.id')}/posts` ``).
+   *
+   * @param {string} modelName
+   * @return {string} Path template
+   */
+  pathForType(modelName) {
+    const polymorphic = this._getPolymorphicOptions(modelName);
+
+    return this._getParsedModelName(
+        polymorphic ? polymorphic.modelName : modelName);
+  },
+
+  /**
+   * Path template of the node holding the record to find.
+   * `adapterOptions.path` takes precedence and is used as is.
+   *
+   * @param {string} modelName
+   * @param {string} id
+   * @param {DS.Snapshot} snapshot
+   * @return {string} Path template
+   */
+  pathForFindRecord(modelName) {
+    return this.pathForType(modelName);
+  },
+
+  /**
+   * Path template of the node to query. Query params can be used as
+   * placeholders (e.g. `:tenantId` for `{ tenantId: 'foo' }`).
+   * `query.path` takes precedence and is used as is.
+   *
+   * @param {string} modelName
+   * @param {Object} query
+   * @return {string} Path template
+   */
+  pathForQuery(modelName) {
+    return this.pathForType(modelName);
+  },
+
+  /**
+   * Path template of the node holding the record to save or delete.
+   *
+   * Only used for records that weren't loaded from Firebase. Loaded
+   * records are saved where they were loaded from. `adapterOptions.path`
+   * takes precedence over both and is used as is.
+   *
+   * @param {string} modelName
+   * @param {DS.Snapshot} snapshot
+   * @return {string} Path template
+   */
+  pathForSave(modelName) {
+    return this.pathForType(modelName);
+  },
+
+  /**
+   * Resolves the path of the node holding the record to save. The
+   * serializer uses this to build the fanout.
+   *
+   * @param {DS.Snapshot} snapshot
+   * @return {string} Path
+   */
+  buildPathForSave(snapshot) {
+    return this._getSavePath(snapshot.modelName, snapshot);
+  },
+
+  /**
+   * Path of the audit history entries of a record
+   *
+   * @param {string} modelName
+   * @param {string} id
+   * @return {string} Path
+   */
+  pathForHistory(modelName, id) {
+    return `${this.get('historyPath')}/${modelName}/${id}`;
+  },
+
   /**
    * @param {DS.Store} store
    * @param {DS.Model} type
@@ -65,7 +279,11 @@ export default Adapter.extend({
    * @return {Promise} Resolves when create record succeeds
    */
   createRecord(store, type, snapshot) {
-    return this.updateRecord(store, type, snapshot);
+    return RSVP.resolve().then(bind(this, () => {
+      return this._saveRecord(
+          store, type, snapshot, 'create',
+          this._serializeSnapshot(store, type, snapshot, 'create'));
+    }));
   },
 
   /**
@@ -75,23 +293,22 @@ export default Adapter.extend({
    * @return {Promise} Resolves when update record succeeds
    */
   updateRecord(store, type, snapshot) {
-    return new RSVP.Promise(bind(this, (resolve, reject) => {
-      const serializedSnapshot = this.serialize(snapshot, {
-        innerReferencePathName: this.get('innerReferencePathName'),
-      });
-
-      this.get('firebase').update(serializedSnapshot, bind(this, (error) => {
-        if (error) {
-          reject(new Error(error));
-        } else {
-          const path = snapshot.adapterOptions && snapshot.adapterOptions.path ?
-              snapshot.adapterOptions.path : null;
-
-          this._setupValueListener(store, type.modelName, snapshot.id, path);
-
-          resolve();
-        }
-      }));
+    const context = {
+      method: 'updateRecord',
+      modelName: type.modelName,
+      id: snapshot.id,
+    };
+
+    // Serialized once so that retries write the same history entry and
+    // don't send increments again
+    return RSVP.resolve().then(bind(this, () => {
+      const serializedSnapshot = this._serializeSnapshot(
+          store, type, snapshot, 'update');
+
+      return this._retry(() => {
+        return this._saveRecord(
+            store, type, snapshot, 'update', serializedSnapshot);
+      }, context);
     }));
   },
 
@@ -104,23 +321,43 @@ export default Adapter.extend({
    */
   findRecord(store, type, id, snapshot = {}) {
     return new RSVP.Promise(bind(this, (resolve, reject) => {
-      const path = snapshot.adapterOptions && snapshot.adapterOptions.path ?
-          snapshot.adapterOptions.path : null;
       const modelName = type.modelName;
+      const path = this._getAdapterOptionsPath(snapshot) || this._buildPath(
+          this.pathForFindRecord(modelName, id, snapshot), id, snapshot);
+      const holder = this._getListenerHolder(snapshot);
+      const recordPath = this._getRecordPath(modelName, id, path);
+      const shoeboxKey = this._getShoeboxKey(
+          'findRecord', modelName, recordPath);
+      const transferredEntry = this._retrieveFromShoebox(shoeboxKey);
+
+      if (transferredEntry) {
+        this._setupValueListener(store, modelName, id, path, holder);
+        resolve(transferredEntry.records[0]);
+
+        return;
+      }
+
       const onValue = bind(this, (snapshot) => {
-        if (snapshot.exists()) {
-          this._setupValueListener(store, modelName, id, path);
+        if (snapshot.exists() && !this._isSoftDeleted(snapshot.val())) {
+          const record = this._getGetSnapshotWithId(snapshot);
+
+          this._setupValueListener(store, modelName, id, path, holder);
+          this._putInShoebox(shoeboxKey, {
+            modelName: modelName,
+            records: [ record ],
+          });
           ref.off('value', onValue);
-          resolve(this._getGetSnapshotWithId(snapshot));
+          resolve(record);
         } else {
-          reject(new Error('Record doesn\'t exist'));
+          ref.off('value', onValue);
+          reject(createNotFoundError(recordPath));
         }
       });
 
       let ref = this._getFirebaseReference(modelName, id, path);
 
       ref.on('value', onValue, bind(this, (error) => {
-        reject(new Error(error));
+        reject(toAdapterError(error, recordPath));
       }));
     }));
   },
@@ -133,108 +370,392 @@ export default Adapter.extend({
   findAll(store, type) {
     return new RSVP.Promise(bind(this, (resolve, reject) => {
       const modelName = type.modelName;
+      const shoeboxKey = this._getShoeboxKey('findAll', modelName, {});
+      const transferredEntry = this._retrieveFromShoebox(shoeboxKey);
+      const setupListeners = (records) => {
+        records.forEach((record) => {
+          this._setupValueListener(store, modelName, record.id);
+        });
+
+        this._setupListListener(store, modelName);
+      };
+
+      if (transferredEntry) {
+        setupListeners(transferredEntry.records);
+        resolve(transferredEntry.records);
+
+        return;
+      }
+
       const ref = this._getFirebaseReference(modelName);
 
       ref.on('value', bind(this, (snapshot) => {
-        const findRecordPromises = [];
-
         if (snapshot.exists()) {
+          const records = [];
+
           snapshot.forEach((child) => {
-            findRecordPromises.push(this.findRecord(store, type, child.key));
+            const record = this._getGetSnapshotWithId(child);
+
+            if (this._isMatchingType(modelName, record) &&
+                !this._isSoftDeleted(record)) {
+              records.push(record);
+            }
           });
 
-          RSVP.all(findRecordPromises).then(bind(this, (records) => {
-            this._setupListListener(store, modelName);
-            ref.off('value');
-            resolve(records);
-          })).catch(bind(this, (error) => {
-            reject(new Error(error));
-          }));
+          setupListeners(records);
+          this._putInShoebox(shoeboxKey, {
+            modelName: modelName,
+            records: records,
+          });
+          ref.off('value');
+          resolve(records);
         } else {
-          reject(new Error('Record doesn\'t exist'));
+          reject(createNotFoundError(this._getPathForType(modelName)));
         }
       }), bind(this, (error) => {
-        reject(new Error(error));
+        reject(toAdapterError(error, this._getPathForType(modelName)));
       }));
     }));
   },
 
   /**
+   * Soft deletes the record instead when the model's `softDelete`
+   * class property or `adapterOptions.softDelete` is set
+   *
    * @param {DS.Store} store
    * @param {DS.Model} type
    * @param {DS.Snapshot} snapshot
    * @return {Promise} Resolves once the record has been deleted
    */
   deleteRecord(store, type, snapshot) {
-    return new RSVP.Promise(bind(this, (resolve, reject) => {
-      const modelName = this._getParsedModelName(type.modelName);
-      const id = snapshot.id;
-      const adapterOptions = snapshot.adapterOptions;
-      const fanout = {};
+    const softDelete = this._getSoftDeleteOptions(
+        type, snapshot.adapterOptions);
+
+    return this._serializeDelete(store, type, snapshot).then(
+        bind(this, (fanout) => {
+          const context = {
+            method: 'deleteRecord',
+            modelName: type.modelName,
+            id: snapshot.id,
+          };
+
+          if (softDelete && softDelete.trashPath) {
+            const move = this._getTrashMove(type, snapshot, softDelete);
+            const marks = this._getDeletedMarks();
+            const versionName = this._getMoveVersionName(
+                store, type, snapshot.adapterOptions);
+
+            return this._retry(() => {
+              return this._moveRecord(
+                  move.recordPath, move.trashRecordPath,
+                  (data) => assign({}, data, marks, this._getVersionIncrement(
+                      store, type, snapshot.adapterOptions, data)),
+                  fanout, versionName);
+            }, context);
+          }
 
-      if (adapterOptions) {
-        if (adapterOptions.hasOwnProperty('include')) {
-          assign(fanout, adapterOptions.include);
-        }
+          if (softDelete) {
+            const recordPath = this._getRecordPath(
+                type.modelName, snapshot.id,
+                this._getSavePath(type.modelName, snapshot));
 
-        if (adapterOptions.hasOwnProperty('path')) {
-          fanout[`${adapterOptions.path}/${id}`] = null;
-        } else {
-          fanout[`${modelName}/${id}`] = null;
-        }
-      }
+            return this._retry(() => {
+              return this._updateVersionedRecord(
+                  store, type, snapshot.adapterOptions, recordPath, fanout);
+            }, context);
+          }
 
-      this.get('firebase').update(fanout, bind(this, (error) => {
-        if (error) {
-          reject(new Error(error));
-        } else {
-          resolve();
-        }
+          return this._retry(() => this._updatePromise(fanout), context);
+        }));
+  },
+
+  /**
+   * Computes the fanout that deleting a record would write without
+   * writing it. Useful for reviewing what the model's cascades and
+   * fanout rules will remove.
+   *
+   * @param {DS.Model} record
+   * @param {Object} [adapterOptions]
+   * @return {Promise} Resolves with the fanout object
+   */
+  dryRunDeleteRecord(record, adapterOptions) {
+    const type = record.constructor;
+    const snapshot = createRecordSnapshot(record, adapterOptions);
+    const softDelete = this._getSoftDeleteOptions(type, adapterOptions);
+    const fanoutPromise = this._serializeDelete(record.store, type, snapshot);
+
+    if (!softDelete || !softDelete.trashPath) {
+      return fanoutPromise;
+    }
+
+    return fanoutPromise.then(bind(this, (fanout) => {
+      const move = this._getTrashMove(type, snapshot, softDelete);
+      const ref = this.get('firebase').child(move.recordPath);
+
+      return this._once(ref, move.recordPath).then(bind(this, (data) => {
+        return assign(fanout, {
+          [move.recordPath]: null,
+          [move.trashRecordPath]: assign(
+              {}, data.val(), this._getDeletedMarks(),
+              this._getVersionIncrement(
+                  record.store, type, adapterOptions, data.val())),
+        });
       }));
     }));
   },
 
   /**
+   * Undoes the soft delete of a record. Records that were moved to the
+   * trash path get moved back.
+   *
+   * @param {string} modelName
+   * @param {string} id
+   * @param {Object} [options={}] `path` where the record lives and the
+   *                              soft delete options overriding the
+   *                              model's
+   * @return {Promise} Resolves once the record has been restored.
+   *                   Rejects with a not found error when there's
+   *                   nothing in the trash path to restore.
+   */
+  restoreRecord(modelName, id, options = {}) {
+    const store = this.get('store');
+    const type = store ? store.modelFor(modelName) : { modelName: modelName };
+    const softDelete = this._getSoftDeleteOptions(type, options) || {};
+
+    return RSVP.resolve().then(bind(this, () => {
+      const recordPath = this._getRecordPath(
+          modelName, id, this._getRestorePath(modelName, id, options));
+      const fanout = this._isAudited(type, options) ?
+          this._serializeHistoryEntry(modelName, id, 'restore') : {};
+
+      // The deleted record can't be pushed to anymore so it makes way
+      // for the restored one
+      if (store) {
+        this._unloadRecord(store, modelName, id);
+      }
+
+      if (softDelete.trashPath) {
+        const trashRecordPath = `${this._buildPath(
+            softDelete.trashPath, id, options)}/${id}`;
+
+        return this._moveRecord(
+            trashRecordPath, recordPath, bind(this, (data) => {
+              const restoredData = assign({}, data);
+
+              delete restoredData[this.get('deletedAtName')];
+              delete restoredData[this.get('deletedByName')];
+
+              return assign(restoredData, this._getVersionIncrement(
+                  store, type, options, data));
+            }), fanout, this._getMoveVersionName(store, type, options));
+      }
+
+      return this._updateVersionedRecord(
+          store, type, options, recordPath, assign(fanout, {
+            [`${recordPath}/${this.get('deletedAtName')}`]: null,
+            [`${recordPath}/${this.get('deletedByName')}`]: null,
+          }));
+    }));
+  },
+
+  /**
+   * Permanently deletes a soft deleted record
+   *
+   * @param {string} modelName
+   * @param {string} id
+   * @param {Object} [options={}] `path` where the record lives and the
+   *                              soft delete options overriding the
+   *                              model's
+   * @return {Promise} Resolves once the record has been purged
+   */
+  purge(modelName, id, options = {}) {
+    const store = this.get('store');
+    const type = store ? store.modelFor(modelName) : { modelName: modelName };
+    const softDelete = this._getSoftDeleteOptions(type, options) || {};
+
+    return RSVP.resolve().then(bind(this, () => {
+      const path = softDelete.trashPath ?
+          this._buildPath(softDelete.trashPath, id, options) :
+          this._getRestorePath(modelName, id, options);
+      const fanout = { [this._getRecordPath(modelName, id, path)]: null };
+
+      if (this._isAudited(type, options)) {
+        assign(fanout, this._serializeHistoryEntry(modelName, id, 'purge'));
+      }
+
+      return this._updatePromise(fanout);
+    }));
+  },
+
+  /**
+   * Reverts the attributes of a record to how they were before a
+   * history entry. The changes of that entry and of every entry after
+   * it are undone in a single update which also appends a `revert`
+   * history entry. The record then gets pushed to the store with what
+   * was written.
+   *
+   * @param {DS.Store} store
+   * @param {DS.Model} record
+   * @param {string} historyEntryId
+   * @return {Promise} Resolves with the record once it's been reverted
+   */
+  revertRecord(store, record, historyEntryId) {
+    const type = record.constructor;
+    const modelName = type.modelName;
+    const id = record.get('id');
+    const historyPath = this.pathForHistory(modelName, id);
+    const historyPromise = this._once(
+        this.get('firebase').child(historyPath), historyPath);
+
+    return historyPromise.then(bind(this, (historySnapshot) => {
+      const entries = [];
+
+      historySnapshot.forEach((child) => {
+        entries.push(assign({ id: child.key }, child.val()));
+      });
+
+      const index = entries.map((entry) => entry.id).indexOf(
+          historyEntryId);
+
+      if (index === -1) {
+        return RSVP.reject(createNotFoundError(
+            `${historyPath}/${historyEntryId}`,
+            `History entry ${historyEntryId} doesn't exist`));
+      }
+
+      const snapshot = createRecordSnapshot(record);
+      const path = this._getSavePath(modelName, snapshot);
+      const recordPath = this._getRecordPath(modelName, id, path);
+      const fanout = this._serializeRevert(
+          store, type, snapshot, historyEntryId,
+          this._getRevertedValues(entries.slice(index)));
+
+      const updatePromise = this._updateVersionedRecord(
+          store, type, undefined, recordPath, fanout);
+
+      return updatePromise.then(() => this._once(
+          this._getFirebaseReference(modelName, id, path), recordPath));
+    })).then(bind(this, (recordSnapshot) => {
+      // Without a value listener on the record, nothing else would
+      // update it with the reverted attributes
+      if (recordSnapshot.exists()) {
+        store.push(store.normalize(
+            modelName, this._getGetSnapshotWithId(recordSnapshot)));
+      }
+
+      return record;
+    }));
+  },
+
+  /**
+   * With a `cacheId`, the query keeps listening and swaps the record of
+   * `peekQueryRecord(cacheId)` whenever a different child matches.
+   * `Mixin.FirebaseFlexStore` resolves `store.queryRecord()` with that
+   * proxy.
+   *
    * @param {DS.Store} store
    * @param {DS.Model} type
    * @param {Object} [query={}]
    * @return {Promise} Resolves with the queried record
    */
   queryRecord(store, type, query = {}) {
+    const shoeboxKey = this._getShoeboxKey(
+        'queryRecord', type.modelName, query);
+
+    query = this._getPolymorphicQuery(type.modelName, query);
+
     return new RSVP.Promise(bind(this, (resolve, reject) => {
-      const path = query.path;
+      const modelName = type.modelName;
+      const path = this._getQueryPath(modelName, query);
+      const proxy = this._getQueryRecordProxy(query);
+      const transferredEntry = this._retrieveFromShoebox(shoeboxKey);
       const onValue = bind(this, (snapshot) => {
         if (snapshot.exists()) {
           // Will always loop once because of the forced limitTo* 1
           snapshot.forEach((child) => {
             const snapshot = {};
 
-            if (path && !query.isReference) {
+            if (!query.isReference) {
               snapshot.adapterOptions = { path: path };
             }
 
+            if (proxy) {
+              snapshot.adapterOptions = assign({}, snapshot.adapterOptions, {
+                _listenerHolder: this._getRecordArrayHolder(proxy),
+              });
+            }
+
             this.findRecord(store, type, child.key, snapshot).then((record) => {
-              ref.off('value', onValue);
+              this._putInShoebox(shoeboxKey, {
+                modelName: modelName,
+                records: [ record ],
+              });
+
+              if (proxy) {
+                proxy.get('firebase').incrementProperty('_sequence');
+                proxy.set('content', store.push(
+                    store.normalize(modelName, record)));
+                this._setupQueryRecordListener(
+                    store, modelName, query, proxy, ref, onValue);
+              } else {
+                ref.off('value', onValue);
+              }
+
               resolve(record);
             }).catch((error) => {
-              reject(new Error(error));
+              ref.off('value', onValue);
+              reject(toAdapterError(error, path));
             });
           });
         } else {
-          reject(new Error('Record doesn\'t exist'));
+          ref.off('value', onValue);
+          reject(createNotFoundError(path));
         }
       });
 
-      let ref = this._getFirebaseReference(type.modelName, undefined, path);
+      let ref = this._getFirebaseReference(modelName, undefined, path);
 
       ref = this._setupQuerySortingAndFiltering(ref, query, true);
 
+      if (transferredEntry) {
+        const record = transferredEntry.records[0];
+        const holder = proxy ? this._getRecordArrayHolder(proxy) : undefined;
+
+        this._setupValueListener(
+            store, modelName, record.id, query.isReference ? null : path,
+            holder);
+
+        if (proxy) {
+          proxy.get('firebase').incrementProperty('_sequence');
+          proxy.set('content', store.push(store.normalize(modelName, record)));
+          this._setupQueryRecordListener(store, modelName, query, proxy, ref);
+        }
+
+        resolve(record);
+
+        return;
+      }
+
       ref.on('value', onValue, bind(this, (error) => {
-        reject(new Error(error));
+        reject(toAdapterError(error, path));
       }));
     }));
   },
 
+  /**
+   * Gets the live result of a `queryRecord()` with a `cacheId`. Its
+   * `content` is swapped whenever a different record matches the
+   * query.
+   *
+   * @param {string} cacheId
+   * @return {Ember.ObjectProxy} Proxy to the record or undefined
+   */
+  peekQueryRecord(cacheId) {
+    const trackedQuery = this.get('trackedQueries')[cacheId];
+
+    return trackedQuery instanceof ObjectProxy ? trackedQuery : undefined;
+  },
+
   /**
    * @param {DS.Store} store
    * @param {DS.Model} type
@@ -243,35 +764,61 @@ export default Adapter.extend({
    * @return {Promise} Resolves with the queried record
    */
   query(store, type, query = {}, recordArray) {
+    const shoeboxKey = this._getShoeboxKey('query', type.modelName, query);
+
+    query = this._getPolymorphicQuery(type.modelName, query);
+
     return new RSVP.Promise(bind(this, (resolve, reject) => {
-      const path = query.path;
-      const recordPath = path && !query.isReference ? path : null;
       const modelName = type.modelName;
-      const onValue = bind(this, (snapshot) => {
-        const findRecordPromises = [];
+      const path = this._getQueryPath(modelName, query);
+      const recordPath = query.isReference ? null : path;
+      const holder = this._getRecordArrayHolder(recordArray);
+      const transferredEntry = this._retrieveFromShoebox(shoeboxKey);
+      const setupQuery = (records, pageState) => {
+        if (!query.isReference || transferredEntry) {
+          records.forEach((record) => {
+            this._setupValueListener(
+                store, modelName, record.id, recordPath, holder);
+          });
+        }
 
-        if (snapshot.exists()) {
-          snapshot.forEach((child) => {
-            const snapshot = {
-              adapterOptions: { path: recordPath },
-            };
+        this._setupRecordArrayRelease(recordArray);
+        this._setupRecordExtensions(
+            store, modelName, query, recordArray, pageState);
 
-            findRecordPromises.push(this.findRecord(
-                store, type, child.key, snapshot));
-          });
+        if (query.hasOwnProperty('cacheId')) {
+          this._setupQueryListListener(
+              store, modelName, query, recordPath, recordArray,
+              this._getQueryListReference(
+                  modelName, query, pageState.cursors, pageState.hasMore));
+          this._trackQuery(query.cacheId, recordArray);
         }
 
-        RSVP.all(findRecordPromises).then(bind(this, (records) => {
-          if (query.hasOwnProperty('cacheId')) {
-            this._setupQueryListListener(
-                store, modelName, recordPath, recordArray, ref);
-            this._trackQuery(query.cacheId, recordArray);
-          }
+        this._putInShoebox(shoeboxKey, {
+          modelName: modelName,
+          records: records,
+          pageState: pageState,
+        });
+        resolve(records);
+      };
+      const onValue = bind(this, (snapshot) => {
+        const children = [];
+
+        snapshot.forEach((child) => {
+          children.push(child);
+        });
+
+        const recordsPromise = this._findQueryRecords(
+            store, type, query, recordPath, holder, children);
 
+        recordsPromise.then(bind(this, (records) => {
+          return this._fillFirstPage(
+              store, type, query, recordPath, holder, children, records);
+        })).then(bind(this, (page) => {
           ref.off('value', onValue);
-          resolve(records);
+          setupQuery(page.records, page.pageState);
         })).catch(bind(this, (error) => {
-          reject(new Error(error));
+          reject(toAdapterError(error, path));
         }));
       });
 
@@ -279,45 +826,1572 @@ export default Adapter.extend({
 
       ref = this._setupQuerySortingAndFiltering(ref, query);
 
-      ref.on('value', onValue, bind(this, (error) => {
-        reject(new Error(error));
-      }));
+      if (transferredEntry) {
+        setupQuery(transferredEntry.records, transferredEntry.pageState);
+      } else {
+        ref.on('value', onValue, bind(this, (error) => {
+          reject(toAdapterError(error, path));
+        }));
+      }
     }));
   },
 
   /**
+   * Gets the records of query result children that match `query.where`
+   *
    * @param {DS.Store} store
-   * @param {string} modelName
-   * @param {string} id
-   * @param {string} path
+   * @param {DS.Model} type
+   * @param {Object} query
+   * @param {string} recordPath
+   * @param {string} holder Listener holder of the record array
+   * @param {Array.<firebase.database.DataSnapshot>} children
+   * @return {Promise} Resolves with the matching records
    * @private
    */
-  _setupValueListener(store, modelName, id, path) {
-    const fastboot = this.get('fastboot');
+  _findQueryRecords(store, type, query, recordPath, holder, children) {
+    const modelName = type.modelName;
+
+    return RSVP.all(children.map((child) => {
+      if (query.isReference) {
+        const snapshot = {
+          adapterOptions: { path: recordPath, _listenerHolder: holder },
+        };
+
+        // References to records that don't exist or are soft deleted
+        // are left out
+        return this.findRecord(
+            store, type, child.key, snapshot).catch(() => null);
+      }
 
-    if (!fastboot || !fastboot.get('isFastBoot')) {
-      const key = path ?
-          `${path}/${id}` : `${this._getParsedModelName(modelName)}/${id}`;
+      // The records are already in the query result so there's no need
+      // to download them again one by one
+      return this._getGetSnapshotWithId(child);
+    })).then(bind(this, (allRecords) => {
+      return allRecords.filter((record) => {
+        if (!record) {
+          return false;
+        }
 
-      if (!this._isListenerTracked(key, 'value')) {
-        this._trackListener(key, 'value');
+        if (this._isMatchingQuery(query, record)) {
+          return true;
+        }
 
-        const ref = this._getFirebaseReference(modelName, id, path);
+        if (query.isReference) {
+          this._untrackListener(
+              this._getRecordPath(modelName, record.id, recordPath),
+              'value', holder);
+        }
 
-        ref.on('value', bind(this, (snapshot) => {
-          if (snapshot.exists()) {
-            const snapshotWithId = this._getGetSnapshotWithId(snapshot);
-            const normalizedRecord = store.normalize(modelName, snapshotWithId);
+        return false;
+      });
+    }));
+  },
+
+  /**
+   * Keeps loading past the first page of a query until it has as many
+   * records as its limit the same way `next()` does. Records filtered
+   * out by `where` don't count towards the page.
+   *
+   * @param {DS.Store} store
+   * @param {DS.Model} type
+   * @param {Object} query
+   * @param {string} recordPath
+   * @param {string} holder Listener holder of the record array
+   * @param {Array.<firebase.database.DataSnapshot>} children
+   *    Query result snapshots loaded so far
+   * @param {Array.<Object>} records Matching records loaded so far
+   * @param {boolean} [hasMore] Whether the last load filled its limit.
+   *                            Defaults to the page state of children.
+   * @return {Promise} Resolves with the `records` and `pageState`
+   * @private
+   */
+  _fillFirstPage(
+      store, type, query, recordPath, holder, children, records, hasMore) {
+    const limit = query.limitToFirst || query.limitToLast;
+    const isForward = !query.hasOwnProperty('limitToLast');
+    const pageState = this._getPageState(query, children);
+
+    if (hasMore !== undefined) {
+      pageState.hasMore = hasMore;
+    }
+
+    if (!query.where || !pageState.hasMore || records.length >= limit) {
+      return RSVP.resolve({ records: records, pageState: pageState });
+    }
+
+    const cursor = isForward ? pageState.cursors.last : pageState.cursors.first;
+    const ref = this._getPageReference(
+        type.modelName, query, cursor, limit, isForward);
+    const pageChildren = [];
+
+    return ref.once('value').then(bind(this, (snapshot) => {
+      snapshot.forEach((child) => {
+        // The cursor is inclusive so we skip the record we already have
+        if (child.key !== cursor.key) {
+          pageChildren.push(child);
+        }
+      });
+
+      return this._findQueryRecords(
+          store, type, query, recordPath, holder, pageChildren);
+    })).then(bind(this, (pageRecords) => {
+      return this._fillFirstPage(
+          store, type, query, recordPath, holder,
+          isForward ?
+              children.concat(pageChildren) : pageChildren.concat(children),
+          isForward ?
+              records.concat(pageRecords) : pageRecords.concat(records),
+          pageChildren.length >= limit);
+    }));
+  },
+
+  /**
+   * Turns off the listeners of a record regardless of how many are
+   * holding them
+   *
+   * When `id` isn't provided, all listeners of the model will be
+   * turned off.
+   *
+   * @param {string} modelName
+   * @param {string} [id]
+   */
+  release(modelName, id) {
+    const listenerHandles = this.get('_listenerHandles');
+
+    for (const key in listenerHandles) {
+      if (listenerHandles.hasOwnProperty(key)) {
+        for (const type in listenerHandles[key]) {
+          if (listenerHandles[key].hasOwnProperty(type)) {
+            const handle = listenerHandles[key][type];
+
+            if (handle.modelName === modelName &&
+                (id === undefined || handle.id === id)) {
+              this._untrackListener(key, type);
+            }
+          }
+        }
+      }
+    }
+  },
+
+  /**
+   * Turns off every listener and query tracked by this adapter
+   */
+  releaseAll() {
+    const listenerHandles = this.get('_listenerHandles');
+    const trackedQueries = this.get('trackedQueries');
+
+    for (const key in listenerHandles) {
+      if (listenerHandles.hasOwnProperty(key)) {
+        for (const type in listenerHandles[key]) {
+          if (listenerHandles[key].hasOwnProperty(type)) {
+            this._untrackListener(key, type);
+          }
+        }
+      }
+    }
+
+    for (const cacheId in trackedQueries) {
+      if (trackedQueries.hasOwnProperty(cacheId)) {
+        trackedQueries[cacheId].get('firebase').off();
+      }
+    }
+
+    this.setProperties({ trackedListeners: {}, trackedQueries: {} });
+  },
+
+  /**
+   * @param {DS.Store} store
+   * @param {DS.Model} type
+   * @param {DS.Snapshot} snapshot
+   * @param {string} event `create` or `update`
+   * @param {Object} serializedSnapshot Fanout from `_serializeSnapshot()`
+   * @return {Promise} Resolves when saving the record succeeds
+   * @private
+   */
+  _saveRecord(store, type, snapshot, event, serializedSnapshot) {
+    const adapterOptions = snapshot.adapterOptions;
+
+    if ((adapterOptions && adapterOptions.transaction) ||
+        this._isVersioned(type, adapterOptions)) {
+      return this._updateRecordWithTransaction(
+          store, type, snapshot, serializedSnapshot);
+    }
+
+    return new RSVP.Promise(bind(this, (resolve, reject) => {
+      const path = this._getSavePath(type.modelName, snapshot);
+      const recordPath = this._getRecordPath(type.modelName, snapshot.id, path);
+      const onComplete = bind(this, (error) => {
+        if (error) {
+          reject(toAdapterError(error, recordPath));
+        } else {
+          this._setupValueListener(store, type.modelName, snapshot.id, path);
+          this._commitEmbeddedRecords(store, snapshot);
+
+          resolve();
+        }
+      });
+
+      // Updates of a versioned model that skip the version check still
+      // increment it
+      if (event === 'update' && type.versioned) {
+        this._updateVersionedRecord(
+            store, type, adapterOptions, recordPath, serializedSnapshot)
+            .then(() => onComplete(null), onComplete);
+      } else {
+        this._update(serializedSnapshot, onComplete, recordPath);
+      }
+    }));
+  },
+
+  /**
+   * Embedded records get saved along with their parent so what was
+   * saved gets pushed back to the store once the parent has been saved
+   *
+   * @param {DS.Store} store
+   * @param {DS.Snapshot} snapshot
+   * @private
+   */
+  _commitEmbeddedRecords(store, snapshot) {
+    if (typeof snapshot.eachRelationship !== 'function') {
+      return;
+    }
+
+    const serializer = store.serializerFor(snapshot.modelName);
+
+    snapshot.eachRelationship((key, relationship) => {
+      if (serializer.hasSerializeRecordsOption(key)) {
+        const embeddedSnapshots = relationship.kind === 'belongsTo' ?
+            [ snapshot.belongsTo(key) ] : snapshot.hasMany(key) || [];
+
+        embeddedSnapshots.forEach((embeddedSnapshot) => {
+          if (embeddedSnapshot) {
+            const record = embeddedSnapshot.record;
+
+            if (record.get('hasDirtyAttributes') && !record.get('isDeleted')) {
+              const embeddedModelName = embeddedSnapshot.modelName;
+              const payload = store.serializerFor(embeddedModelName)
+                  .serializeEmbeddedPayload(embeddedSnapshot);
+              const isNew = record.get('isNew');
+
+              store.push(store.normalize(embeddedModelName, payload));
+
+              // A new record only gets loaded by its first push. It
+              // takes another one for its attributes to be acknowledged.
+              if (isNew) {
+                store.push(store.normalize(embeddedModelName, payload));
+              }
+            }
+
+            this._commitEmbeddedRecords(store, embeddedSnapshot);
+          }
+        });
+      }
+    });
+  },
+
+  /**
+   * Serializes the snapshot along with the model's fanout rules
+   *
+   * @param {DS.Store} store
+   * @param {DS.Model} type
+   * @param {DS.Snapshot} snapshot
+   * @param {string} event `create` or `update`
+   * @return {Object} Fanout object for Firebase
+   * @private
+   */
+  _serializeSnapshot(store, type, snapshot, event) {
+    const serializedSnapshot = this.serialize(snapshot, {
+      innerReferencePathName: this.get('innerReferencePathName'),
+    });
+    const fanout = assign(
+        this._serializeFanoutRules(store, type, snapshot, event),
+        serializedSnapshot);
+
+    if (this._isAudited(type, snapshot.adapterOptions)) {
+      assign(fanout, this._serializeHistoryEntry(
+          type.modelName, snapshot.id, event,
+          this._getHistoryChanges(store, type, snapshot, event)));
+    }
+
+    return fanout;
+  },
+
+  /**
+   * Builds the fanout for deleting a record including its cascades,
+   * fanout rules, and `adapterOptions.include`
+   *
+   * @param {DS.Store} store
+   * @param {DS.Model} type
+   * @param {DS.Snapshot} snapshot
+   * @return {Promise} Resolves with the fanout object
+   * @private
+   */
+  _serializeDelete(store, type, snapshot) {
+    const softDelete = this._getSoftDeleteOptions(
+        type, snapshot.adapterOptions);
+    const fanoutPromise = RSVP.resolve().then(bind(this, () => {
+      return softDelete ?
+          this._serializeSoftDelete(store, type, snapshot, softDelete) :
+          this._serializeHardDelete(store, type, snapshot);
+    }));
+
+    return fanoutPromise.then(bind(this, (fanout) => {
+      if (this._isAudited(type, snapshot.adapterOptions)) {
+        const event = softDelete ? 'softDelete' : 'delete';
+
+        assign(fanout, this._serializeHistoryEntry(
+            type.modelName, snapshot.id, event,
+            this._getHistoryChanges(store, type, snapshot, event)));
+      }
+
+      return fanout;
+    }));
+  },
+
+  /**
+   * Builds the fanout for permanently deleting a record
+   *
+   * @param {DS.Store} store
+   * @param {DS.Model} type
+   * @param {DS.Snapshot} snapshot
+   * @return {Promise} Resolves with the fanout object
+   * @private
+   */
+  _serializeHardDelete(store, type, snapshot) {
+    return this._serializeCascades(store, type, snapshot).then(
+        bind(this, (cascadeFanout) => {
+          const adapterOptions = snapshot.adapterOptions;
+          const path = this._getSavePath(type.modelName, snapshot);
+          const fanout = assign(
+              cascadeFanout,
+              this._serializeFanoutRules(store, type, snapshot, 'delete'));
+
+          if (adapterOptions && adapterOptions.hasOwnProperty('include')) {
+            this._serializeInclude(store, type, snapshot, fanout);
+          }
+
+          fanout[`${path}/${snapshot.id}`] = null;
+
+          return fanout;
+        }));
+  },
+
+  /**
+   * Builds the fanout for soft deleting a record. It's marked with
+   * when and by whom it got deleted. Cascades and fanout rules are left
+   * as is so that the record can be restored.
+   *
+   * Records that get moved to the trash path aren't part of the fanout.
+   * `deleteRecord()` moves those through `_moveRecord()`.
+   *
+   * @param {DS.Store} store
+   * @param {DS.Model} type
+   * @param {DS.Snapshot} snapshot
+   * @param {Object} softDelete Soft delete options
+   * @return {Promise} Resolves with the fanout object
+   * @private
+   */
+  _serializeSoftDelete(store, type, snapshot, softDelete) {
+    const fanout = {};
+
+    if (!softDelete.trashPath) {
+      const path = this._getSavePath(type.modelName, snapshot);
+      const marks = this._getDeletedMarks();
+
+      for (const key in marks) {
+        if (marks.hasOwnProperty(key)) {
+          fanout[`${path}/${snapshot.id}/${key}`] = marks[key];
+        }
+      }
+    }
+
+    const adapterOptions = snapshot.adapterOptions;
+
+    if (adapterOptions && adapterOptions.hasOwnProperty('include')) {
+      this._serializeInclude(store, type, snapshot, fanout);
+    }
+
+    return RSVP.resolve(fanout);
+  },
+
+  /**
+   * @return {Object} When and by whom a record got soft deleted keyed
+   *                  by their attribute name
+   * @private
+   */
+  _getDeletedMarks() {
+    return {
+      [this.get('deletedAtName')]: firebase.database.ServerValue.TIMESTAMP,
+      [this.get('deletedByName')]: this._getCurrentUserId(),
+    };
+  },
+
+  /**
+   * @param {DS.Model} type
+   * @param {DS.Snapshot} snapshot
+   * @param {Object} softDelete Soft delete options with a `trashPath`
+   * @return {Object} `recordPath` and `trashRecordPath` of the record
+   * @private
+   */
+  _getTrashMove(type, snapshot, softDelete) {
+    const path = this._getSavePath(type.modelName, snapshot);
+
+    return {
+      recordPath: `${path}/${snapshot.id}`,
+      trashRecordPath: `${this._buildPath(
+          softDelete.trashPath, snapshot.id, snapshot)}/${snapshot.id}`,
+    };
+  },
+
+  /**
+   * Moves a record from one path to another.
+   *
+   * The record is read once. It's then removed from `fromPath` and what
+   * `transform()` returns is written to `toPath` along with the rest of
+   * the fanout in a single multi-path update so that it never ends up
+   * in both or neither.
+   *
+   * When `versionName` is set, the version that was read gets claimed
+   * in a transaction before the update. A concurrent move or versioned
+   * save that started from the same version then gets a conflict
+   * instead of writing over this one. Should the update fail, the
+   * version is put back.
+   *
+   * @param {string} fromPath
+   * @param {string} toPath
+   * @param {function} transform Receives the data of the record
+   * @param {Object} [fanout={}] Other paths to write along with it
+   * @param {string} [versionName] Key holding the version of the record
+   * @return {Promise} Resolves once the record has been moved. Rejects
+   *                   with a not found error when there's nothing at
+   *                   `fromPath` and with a conflict error when its
+   *                   version changed since it was read.
+   * @private
+   */
+  _moveRecord(fromPath, toPath, transform, fanout = {}, versionName) {
+    const ref = this.get('firebase').child(fromPath);
+
+    return this._once(ref, fromPath).then(bind(this, (snapshot) => {
+      const data = snapshot.val();
+
+      if (data === null) {
+        throw createNotFoundError(fromPath);
+      }
+
+      const version = versionName ? data[versionName] || 0 : undefined;
+      const claim = versionName ?
+          this._claimVersion(ref.child(versionName), fromPath, version) :
+          RSVP.resolve();
+
+      return claim.then(bind(this, () => {
+        const moveFanout = assign({}, fanout, {
+          [fromPath]: null,
+          [toPath]: transform(data),
+        });
+
+        return this._updatePromise(moveFanout).catch(bind(this, (error) => {
+          const rethrow = () => {
+            throw error;
+          };
+
+          if (!versionName) {
+            rethrow();
+          }
+
+          // The claimed version is the only thing written so far
+          return this._updatePromise({
+            [`${fromPath}/${versionName}`]: version || null,
+          }).then(rethrow, rethrow);
+        }));
+      }));
+    }));
+  },
+
+  /**
+   * Increments the version of a record only when it's still the one
+   * that was read
+   *
+   * @param {firebase.database.Reference} ref Reference to the version
+   * @param {string} path Path of the record
+   * @param {number} version Version that was read
+   * @return {Promise} Resolves once claimed. Rejects with a conflict
+   *                   error when the version has changed.
+   * @private
+   */
+  _claimVersion(ref, path, version) {
+    return new RSVP.Promise(bind(this, (resolve, reject) => {
+      let isConflicting = false;
+
+      const onUpdate = (currentVersion) => {
+        // Nothing has been cached yet. Returning it as is makes Firebase
+        // retry with the server copy if there's one.
+        if (currentVersion === null && version > 0) {
+          isConflicting = true;
+
+          return null;
+        }
+
+        isConflicting = (currentVersion || 0) !== version;
+
+        return isConflicting ? undefined : version + 1;
+      };
+      const onComplete = bind(this, (error, isCommitted) => {
+        if (error) {
+          reject(toAdapterError(error, path));
+        } else if (isConflicting || !isCommitted) {
+          reject(new ConflictError());
+        } else {
+          resolve();
+        }
+      });
+
+      ref.transaction(onUpdate, onComplete, false);
+    }));
+  },
+
+  /**
+   * Serializes `adapterOptions.include` of a snapshot that doesn't go
+   * through `serialize()` such as when deleting a record
+   *
+   * @param {DS.Store} store
+   * @param {DS.Model} type
+   * @param {DS.Snapshot} snapshot
+   * @param {Object} fanout
+   * @private
+   */
+  _serializeInclude(store, type, snapshot, fanout) {
+    if (typeof snapshot.eachAttribute !== 'function') {
+      assign(fanout, snapshot.adapterOptions.include);
+    } else {
+      store.serializerFor(type.modelName).serializeInclude(snapshot, fanout, {
+        innerReferencePathName: this.get('innerReferencePathName'),
+      });
+    }
+  },
+
+  /**
+   * Expands the cascades declared in the model's `cascade` class
+   * property into paths to delete.
+   *
+   * A cascade can either be:
+   *
+   * - `{ path }` to delete a child path
+   * - `{ hasFiltered }` to delete the records of a `hasFiltered`
+   *   property
+   * - `{ index, modelName }` to delete a reference index and each
+   *   record it references
+   *
+   * Records deleted by a cascade have the cascades of their own model
+   * followed as well.
+   *
+   * Cascades are read before the fanout gets written so they aren't
+   * atomic. Records added to an index or matching a filter in between
+   * won't be deleted.
+   *
+   * @param {DS.Store} store
+   * @param {DS.Model} type
+   * @param {DS.Snapshot|Object} snapshot Snapshot or record payload
+   * @param {Object} [visited={}] Records already cascaded keyed by
+   *                              model name and ID
+   * @return {Promise} Resolves with the fanout object
+   * @private
+   */
+  _serializeCascades(store, type, snapshot, visited = {}) {
+    const cascades = type.cascade || [];
+    const id = snapshot.id;
+
+    visited[`${type.modelName}:${id}`] = true;
+
+    if (cascades.length === 0) {
+      return RSVP.resolve({});
+    }
+
+    const previousValues = this._getPreviousValues(store, type, snapshot);
+    const fanoutPromises = cascades.map((cascade) => {
+      if (cascade.hasOwnProperty('hasFiltered')) {
+        return this._serializeHasFilteredCascade(
+            store, type, id, previousValues, cascade.hasFiltered, visited);
+      } else if (cascade.hasOwnProperty('index')) {
+        return this._serializeIndexCascade(
+            store, cascade.modelName,
+            this._buildOptionalPath(
+                cascade.index, id, previousValues, cascade.optional),
+            visited);
+      }
+
+      const path = this._buildOptionalPath(
+          cascade.path, id, previousValues, cascade.optional);
+
+      return RSVP.resolve(path ? { [path]: null } : {});
+    });
+
+    return RSVP.all(fanoutPromises).then((fanouts) => {
+      const fanout = {};
+
+      fanouts.forEach((cascadeFanout) => {
+        for (const key in cascadeFanout) {
+          if (cascadeFanout.hasOwnProperty(key)) {
+            fanout[key.replace(/^\/+/, '')] = cascadeFanout[key];
+          }
+        }
+      });
+
+      return fanout;
+    });
+  },
+
+  /**
+   * Follows the cascades of records deleted by another cascade
+   *
+   * @param {DS.Store} store
+   * @param {string} modelName
+   * @param {Array.<firebase.database.DataSnapshot>} children Records
+   * @param {Object} visited Records already cascaded
+   * @return {Promise} Resolves with the fanout object
+   * @private
+   */
+  _serializeNestedCascades(store, modelName, children, visited) {
+    const type = store.modelFor(modelName);
+    const fanoutPromises = children.filter((child) => {
+      return !visited[`${modelName}:${child.key}`];
+    }).map((child) => {
+      const payload = assign({}, child.val(), { id: child.key });
+
+      return this._serializeCascades(store, type, payload, visited);
+    });
+
+    return RSVP.all(fanoutPromises).then((fanouts) => {
+      return assign({}, ...fanouts);
+    });
+  },
+
+  /**
+   * @param {DS.Store} store
+   * @param {string} modelName
+   * @return {boolean} True if the model declares cascades
+   * @private
+   */
+  _hasCascades(store, modelName) {
+    const cascades = store.modelFor(modelName).cascade;
+
+    return !!cascades && cascades.length > 0;
+  },
+
+  /**
+   * @param {DS.Store} store
+   * @param {DS.Model} type
+   * @param {string} id
+   * @param {Object} source Values to resolve the query path with
+   * @param {string} key Name of the `hasFiltered` property
+   * @param {Object} visited Records already cascaded
+   * @return {Promise} Resolves with the fanout object
+   * @private
+   */
+  _serializeHasFilteredCascade(store, type, id, source, key, visited) {
+    const meta = type.metaForProperty(key);
+
+    if (!meta || !meta.isHasFiltered) {
+      return RSVP.reject(new Error(`${key} is not a hasFiltered property`));
+    }
+
+    const query = assign({}, meta.query);
+
+    if (query.path) {
+      const template = query.path.replace(/\$(id|innerReferencePath)/g, ':$1');
+      // Top level records have no inner reference path
+      const path = this._buildOptionalPath(
+          template, id, source, [ 'innerReferencePath' ]);
+
+      if (query.isReference) {
+        return this._serializeIndexCascade(
+            store, meta.modelName, path, visited);
+      }
+
+      if (!path || !this._hasCascades(store, meta.modelName)) {
+        return RSVP.resolve(path ? { [path]: null } : {});
+      }
+
+      return this._once(this.get('firebase').child(path), path).then(
+          bind(this, (snapshot) => {
+            const children = [];
+
+            snapshot.forEach((child) => {
+              children.push(child);
+            });
+
+            return this._serializeNestedCascades(
+                store, meta.modelName, children, visited);
+          })).then((nestedFanout) => {
+            return assign(nestedFanout, { [path]: null });
+          });
+    }
+
+    if (!query.hasOwnProperty('equalTo') && !query.hasOwnProperty('startAt') &&
+        !query.hasOwnProperty('endAt')) {
+      return RSVP.reject(new Error(`Cascading ${key} would delete every ` +
+          `${meta.modelName} because it has neither a path nor a filter`));
+    }
+
+    // Without a path, the records are found by filtering the model's
+    // node. All of them need to go regardless of the page size.
+    delete query.limitToFirst;
+    delete query.limitToLast;
+
+    const modelPath = this._getPathForType(meta.modelName);
+    let ref = this._getFirebaseReference(meta.modelName);
+
+    ref = this._setupQuerySortingAndFiltering(ref, query);
+
+    return this._once(ref, modelPath).then(bind(this, (snapshot) => {
+      const children = [];
+
+      snapshot.forEach((child) => {
+        children.push(child);
+      });
+
+      return this._serializeNestedCascades(
+          store, meta.modelName, children, visited).then((nestedFanout) => {
+            children.forEach((child) => {
+              nestedFanout[`${modelPath}/${child.key}`] = null;
+            });
+
+            return nestedFanout;
+          });
+    }));
+  },
+
+  /**
+   * @param {DS.Store} store
+   * @param {string} modelName Model of the referenced records
+   * @param {string} path Path of the reference index
+   * @param {Object} visited Records already cascaded
+   * @return {Promise} Resolves with the fanout object
+   * @private
+   */
+  _serializeIndexCascade(store, modelName, path, visited) {
+    if (!path) {
+      return RSVP.resolve({});
+    }
+
+    const ref = this.get('firebase').child(path);
+
+    return this._once(ref, path).then(bind(this, (snapshot) => {
+      const recordPaths = [];
+
+      snapshot.forEach((child) => {
+        recordPaths.push(this._getRecordPath(modelName, child.key));
+      });
+
+      // The index only has the keys so the records need to be read for
+      // their own cascades
+      const childrenPromise = this._hasCascades(store, modelName) ?
+          RSVP.all(recordPaths.map((recordPath) => {
+            return this._once(
+                this.get('firebase').child(recordPath), recordPath);
+          })) : RSVP.resolve([]);
+
+      return childrenPromise.then(bind(this, (children) => {
+        return this._serializeNestedCascades(
+            store, modelName, children, visited);
+      })).then((fanout) => {
+        recordPaths.forEach((recordPath) => {
+          fanout[recordPath] = null;
+        });
+        fanout[path] = null;
+
+        return fanout;
+      });
+    }));
+  },
+
+
+  /**
+   * Builds the fanout of the rules declared in the model's `fanout`
+   * class property.
+   *
+   * Each rule has a `path` template, a `value` which can be a function
+   * receiving the snapshot (defaults to `true`), and the events it
+   * applies `on` (defaults to `create`, `update`, and `delete`). When
+   * an attribute or `belongsTo` in the path changes, the old location
+   * gets cleared. Rules are skipped when one of their `optional`
+   * placeholders has no value. Any other unresolved placeholder
+   * rejects the save.
+   *
+   * @param {DS.Store} store
+   * @param {DS.Model} type
+   * @param {DS.Snapshot} snapshot
+   * @param {string} event `create`, `update`, or `delete`
+   * @return {Object} Fanout object for Firebase
+   * @private
+   */
+  _serializeFanoutRules(store, type, snapshot, event) {
+    const rules = type.fanout || [];
+    const fanout = {};
+
+    if (rules.length === 0) {
+      return fanout;
+    }
+
+    const id = snapshot.id;
+    const previousValues = this._getPreviousValues(store, type, snapshot);
+
+    rules.forEach((rule) => {
+      const events = rule.on || [ 'create', 'update', 'delete' ];
+
+      if (events.includes(event)) {
+        const previousPath = event === 'create' ?
+            null : this._buildOptionalPath(
+                rule.path, id, previousValues, rule.optional);
+
+        if (event === 'delete') {
+          if (previousPath) {
+            fanout[previousPath] = null;
+          }
+        } else {
+          const path = this._buildOptionalPath(
+              rule.path, id, snapshot, rule.optional);
+
+          if (previousPath && previousPath !== path) {
+            fanout[previousPath] = null;
+          }
+
+          if (path) {
+            fanout[path] = this._getFanoutRuleValue(rule, snapshot);
+          }
+        }
+      }
+    });
+
+    return fanout;
+  },
+
+  /**
+   * @param {Object} rule
+   * @param {DS.Snapshot} snapshot
+   * @return {*} Value to write for the rule
+   * @private
+   */
+  _getFanoutRuleValue(rule, snapshot) {
+    if (typeof rule.value === 'function') {
+      return rule.value(snapshot);
+    } else if (rule.hasOwnProperty('value')) {
+      return rule.value;
+    }
+
+    return true;
+  },
+
+  /**
+   * Resolves a path template of a fanout rule or cascade. Placeholders
+   * listed as optional may have no value in which case there's no
+   * path. Any other unresolved placeholder throws.
+   *
+   * @param {string} template
+   * @param {string} id
+   * @param {DS.Snapshot|Object} source
+   * @param {Array.<string>} [optional=[]] Names of optional placeholders
+   * @return {string} Path or null when an optional placeholder has no
+   *                  value
+   * @private
+   */
+  _buildOptionalPath(template, id, source, optional = []) {
+    let isMissingValue = false;
+    const path = resolvePathTemplate(template, bind(this, (name) => {
+      const value = this._getPlaceholderValue(name, id, source);
+
+      if (optional.indexOf(name) !== -1 &&
+          (value === undefined || value === null || value === '')) {
+        isMissingValue = true;
+
+        return name;
+      }
+
+      return value;
+    }));
+
+    return isMissingValue ? null : path;
+  },
+
+  /**
+   * Gets the attribute and `belongsTo` values of the record as of
+   * its last save or push
+   *
+   * @param {DS.Store} store
+   * @param {DS.Model} type
+   * @param {DS.Snapshot} snapshot
+   * @return {Object} Values keyed by attribute or relationship name
+   * @private
+   */
+  _getPreviousValues(store, type, snapshot) {
+    if (typeof snapshot.eachAttribute !== 'function') {
+      return snapshot;
+    }
+
+    const serializer = store.serializerFor(type.modelName);
+    const previousRelationships =
+        typeof serializer.getPreviousRelationships === 'function' ?
+        serializer.getPreviousRelationships(snapshot) || {} : {};
+    const changedAttributes = snapshot.changedAttributes();
+    const values = {};
+
+    snapshot.eachAttribute((key) => {
+      values[key] = changedAttributes[key] ?
+          changedAttributes[key][0] : snapshot.attr(key);
+    });
+
+    snapshot.eachRelationship((key, relationship) => {
+      if (relationship.kind === 'belongsTo') {
+        values[key] = previousRelationships.hasOwnProperty(key) ?
+            previousRelationships[key] : snapshot.belongsTo(key, { id: true });
+      }
+    });
+
+    return values;
+  },
+
+  /**
+   * Saves the record through a Firebase transaction.
+   *
+   * When `adapterOptions.transaction` is a function, it'll be used as
+   * the update function and receives the current data and snapshot.
+   * Otherwise, the changed attributes are applied on top of the
+   * current data. Fanout outside of the record's node is written once
+   * the transaction commits.
+   *
+   * Versioned saves only commit when the record's version is still the
+   * one it was loaded with and then increment it. Otherwise, they
+   * reject with a `ConflictError` holding the server copy.
+   *
+   * @param {DS.Store} store
+   * @param {DS.Model} type
+   * @param {DS.Snapshot} snapshot
+   * @param {Object} serializedSnapshot Fanout from `_serializeSnapshot()`
+   * @return {Promise} Resolves with the committed record
+   * @private
+   */
+  _updateRecordWithTransaction(store, type, snapshot, serializedSnapshot) {
+    return new RSVP.Promise(bind(this, (resolve, reject) => {
+      const modelName = type.modelName;
+      const path = this._getSavePath(modelName, snapshot);
+      const adapterOptions = snapshot.adapterOptions || {};
+      const transaction = adapterOptions.transaction;
+      const isVersioned = this._isVersioned(type, adapterOptions);
+      const versionName = isVersioned ?
+          this._getVersionName(store, modelName) : undefined;
+      const version = isVersioned ?
+          this._getPreviousVersion(store, modelName, snapshot) : undefined;
+      const recordPath = this._getRecordPath(modelName, snapshot.id, path);
+      const { recordFanout, otherFanout } = this._splitRecordFanout(
+          serializedSnapshot, recordPath);
+
+      let isConflicting = false;
+
+      const onUpdate = (currentData) => {
+        if (isVersioned) {
+          // Nothing has been cached yet. Returning it as is makes
+          // Firebase retry with the server copy if there's one.
+          if (currentData === null && version > 0) {
+            isConflicting = true;
+
+            return null;
+          }
+
+          isConflicting = ((currentData && currentData[versionName]) || 0) !==
+              version;
+
+          if (isConflicting) {
+            return undefined;
+          }
+        }
+
+        const data = typeof transaction === 'function' ?
+            transaction(currentData, snapshot) :
+            this._applyFanout(currentData, recordFanout);
+
+        if (isVersioned && data) {
+          data[versionName] = version + 1;
+        }
+
+        return data;
+      };
+
+      const onComplete = bind(this, (error, isCommitted, dataSnapshot) => {
+        if (error) {
+          reject(toAdapterError(error, recordPath));
+        } else if (isConflicting) {
+          const conflictError = new ConflictError();
+
+          conflictError.serverCopy = dataSnapshot.exists() ?
+              this._getGetSnapshotWithId(dataSnapshot) : null;
+          reject(conflictError);
+        } else if (!isCommitted) {
+          reject(new TransactionAbortedError());
+        } else if (!dataSnapshot.exists()) {
+          // The transaction deleted the record or it never existed
+          reject(createNotFoundError(recordPath));
+        } else {
+          const onFanoutComplete = bind(this, (error) => {
+            if (error) {
+              reject(toAdapterError(error));
+            } else {
+              this._setupValueListener(store, modelName, snapshot.id, path);
+              this._commitEmbeddedRecords(store, snapshot);
+              resolve(this._getGetSnapshotWithId(dataSnapshot));
+            }
+          });
+
+          if (Object.keys(otherFanout).length > 0) {
+            this._update(otherFanout, onFanoutComplete);
+          } else {
+            onFanoutComplete(null);
+          }
+        }
+      });
+
+      this._getFirebaseReference(modelName, snapshot.id, path).transaction(
+          onUpdate, onComplete);
+    }));
+  },
+
+  /**
+   * Writes the fanout and increments the version of the record when
+   * its model is versioned. The record's part of the fanout is applied
+   * in a transaction along with the increment so that versioned saves
+   * made from an older copy of it conflict. The rest of the fanout is
+   * written once the transaction commits.
+   *
+   * @param {DS.Store} store
+   * @param {DS.Model} type
+   * @param {Object} [options] Adapter options
+   * @param {string} recordPath
+   * @param {Object} fanout
+   * @return {Promise} Resolves once the fanout has been written.
+   *                   Rejects with a not found error when a versioned
+   *                   record doesn't exist.
+   * @private
+   */
+  _updateVersionedRecord(store, type, options, recordPath, fanout) {
+    if (!this._hasVersion(type, options)) {
+      return this._updatePromise(fanout);
+    }
+
+    const { recordFanout, otherFanout } = this._splitRecordFanout(
+        fanout, recordPath);
+
+    return new RSVP.Promise(bind(this, (resolve, reject) => {
+      let isMissing = false;
+
+      // Null gets returned as is when the node isn't cached yet so that
+      // the server retries the transaction with what it has
+      const onUpdate = (currentData) => {
+        isMissing = currentData === null;
+
+        if (isMissing) {
+          return null;
+        }
+
+        return assign(
+            this._applyFanout(currentData, recordFanout),
+            this._getVersionIncrement(store, type, options, currentData));
+      };
+      const onComplete = bind(this, (error, isCommitted) => {
+        if (error) {
+          reject(toAdapterError(error, recordPath));
+        } else if (!isCommitted || isMissing) {
+          reject(createNotFoundError(recordPath));
+        } else {
+          resolve();
+        }
+      });
+
+      this.get('firebase').child(recordPath).transaction(
+          onUpdate, onComplete);
+    })).then(bind(this, () => {
+      if (Object.keys(otherFanout).length > 0) {
+        return this._updatePromise(otherFanout);
+      }
+    }));
+  },
+
+  /**
+   * @param {Object} fanout
+   * @param {string} recordPath
+   * @return {Object} `recordFanout` with the paths under the record
+   *                  made relative to it and `otherFanout` with the
+   *                  rest
+   * @private
+   */
+  _splitRecordFanout(fanout, recordPath) {
+    const recordFanout = {};
+    const otherFanout = {};
+
+    for (const key in fanout) {
+      if (fanout.hasOwnProperty(key)) {
+        const parsedKey = key.replace(/^\//, '');
+
+        if (parsedKey.indexOf(`${recordPath}/`) === 0) {
+          recordFanout[parsedKey.substring(recordPath.length + 1)] =
+              fanout[key];
+        } else {
+          otherFanout[key] = fanout[key];
+        }
+      }
+    }
+
+    return { recordFanout, otherFanout };
+  },
+
+  /**
+   * @param {Object} currentData
+   * @param {Object} fanout Fanout with paths relative to `currentData`
+   * @return {Object} New data with the fanout applied
+   * @private
+   */
+  _applyFanout(currentData, fanout) {
+    const data = currentData || {};
+
+    for (const key in fanout) {
+      if (fanout.hasOwnProperty(key)) {
+        const pathNodes = key.split('/');
+        const lastPathNode = pathNodes.pop();
+        let node = data;
+
+        pathNodes.forEach((pathNode) => {
+          if (typeof node[pathNode] !== 'object' || node[pathNode] === null) {
+            node[pathNode] = {};
+          }
+
+          node = node[pathNode];
+        });
+
+        if (fanout[key] === null) {
+          delete node[lastPathNode];
+        } else {
+          node[lastPathNode] = fanout[key];
+        }
+      }
+    }
+
+    return data;
+  },
+
+  /**
+   * Writes the fanout through the outbox when it's enabled
+   *
+   * @param {Object} fanout
+   * @param {function} onComplete Called with an error if it fails
+   * @param {string} [recordPath] Path of the record being saved so
+   *                              that invalid errors point to its
+   *                              attribute
+   * @private
+   */
+  _update(fanout, onComplete, recordPath) {
+    const firebaseOutbox = this.get('firebaseOutbox');
+
+    if (firebaseOutbox && firebaseOutbox.get('isEnabled')) {
+      firebaseOutbox.update(fanout).then(() => onComplete(null), (error) => {
+        if (error instanceof InvalidError) {
+          // Point to the attribute of the record being saved instead
+          onComplete(createInvalidError(
+              error, getInvalidPath(fanout), recordPath));
+        } else {
+          onComplete(error);
+        }
+      });
+    } else {
+      try {
+        this.get('firebase').update(fanout, onComplete);
+      } catch (error) {
+        // Firebase throws when it rejects the data before sending it
+        onComplete(createInvalidError(
+            error, getInvalidPath(fanout), recordPath));
+      }
+    }
+  },
+
+  /**
+   * Builds the inverse fanout of history entries along with the
+   * history entry of the revert itself
+   *
+   * @param {DS.Store} store
+   * @param {DS.Model} type
+   * @param {DS.Snapshot} snapshot
+   * @param {string} historyEntryId Entry being reverted
+   * @param {Object} values Reverted values keyed by attribute
+   * @return {Object} Fanout object
+   * @private
+   */
+  _serializeRevert(store, type, snapshot, historyEntryId, values) {
+    const modelName = type.modelName;
+    const recordPath = this._getRecordPath(
+        modelName, snapshot.id, this._getSavePath(modelName, snapshot));
+    const fanout = {};
+    const changes = {};
+
+    snapshot.eachAttribute((key, attribute) => {
+      if (values.hasOwnProperty(key)) {
+        fanout[`${recordPath}/${camelize(key)}`] = values[key];
+        changes[key] = {
+          oldValue: this._getRawAttributeValue(
+              store, type, attribute, snapshot.attr(key)),
+          newValue: values[key],
+        };
+      }
+    });
+
+    return assign(fanout, this._serializeHistoryEntry(
+        modelName, snapshot.id, 'revert', changes, {
+          revertedEntryId: historyEntryId,
+        }));
+  },
+
+  /**
+   * @param {Array.<Object>} entries History entries from the oldest to
+   *                                 the newest
+   * @return {Object} Value of each changed attribute before the oldest
+   *                  entry that changed it
+   * @private
+   */
+  _getRevertedValues(entries) {
+    const values = {};
+
+    entries.forEach((entry) => {
+      const changes = entry.changes || {};
+
+      Object.keys(changes).forEach((key) => {
+        if (!values.hasOwnProperty(key)) {
+          const oldValue = changes[key].oldValue;
+
+          values[key] = oldValue === undefined ? null : oldValue;
+        }
+      });
+    });
+
+    return values;
+  },
+
+  /**
+   * Builds the fanout appending an audit history entry of a record
+   *
+   * @param {string} modelName
+   * @param {string} id
+   * @param {string} event `create`, `update`, `delete`, `softDelete`,
+   *                       `restore`, `purge`, or `revert`
+   * @param {Object} [changes={}] Old and new values keyed by attribute
+   * @param {Object} [fields={}] Additional fields of the entry
+   * @return {Object} Fanout object
+   * @private
+   */
+  _serializeHistoryEntry(modelName, id, event, changes = {}, fields = {}) {
+    const entryId = this.generateIdForRecord();
+
+    return {
+      [`${this.pathForHistory(modelName, id)}/${entryId}`]: assign({
+        event: event,
+        changes: changes,
+        uid: this._getCurrentUserId(),
+        timestamp: firebase.database.ServerValue.TIMESTAMP,
+      }, fields),
+    };
+  },
+
+  /**
+   * Gets the old and new values of the changed attributes. Deleting a
+   * record changes all of its attributes to null while a soft delete
+   * doesn't change any.
+   *
+   * @param {DS.Store} store
+   * @param {DS.Model} type
+   * @param {DS.Snapshot} snapshot
+   * @param {string} event
+   * @return {Object} Old and new values keyed by attribute
+   * @private
+   */
+  _getHistoryChanges(store, type, snapshot, event) {
+    const changes = {};
+
+    if (typeof snapshot.eachAttribute !== 'function' ||
+        event === 'softDelete') {
+      return changes;
+    }
+
+    const changedAttributes = event === 'delete' ?
+        {} : snapshot.changedAttributes();
+
+    snapshot.eachAttribute((key, attribute) => {
+      const values = event === 'delete' ?
+          [ snapshot.attr(key), null ] : changedAttributes[key];
+
+      if (values) {
+        changes[key] = {
+          oldValue: this._getRawAttributeValue(
+              store, type, attribute, values[0]),
+          newValue: this._getRawAttributeValue(
+              store, type, attribute, values[1]),
+        };
+      }
+    });
+
+    return changes;
+  },
+
+  /**
+   * @param {DS.Store} store
+   * @param {DS.Model} type
+   * @param {Object} attribute Attribute meta
+   * @param {*} value
+   * @return {*} Value as it's stored in Firebase or null. Timestamps
+   *             are kept in milliseconds since their transform would
+   *             turn them into the server time of the write.
+   * @private
+   */
+  _getRawAttributeValue(store, type, attribute, value) {
+    if (value === undefined || value === null) {
+      return null;
+    }
+
+    if (attribute.type === 'timestamp') {
+      return value instanceof Date ? value.getTime() : value;
+    }
+
+    if (attribute.type) {
+      const serializer = store.serializerFor(type.modelName);
+
+      return serializer.transformFor(attribute.type).serialize(
+          value, attribute.options);
+    }
+
+    return value;
+  },
+
+  /**
+   * @param {DS.Model} type
+   * @param {Object} [options] Adapter options
+   * @return {boolean} True if writes should append an audit history
+   *                   entry as set in the options or else the model
+   * @private
+   */
+  _isAudited(type, options) {
+    return !!(options && options.hasOwnProperty('audit') ?
+        options.audit : type.audit);
+  },
+
+  /**
+   * @param {DS.Model} type
+   * @param {Object} [options] Adapter options
+   * @return {boolean} True if saves should check and increment the
+   *                   record's version as set in the options or else
+   *                   the model
+   * @private
+   */
+  _isVersioned(type, options) {
+    return !!(options && options.hasOwnProperty('versioned') ?
+        options.versioned : type.versioned);
+  },
+
+  /**
+   * @param {DS.Model} type
+   * @param {Object} [options] Adapter options
+   * @return {boolean} True if records of the model carry a version.
+   *                   Writes that skip the version check still have to
+   *                   increment it.
+   * @private
+   */
+  _hasVersion(type, options) {
+    return !!type.versioned || this._isVersioned(type, options);
+  },
+
+  /**
+   * @param {DS.Store} store
+   * @param {DS.Model} type
+   * @param {Object} [options] Adapter options
+   * @param {Object} [data] Current data of the record
+   * @return {Object} Next version of the record keyed by the version
+   *                  name. Empty when the model isn't versioned.
+   * @private
+   */
+  _getVersionIncrement(store, type, options, data) {
+    if (!store || !this._hasVersion(type, options)) {
+      return {};
+    }
+
+    const versionName = this._getVersionName(store, type.modelName);
+
+    return { [versionName]: ((data && data[versionName]) || 0) + 1 };
+  },
+
+  /**
+   * @param {DS.Store} store
+   * @param {DS.Model} type
+   * @param {Object} [options] Adapter options
+   * @return {string} Key holding the version of a record that gets
+   *                  moved. Undefined when the model isn't versioned.
+   * @private
+   */
+  _getMoveVersionName(store, type, options) {
+    if (store && this._hasVersion(type, options)) {
+      return this._getVersionName(store, type.modelName);
+    }
+  },
+
+  /**
+   * @param {DS.Store} store
+   * @param {string} modelName
+   * @return {string} Key holding the version of a record
+   * @private
+   */
+  _getVersionName(store, modelName) {
+    return store.serializerFor(modelName).get('versionName');
+  },
+
+  /**
+   * @param {DS.Store} store
+   * @param {string} modelName
+   * @param {DS.Snapshot} snapshot
+   * @return {number} Version the record was loaded with. 0 for new
+   *                  records.
+   * @private
+   */
+  _getPreviousVersion(store, modelName, snapshot) {
+    return store.serializerFor(modelName).getPreviousVersion(snapshot) || 0;
+  },
+
+  /**
+   * @param {firebase.database.Reference|firebase.database.Query} ref
+   * @param {string} path Path being read
+   * @return {Promise} Resolves with the data snapshot
+   * @private
+   */
+  _once(ref, path) {
+    return RSVP.resolve(ref.once('value')).catch((error) => {
+      throw toAdapterError(error, path);
+    });
+  },
+
+  /**
+   * Runs the operation through the `firebase-retry` service when
+   * it's available
+   *
+   * @param {function} operation Returns a promise
+   * @param {Object} context Passed to the retry hooks
+   * @return {Promise} Resolves or rejects like the last attempt
+   * @private
+   */
+  _retry(operation, context) {
+    const firebaseRetry = this.get('firebaseRetry');
+
+    return firebaseRetry ? firebaseRetry.run(operation, context) : operation();
+  },
+
+  /**
+   * @param {Error} error
+   * @param {number} attempt Number of the attempt that failed
+   * @param {Object} context Passed to the retry hooks
+   * @return {Promise} Resolves when it's time for the next attempt.
+   *                   Otherwise, rejects with the error.
+   * @private
+   */
+  _scheduleRetry(error, attempt, context) {
+    const firebaseRetry = this.get('firebaseRetry');
+
+    if (firebaseRetry) {
+      return firebaseRetry.scheduleRetry(error, attempt, context);
+    }
+
+    return RSVP.reject(error);
+  },
+
+  /**
+   * @param {Object} fanout
+   * @return {Promise} Resolves once the fanout has been written
+   * @private
+   */
+  _updatePromise(fanout) {
+    return new RSVP.Promise(bind(this, (resolve, reject) => {
+      this._update(fanout, bind(this, (error) => {
+        if (error) {
+          reject(toAdapterError(error));
+        } else {
+          resolve();
+        }
+      }));
+    }));
+  },
+
+  /**
+   * @param {DS.Store} store
+   * @param {string} modelName
+   * @param {string} id
+   * @param {string} path
+   * @param {string} [holder='record'] Who is holding on to the listener
+   * @private
+   */
+  _setupValueListener(store, modelName, id, path, holder = 'record') {
+    const fastboot = this.get('fastboot');
+
+    if (!fastboot || !fastboot.get('isFastBoot')) {
+      const key = this._getRecordPath(modelName, id, path);
+
+      if (this._isListenerTracked(key, 'value')) {
+        this._trackListener(key, 'value', { holder: holder });
+      } else {
+        const ref = this._getFirebaseReference(modelName, id, path);
+        // Polymorphic records get pushed as the model of their type key
+        let pushedModelName = modelName;
+        let attempt = 1;
+        const onValue = bind(this, (snapshot) => {
+          attempt = 1;
+
+          if (snapshot.exists() && !this._isSoftDeleted(snapshot.val())) {
+            const snapshotWithId = this._getGetSnapshotWithId(snapshot);
+            const normalizedRecord = store.normalize(modelName, snapshotWithId);
+
+            if (normalizedRecord && normalizedRecord.data) {
+              pushedModelName = normalizedRecord.data.type;
+            }
 
             next(() => {
               store.push(normalizedRecord);
             });
           } else {
-            this._unloadRecord(store, modelName, id);
+            this._unloadRecord(store, pushedModelName, id);
           }
-        }), bind(this, (error) => {
-          this._unloadRecord(store, modelName, id);
-        }));
+        });
+
+        // The Realtime Database only cancels listeners with
+        // PERMISSION_DENIED. This retries nothing unless it's one of the
+        // firebase-retry service's retryableCodes.
+        const onCancel = bind(this, (error) => {
+          const context = {
+            method: 'findRecord',
+            modelName: modelName,
+            id: id,
+            path: key,
+          };
+
+          this._scheduleRetry(toAdapterError(error, key), attempt, context)
+              .then(bind(this, () => {
+                // The record may have been unloaded while waiting
+                if (this._isListenerTracked(key, 'value')) {
+                  attempt++;
+                  ref.on('value', onValue, onCancel);
+                }
+              }), bind(this, () => {
+                this._unloadRecord(store, pushedModelName, id);
+              }));
+        });
+
+        ref.on('value', onValue, onCancel);
+
+        this._trackListener(key, 'value', {
+          holder: holder,
+          ref: ref,
+          callback: onValue,
+          modelName: modelName,
+          id: id,
+        });
+        this._setupUnloadListener(store, modelName);
       }
     }
   },
@@ -331,91 +2405,728 @@ export default Adapter.extend({
     const fastboot = this.get('fastboot');
 
     if (!fastboot || !fastboot.get('isFastBoot')) {
-      const path = `${this._getParsedModelName(modelName)}`;
+      const path = this._getPathForType(modelName);
 
       if (!this._isListenerTracked(path, 'child_added')) {
-        this._trackListener(path, 'child_added');
-
         const ref = this._getFirebaseReference(modelName);
+        const onChildAdded = bind(this, (snapshot) => {
+          const key = `${path}/${snapshot.key}`;
 
-        ref.on('child_added', bind(this, (snapshot) => {
-          this._setupValueListener(store, modelName, snapshot.key);
-        }));
+          if (!this._isListenerTracked(key, 'value')) {
+            this._setupValueListener(store, modelName, snapshot.key);
+          }
+        });
+
+        ref.on('child_added', onChildAdded);
+
+        this._trackListener(path, 'child_added', {
+          holder: 'record',
+          ref: ref,
+          callback: onChildAdded,
+          modelName: modelName,
+        });
+      }
+    }
+  },
+
+  /**
+   * Releases the listeners of records and what the serializer cached
+   * about them once they get unloaded from the store
+   *
+   * @param {DS.Store} store
+   * @param {string} modelName
+   * @private
+   */
+  _setupUnloadListener(store, modelName) {
+    const unloadObservedModelNames = this.get('_unloadObservedModelNames');
+
+    if (!unloadObservedModelNames[modelName]) {
+      unloadObservedModelNames[modelName] = true;
+
+      onRecordUnload(store, modelName, bind(this, (id) => {
+        this.release(modelName, id);
+        store.serializerFor(modelName).forgetRecord(modelName, id);
+      }));
+    }
+  },
+
+  /**
+   * Releases the listeners held by a query record array once it gets
+   * destroyed
+   *
+   * @param {DS.AdapterPopulatedRecordArray} recordArray
+   * @private
+   */
+  _setupRecordArrayRelease(recordArray) {
+    onDestroy(recordArray, this.get('_onRecordArrayDestroy'));
+  },
+
+  /**
+   * @param {DS.AdapterPopulatedRecordArray} recordArray
+   * @private
+   */
+  _releaseRecordArray(recordArray) {
+    const holder = this._getRecordArrayHolder(recordArray);
+    const listenerHandles = this.get('_listenerHandles');
+    const trackedQueries = this.get('trackedQueries');
+
+    for (const key in listenerHandles) {
+      if (listenerHandles.hasOwnProperty(key)) {
+        for (const type in listenerHandles[key]) {
+          if (listenerHandles[key].hasOwnProperty(type)) {
+            this._untrackListener(key, type, holder);
+          }
+        }
+      }
+    }
+
+    if (recordArray.get('firebase')) {
+      recordArray.get('firebase').off();
+    }
+
+    for (const cacheId in trackedQueries) {
+      if (trackedQueries[cacheId] === recordArray) {
+        const newTrackedQueries = assign({}, trackedQueries);
+
+        delete newTrackedQueries[cacheId];
+
+        this.set('trackedQueries', newTrackedQueries);
+      }
+    }
+  },
+
+  /**
+   * Keeps the record array in the same order as the query. The keys of
+   * the query are tracked as the listener sees them so that records
+   * loading out of order still end up in the right place.
+   *
+   * @param {DS.Store} store
+   * @param {string} modelName
+   * @param {Object} query
+   * @param {string} recordPath
+   * @param {DS.AdapterPopulatedRecordArray} recordArray
+   * @param {firebase.database.Query} ref
+   * @private
+   */
+  _setupQueryListListener(
+      store, modelName, query, recordPath, recordArray, ref) {
+    const fastboot = this.get('fastboot');
+
+    if (!fastboot || !fastboot.get('isFastBoot')) {
+      const holder = this._getRecordArrayHolder(recordArray);
+      const keys = [];
+      const removeKey = (key) => {
+        if (keys.indexOf(key) !== -1) {
+          keys.splice(keys.indexOf(key), 1);
+        }
+      };
+      const placeKey = (key, prevChildKey) => {
+        removeKey(key);
+        keys.splice(prevChildKey ? keys.indexOf(prevChildKey) + 1 : 0, 0, key);
+      };
+      const placeMatchingRecord = (snapshot) => {
+        return this._findMatchingRecords(
+            store, modelName, query, recordPath, [ snapshot ], holder).then(
+            (records) => {
+              records.forEach((record) => {
+                // We're using a private API here and will likely break
+                // without warning. We need to make sure that our
+                // acceptance tests will capture this even if indirectly.
+                const internalModel = record._internalModel;
+
+                if (keys.indexOf(internalModel.id) !== -1) {
+                  this._placeInRecordArray(
+                      recordArray, internalModel, keys, query);
+                }
+              });
+
+              return records.length > 0;
+            });
+      };
+      const onChildAdded = bind(this, (snapshot, prevChildKey) => {
+        placeKey(snapshot.key, prevChildKey);
+        placeMatchingRecord(snapshot);
+      });
+      const onChildMoved = bind(this, (snapshot, prevChildKey) => {
+        const internalModel = recordArray.get('content').findBy(
+            'id', snapshot.key);
+
+        placeKey(snapshot.key, prevChildKey);
+
+        if (internalModel) {
+          this._placeInRecordArray(recordArray, internalModel, keys, query);
+        }
+      });
+      const onChildChanged = bind(this, (snapshot, prevChildKey) => {
+        const isInRecordArray = !!recordArray.get('content').findBy(
+            'id', snapshot.key);
+
+        if (!query.where && isInRecordArray &&
+            !this._isSoftDeleted(snapshot.val())) {
+          onChildMoved(snapshot, prevChildKey);
+
+          return;
+        }
+
+        // The record could have started or stopped matching `where` or
+        // got soft deleted or restored
+        placeKey(snapshot.key, prevChildKey);
+        placeMatchingRecord(snapshot).then((isMatching) => {
+          const content = recordArray.get('content');
+          const internalModel = content.findBy('id', snapshot.key);
+
+          if (!isMatching && internalModel) {
+            content.removeObject(internalModel);
+            this._untrackListener(
+                this._getRecordPath(modelName, snapshot.key, recordPath),
+                'value', holder);
+          }
+        });
+      });
+      const onChildRemoved = bind(this, (snapshot) => {
+        const record = recordArray.get('content').findBy('id', snapshot.key);
+
+        removeKey(snapshot.key);
+
+        if (record) {
+          recordArray.get('content').removeObject(record);
+        }
+      });
+      const listeners = [{
+        type: 'child_added',
+        callback: onChildAdded,
+      }, {
+        type: 'child_moved',
+        callback: onChildMoved,
+      }, {
+        type: 'child_changed',
+        callback: onChildChanged,
+      }, {
+        type: 'child_removed',
+        callback: onChildRemoved,
+      }];
+
+      listeners.forEach((listener) => {
+        ref.on(listener.type, listener.callback);
+        recordArray.get('firebase._listeners').push(
+            assign({ ref: ref }, listener));
+      });
+    }
+  },
+
+  /**
+   * Gets the reference that the listeners of a `cacheId` query listen
+   * to. It covers every record loaded so far rather than the limit of
+   * the first page so that records of the other pages still get
+   * removed and a record added in between doesn't push a loaded one
+   * out of the listener. Once there's nothing more to load, it's open
+   * ended so that new records still come in.
+   *
+   * @param {string} modelName
+   * @param {Object} query
+   * @param {Object} cursors First and last cursor of the query
+   * @param {boolean} hasMore
+   * @return {firebase.database.Query} Reference for the loaded records
+   * @private
+   */
+  _getQueryListReference(modelName, query, cursors, hasMore) {
+    const isLimitToLast = query.hasOwnProperty('limitToLast');
+    const cursor = isLimitToLast ? cursors.first : cursors.last;
+    let ref = this._getFirebaseReference(
+        modelName, undefined, this._getQueryPath(modelName, query));
+
+    if (!hasMore || !cursor) {
+      const rangeQuery = assign({}, query);
+
+      delete rangeQuery.limitToFirst;
+      delete rangeQuery.limitToLast;
+
+      return this._setupQuerySortingAndFiltering(ref, rangeQuery);
+    }
+
+    const cursorArgs = query.orderBy === 'id' ?
+        [ cursor.key ] : [ cursor.value, cursor.key ];
+
+    ref = this._setupQuerySortingAndFiltering(ref, { orderBy: query.orderBy });
+
+    if (isLimitToLast) {
+      ref = ref.startAt(...cursorArgs);
+
+      if (query.hasOwnProperty('equalTo')) {
+        return ref.endAt(query.equalTo);
+      } else if (query.hasOwnProperty('endAt')) {
+        return ref.endAt(query.endAt);
+      }
+
+      return ref;
+    }
+
+    if (query.hasOwnProperty('equalTo')) {
+      ref = ref.startAt(query.equalTo);
+    } else if (query.hasOwnProperty('startAt')) {
+      ref = ref.startAt(query.startAt);
+    }
+
+    return ref.endAt(...cursorArgs);
+  },
+
+  /**
+   * Moves the listeners of a `cacheId` query over the records loaded
+   * so far after loading a page. The new listeners are set up before
+   * the old ones are turned off so that the data stays cached.
+   *
+   * @param {DS.Store} store
+   * @param {string} modelName
+   * @param {Object} query
+   * @param {string} recordPath
+   * @param {DS.AdapterPopulatedRecordArray} recordArray
+   * @param {Object} cursors First and last cursor of the query
+   * @private
+   */
+  _moveQueryListListener(
+      store, modelName, query, recordPath, recordArray, cursors) {
+    const extension = recordArray.get('firebase');
+    const listeners = extension.get('_listeners');
+
+    if (listeners.length > 0) {
+      extension.set('_listeners', []);
+      this._setupQueryListListener(
+          store, modelName, query, recordPath, recordArray,
+          this._getQueryListReference(
+              modelName, query, cursors, extension.get('hasMore')));
+      listeners.forEach((listener) => {
+        listener.ref.off(listener.type, listener.callback);
+      });
+    }
+  },
+
+  /**
+   * Moves a record next to its neighbours in the query. When none of
+   * its neighbours are in the record array, it goes to the start of
+   * the record array or to the end for `limitToLast` queries since
+   * that's where the query is when paginating.
+   *
+   * @param {DS.AdapterPopulatedRecordArray} recordArray
+   * @param {InternalModel} internalModel
+   * @param {Array.<string>} keys Keys of the query in order
+   * @param {Object} query
+   * @private
+   */
+  _placeInRecordArray(recordArray, internalModel, keys, query) {
+    const content = recordArray.get('content');
+    const others = content.without(internalModel);
+    const keyIndex = keys.indexOf(internalModel.id);
+    let index = -1;
+
+    for (let i = keyIndex - 1; i >= 0 && index === -1; i--) {
+      const previous = others.findBy('id', keys[i]);
+
+      if (previous) {
+        index = others.indexOf(previous) + 1;
+      }
+    }
+
+    for (let i = keyIndex + 1; i < keys.length && index === -1; i++) {
+      const following = others.findBy('id', keys[i]);
+
+      if (following) {
+        index = others.indexOf(following);
+      }
+    }
+
+    if (index === -1) {
+      index = query.hasOwnProperty('limitToLast') ? others.length : 0;
+    }
+
+    if (content.indexOf(internalModel) !== index) {
+      content.removeObject(internalModel);
+      content.insertAt(index, internalModel);
+    }
+  },
+
+  /**
+   * Gets the proxy for a `queryRecord()` with a `cacheId`. A proxy
+   * already tracked for the `cacheId` is reused so that whatever is
+   * bound to it keeps updating.
+   *
+   * @param {Object} query
+   * @return {Ember.ObjectProxy} Proxy or null when not needed
+   * @private
+   */
+  _getQueryRecordProxy(query) {
+    const fastboot = this.get('fastboot');
+
+    if (!query.hasOwnProperty('cacheId') ||
+        (fastboot && fastboot.get('isFastBoot'))) {
+      return null;
+    }
+
+    const trackedProxy = this.peekQueryRecord(query.cacheId);
+
+    if (trackedProxy) {
+      this._releaseRecordArray(trackedProxy);
+
+      return trackedProxy;
+    }
+
+    const proxy = ObjectProxy.create({
+      content: null,
+      firebase: EmberObject.create({
+        _listeners: [],
+        _sequence: 0,
+
+        off() {
+          this.get('_listeners').forEach((listener) => {
+            listener.ref.off(listener.type, listener.callback);
+          });
+          this.set('_listeners', []);
+        },
+      }),
+    });
+
+    this._setupRecordArrayRelease(proxy);
+
+    return proxy;
+  },
+
+  /**
+   * Keeps the query of a `queryRecord()` listening and swaps the
+   * content of its proxy when a different child matches
+   *
+   * @param {DS.Store} store
+   * @param {string} modelName
+   * @param {Object} query
+   * @param {Ember.ObjectProxy} proxy
+   * @param {firebase.database.Query} ref
+   * @param {function} [onInitialValue] Initial value listener to replace
+   * @private
+   */
+  _setupQueryRecordListener(
+      store, modelName, query, proxy, ref, onInitialValue) {
+    const holder = this._getRecordArrayHolder(proxy);
+    const extension = proxy.get('firebase');
+    const recordPath = query.isReference ?
+        null : this._getQueryPath(modelName, query);
+    const releaseRecord = (id) => {
+      if (id) {
+        this._untrackListener(
+            this._getRecordPath(modelName, id, recordPath), 'value', holder);
       }
+    };
+    const onValue = bind(this, (snapshot) => {
+      // Records can resolve out of order so only the one found for the
+      // latest value gets to be the content
+      const sequence = extension.incrementProperty('_sequence');
+
+      if (snapshot.exists()) {
+        snapshot.forEach((child) => {
+          if (child.key !== proxy.get('content.id')) {
+            store.findRecord(modelName, child.key, {
+              adapterOptions: { path: recordPath, _listenerHolder: holder },
+            }).then((record) => {
+              const id = record.get('id');
+
+              if (sequence === extension.get('_sequence')) {
+                releaseRecord(proxy.get('content.id'));
+                proxy.set('content', record);
+              } else if (id !== proxy.get('content.id')) {
+                releaseRecord(id);
+              }
+            });
+          }
+        });
+      } else {
+        releaseRecord(proxy.get('content.id'));
+        proxy.set('content', null);
+      }
+    });
+
+    if (onInitialValue) {
+      ref.off('value', onInitialValue);
+    }
+
+    ref.on('value', onValue);
+    proxy.get('firebase._listeners').push({
+      ref: ref,
+      type: 'value',
+      callback: onValue,
+    });
+    this._trackQuery(query.cacheId, proxy);
+  },
+
+  /**
+   * Sets up `recordArray.firebase` which handles the pagination and
+   * listeners of the query
+   *
+   * @param {DS.Store} store
+   * @param {string} modelName
+   * @param {Object} query
+   * @param {DS.AdapterPopulatedRecordArray} recordArray
+   * @param {Object} pageState Cursors and whether the query has more
+   * @private
+   */
+  _setupRecordExtensions(store, modelName, query, recordArray, pageState) {
+    const adapter = this;
+    const cursors = pageState.cursors;
+
+    recordArray.set('firebase', EmberObject.create({
+      hasMore: pageState.hasMore,
+      isLoadingMore: false,
+      _listeners: [],
+
+      next(numberOfRecords) {
+        if (query.hasOwnProperty('limitToLast')) {
+          return this.previous(numberOfRecords);
+        }
+
+        return adapter._loadPage(
+            store, modelName, query, recordArray, cursors, numberOfRecords,
+            true);
+      },
+
+      previous(numberOfRecords) {
+        // Only `limitToLast` queries have records before their first
+        // page
+        if (!query.hasOwnProperty('limitToLast')) {
+          return RSVP.resolve(recordArray);
+        }
+
+        return adapter._loadPage(
+            store, modelName, query, recordArray, cursors, numberOfRecords,
+            false);
+      },
+
+      off() {
+        this.get('_listeners').forEach((listener) => {
+          listener.ref.off(listener.type, listener.callback);
+        });
+        this.set('_listeners', []);
+      },
+    }));
+  },
+
+  /**
+   * @param {Object} query
+   * @param {Array.<firebase.database.DataSnapshot>} children
+   *    Query result snapshots
+   * @return {Object} First and last cursor of the query and whether it
+   *                  has more records to load
+   * @private
+   */
+  _getPageState(query, children) {
+    const limit = query.limitToFirst || query.limitToLast;
+    const cursors = {};
+
+    if (children.length > 0) {
+      cursors.first = this._getQueryCursor(children[0], query.orderBy);
+      cursors.last = this._getQueryCursor(
+          children[children.length - 1], query.orderBy);
+    }
+
+    return { cursors: cursors, hasMore: !!limit && children.length >= limit };
+  },
+
+  /**
+   * Loads the page of records after the last record or before the
+   * first record of the query and adds them to the record array
+   *
+   * @param {DS.Store} store
+   * @param {string} modelName
+   * @param {Object} query
+   * @param {DS.AdapterPopulatedRecordArray} recordArray
+   * @param {Object} cursors First and last cursor of the query
+   * @param {number} numberOfRecords
+   * @param {boolean} isForward True to load after the last record
+   * @return {Promise} Resolves with the record array
+   * @private
+   */
+  _loadPage(
+      store, modelName, query, recordArray, cursors, numberOfRecords,
+      isForward) {
+    const extension = recordArray.get('firebase');
+    const cursor = isForward ? cursors.last : cursors.first;
+
+    if (!extension.get('hasMore') || extension.get('isLoadingMore') ||
+        !cursor) {
+      return RSVP.resolve(recordArray);
     }
+
+    extension.set('isLoadingMore', true);
+
+    const holder = this._getRecordArrayHolder(recordArray);
+    const loadPage = (numberOfMatches) => {
+      const recordPath = query.isReference ?
+          null : this._getQueryPath(modelName, query);
+      const cursor = isForward ? cursors.last : cursors.first;
+      const ref = this._getPageReference(
+          modelName, query, cursor, numberOfRecords, isForward);
+      const children = [];
+
+      return ref.once('value').then(bind(this, (snapshot) => {
+        snapshot.forEach((child) => {
+          // The cursor is inclusive so we skip the record we already have
+          if (child.key !== cursor.key) {
+            children.push(child);
+          }
+        });
+
+        return this._findMatchingRecords(
+            store, modelName, query, recordPath, children, holder);
+      })).then(bind(this, (records) => {
+        // We're using a private API here and will likely break
+        // without warning. We need to make sure that our acceptance
+        // tests will capture this even if indirectly.
+        const content = recordArray.get('content');
+        const internalModels = records.map((record) => {
+          return record._internalModel;
+        }).filter((internalModel) => !content.includes(internalModel));
+        const hasMore = children.length >= numberOfRecords;
+        const numberOfPageMatches = numberOfMatches + records.length;
+
+        if (children.length > 0) {
+          if (isForward) {
+            cursors.last = this._getQueryCursor(
+                children[children.length - 1], query.orderBy);
+            content.pushObjects(internalModels);
+          } else {
+            cursors.first = this._getQueryCursor(children[0], query.orderBy);
+            content.unshiftObjects(internalModels);
+          }
+        }
+
+        // Records filtered out by `where` don't count towards the page
+        if (hasMore && numberOfPageMatches < numberOfRecords) {
+          return loadPage(numberOfPageMatches);
+        }
+
+        extension.setProperties({ hasMore: hasMore, isLoadingMore: false });
+        this._moveQueryListListener(
+            store, modelName, query, recordPath, recordArray, cursors);
+
+        return recordArray;
+      }));
+    };
+
+    return RSVP.resolve().then(() => loadPage(0)).catch(bind(this, (error) => {
+      extension.set('isLoadingMore', false);
+
+      throw toAdapterError(error, this._getQueryPath(modelName, query));
+    }));
+  },
+
+  /**
+   * Finds the records of query result children that match
+   * `query.where`.
+   *
+   * Children of a reference query only point to their records so
+   * those are checked after they've been found.
+   *
+   * @param {DS.Store} store
+   * @param {string} modelName
+   * @param {Object} query
+   * @param {string} recordPath
+   * @param {Array.<firebase.database.DataSnapshot>} children
+   * @param {string} holder Listener holder of the record array
+   * @return {Promise} Resolves with the matching records
+   * @private
+   */
+  _findMatchingRecords(store, modelName, query, recordPath, children, holder) {
+    const candidates = query.isReference ? children : children.filter(
+        (child) => this._isMatchingQuery(
+            query, this._getGetSnapshotWithId(child)));
+
+    return RSVP.all(candidates.map((child) => {
+      const recordPromise = store.findRecord(modelName, child.key, {
+        adapterOptions: { path: recordPath, _listenerHolder: holder },
+      });
+
+      // References to records that don't exist or are soft deleted are
+      // left out
+      return query.isReference ?
+          recordPromise.catch(() => null) : recordPromise;
+    })).then(bind(this, (records) => {
+      if (!query.isReference) {
+        return records;
+      }
+
+      return records.filter((record) => {
+        if (!record) {
+          return false;
+        }
+
+        const snapshot = createRecordSnapshot(record);
+
+        if (this._isMatchingQuery(query, snapshot)) {
+          return true;
+        }
+
+        this._untrackListener(
+            this._getRecordPath(modelName, snapshot.id, recordPath),
+            'value', holder);
+
+        return false;
+      });
+    }));
   },
 
   /**
-   * @param {DS.Store} store
    * @param {string} modelName
-   * @param {string} recordPath
-   * @param {DS.AdapterPopulatedRecordArray} recordArray
-   * @param {firebase.database.DataSnapshot} ref
+   * @param {Object} query
+   * @param {Object} cursor
+   * @param {number} numberOfRecords
+   * @param {boolean} isForward
+   * @return {firebase.database.Reference} Reference for the page
    * @private
    */
-  _setupQueryListListener(store, modelName, recordPath, recordArray, ref) {
-    const fastboot = this.get('fastboot');
+  _getPageReference(modelName, query, cursor, numberOfRecords, isForward) {
+    const cursorArgs = query.orderBy === 'id' ?
+        [ cursor.key ] : [ cursor.value, cursor.key ];
+    let ref = this._getFirebaseReference(
+        modelName, undefined, this._getQueryPath(modelName, query));
 
-    if (!fastboot || !fastboot.get('isFastBoot')) {
-      const onChildAdded = bind(this, (snapshot) => {
-        store.findRecord(modelName, snapshot.key, {
-          adapterOptions: { path: recordPath },
-        }).then((record) => {
-          // We're using a private API here and will likely break
-          // without warning. We need to make sure that our acceptance
-          // tests will capture this even if indirectly.
-          recordArray.get('content').addObject(record._internalModel);
-        });
-      });
+    ref = this._setupQuerySortingAndFiltering(ref, { orderBy: query.orderBy });
 
-      ref.on('child_added', onChildAdded);
+    if (isForward) {
+      ref = ref.startAt(...cursorArgs);
 
-      const onChildRemoved = bind(this, (snapshot) => {
-        const record = recordArray.get('content').findBy('id', snapshot.key);
+      if (query.hasOwnProperty('equalTo')) {
+        ref = ref.endAt(query.equalTo);
+      } else if (query.hasOwnProperty('endAt')) {
+        ref = ref.endAt(query.endAt);
+      }
 
-        if (record) {
-          recordArray.get('content').removeObject(record);
-        }
-      });
+      return ref.limitToFirst(numberOfRecords + 1);
+    }
 
-      ref.on('child_removed', onChildRemoved);
+    ref = ref.endAt(...cursorArgs);
 
-      this._setupRecordExtensions(
-          recordArray, ref, onChildAdded, onChildRemoved);
+    if (query.hasOwnProperty('equalTo')) {
+      ref = ref.startAt(query.equalTo);
+    } else if (query.hasOwnProperty('startAt')) {
+      ref = ref.startAt(query.startAt);
     }
+
+    return ref.limitToLast(numberOfRecords + 1);
   },
 
   /**
-   * @param {DS.AdapterPopulatedRecordArray} recordArray
-   * @param {firebase.database.DataSnapshot} ref
-   * @param {function} onChildAdded
-   * @param {function} onChildRemoved
+   * @param {firebase.database.DataSnapshot} snapshot
+   * @param {string} orderBy
+   * @return {Object} Key and sort value of the snapshot
    * @private
    */
-  _setupRecordExtensions(recordArray, ref, onChildAdded, onChildRemoved) {
-    recordArray.set('firebase', {
-      next(numberOfRecords) {
-        ref.off('child_added', onChildAdded);
-        ref.off('child_removed', onChildRemoved);
-
-        const query = recordArray.get('query');
-
-        if (query.hasOwnProperty('limitToFirst')) {
-          query.limitToFirst += numberOfRecords;
-        }
-
-        if (query.hasOwnProperty('limitToLast')) {
-          query.limitToLast += numberOfRecords;
-        }
+  _getQueryCursor(snapshot, orderBy) {
+    let value;
 
-        return recordArray.update();
-      },
+    if (orderBy === 'id') {
+      value = snapshot.key;
+    } else if (orderBy === '.value') {
+      value = snapshot.val();
+    } else {
+      value = snapshot.child(orderBy).val();
+    }
 
-      off() {
-        ref.off('child_added', onChildAdded);
-        ref.off('child_removed', onChildRemoved);
-      },
-    });
+    return { key: snapshot.key, value: value };
   },
 
   /**
@@ -476,13 +3187,18 @@ export default Adapter.extend({
     const referencePath = ref.toString().substring(ref.root.toString().length);
     const pathNodes = referencePath.split('/');
 
-    pathNodes.shift();
     pathNodes.pop();
 
+    // References encode their path when turned into a string
+    const originPath = pathNodes.map(decodeURIComponent).join('/');
+
+    pathNodes.shift();
+
     const newSnapshot = snapshot.val();
 
     newSnapshot.id = snapshot.key;
     newSnapshot[this.get('innerReferencePathName')] = pathNodes.join('/');
+    newSnapshot[this.get('originPathName')] = originPath;
 
     return newSnapshot;
   },
@@ -500,8 +3216,23 @@ export default Adapter.extend({
     if (path) {
       return firebase.child(`${path}/${id}`);
     } else {
-      return firebase.child(`${this._getParsedModelName(modelName)}/${id}`);
+      return firebase.child(`${this._getPathForType(modelName)}/${id}`);
+    }
+  },
+
+  /**
+   * @param {string} modelName
+   * @param {string} id
+   * @param {string} [path]
+   * @return {string} Path of the record
+   * @private
+   */
+  _getRecordPath(modelName, id, path) {
+    if (path) {
+      return `${path}/${id}`;
     }
+
+    return `${this._getPathForType(modelName)}/${id}`;
   },
 
   /**
@@ -512,6 +3243,272 @@ export default Adapter.extend({
     return camelize(pluralize(modelName));
   },
 
+  /**
+   * @param {string} modelName
+   * @return {string} Resolved path of the model's node
+   * @private
+   */
+  _getPathForType(modelName) {
+    return this._buildPath(this.pathForType(modelName));
+  },
+
+  /**
+   * @param {string} modelName
+   * @param {Object} query
+   * @return {string} Resolved path of the node to query
+   * @private
+   */
+  _getQueryPath(modelName, query) {
+    return query.path ||
+        this._buildPath(this.pathForQuery(modelName, query), null, query);
+  },
+
+  /**
+   * @param {string} modelName
+   * @param {DS.Snapshot} snapshot
+   * @return {string} Resolved path of the node holding the record
+   * @private
+   */
+  _getSavePath(modelName, snapshot) {
+    return this._getAdapterOptionsPath(snapshot) ||
+        this._getOriginPath(modelName, snapshot) ||
+        this._buildPath(
+            this.pathForSave(modelName, snapshot), snapshot.id, snapshot);
+  },
+
+  /**
+   * @param {DS.Snapshot} [snapshot]
+   * @return {string} Path in the adapter options or undefined
+   * @private
+   */
+  _getAdapterOptionsPath(snapshot) {
+    const adapterOptions = snapshot ? snapshot.adapterOptions : null;
+
+    return adapterOptions && adapterOptions.path ?
+        adapterOptions.path : undefined;
+  },
+
+  /**
+   * Gets the full path of the node the record was loaded from. The
+   * serializer keeps it for records in the store since it isn't an
+   * attribute.
+   *
+   * @param {string} modelName
+   * @param {DS.Snapshot|Object} snapshot Snapshot or record payload
+   * @return {string} Path or undefined when it wasn't loaded
+   * @private
+   */
+  _getOriginPath(modelName, snapshot) {
+    const store = this.get('store');
+
+    if (store && typeof snapshot.eachAttribute === 'function') {
+      const serializer = store.serializerFor(modelName);
+
+      return typeof serializer.getOriginPath === 'function' ?
+          serializer.getOriginPath(snapshot) : undefined;
+    }
+
+    return this._getSourceValue(snapshot, this.get('originPathName'));
+  },
+
+  /**
+   * @param {string} modelName
+   * @return {Object} `polymorphic` class property of the model or
+   *                  undefined
+   * @private
+   */
+  _getPolymorphicOptions(modelName) {
+    const store = this.get('store');
+
+    return store ? store.modelFor(modelName).polymorphic : undefined;
+  },
+
+  /**
+   * @param {string} modelName
+   * @param {Object} record Record payload
+   * @return {boolean} True if the record's type key is the model name
+   *                   or if it's not a polymorphic subclass
+   * @private
+   */
+  _isMatchingType(modelName, record) {
+    const polymorphic = this._getPolymorphicOptions(modelName);
+
+    return !polymorphic || polymorphic.modelName === modelName ||
+        record[polymorphic.typeKey] === modelName;
+  },
+
+  /**
+   * Querying a polymorphic subclass only matches the records whose
+   * type key is the subclass
+   *
+   * @param {string} modelName
+   * @param {Object} query
+   * @return {Object} Copy of the query with the type key in its
+   *                  `where` or the query itself
+   * @private
+   */
+  _getPolymorphicQuery(modelName, query) {
+    const polymorphic = this._getPolymorphicOptions(modelName);
+
+    if (polymorphic && polymorphic.modelName !== modelName) {
+      const where = assign({}, query.where);
+
+      where[polymorphic.typeKey] = modelName;
+
+      return assign({}, query, { where: where });
+    }
+
+    return query;
+  },
+
+  /**
+   * @param {Object} query
+   * @param {DS.Snapshot|Object} source Snapshot or record payload
+   * @return {boolean} True if the record isn't soft deleted and
+   *                   matches `query.where`
+   * @private
+   */
+  _isMatchingQuery(query, source) {
+    return !this._isSoftDeleted(source) && this._isMatchingWhere(query, source);
+  },
+
+  /**
+   * @param {DS.Snapshot|Object} source Snapshot or record payload
+   * @return {boolean} True if the record is marked as soft deleted
+   * @private
+   */
+  _isSoftDeleted(source) {
+    const deletedAtName = this.get('deletedAtName');
+
+    return !!source && !!this._getSourceValue(source, deletedAtName);
+  },
+
+  /**
+   * @param {DS.Model} type
+   * @param {Object} [options] Adapter options
+   * @return {Object} Soft delete options of the call or else the
+   *                  model's. Null when records get deleted for good.
+   * @private
+   */
+  _getSoftDeleteOptions(type, options) {
+    const softDelete = options && options.hasOwnProperty('softDelete') ?
+        options.softDelete : type.softDelete;
+
+    if (!softDelete) {
+      return null;
+    }
+
+    return softDelete === true ? {} : softDelete;
+  },
+
+  /**
+   * @param {string} modelName
+   * @param {string} id
+   * @param {Object} options
+   * @return {string} Resolved path of the node holding a soft deleted
+   *                  record
+   * @private
+   */
+  _getRestorePath(modelName, id, options) {
+    return options.path ||
+        this._buildPath(this.pathForType(modelName), id, options);
+  },
+
+  /**
+   * @return {string} ID of the signed in user or null
+   * @private
+   */
+  _getCurrentUserId() {
+    const currentUser = this.get('firebaseApp').auth().currentUser;
+
+    return currentUser ? currentUser.uid : null;
+  },
+
+  /**
+   * @param {Object} query
+   * @param {DS.Snapshot|Object} source Snapshot or record payload
+   * @return {boolean} True if there's no `query.where` or it matches
+   * @private
+   */
+  _isMatchingWhere(query, source) {
+    if (!query.where) {
+      return true;
+    }
+
+    return matchesWhere(query.where, (name) => {
+      return name === 'id' ? source.id : this._getSourceValue(source, name);
+    });
+  },
+
+  /**
+   * @param {DS.Snapshot|Object} source Snapshot or query params
+   * @param {string} key Attribute, relationship, or query param name
+   * @return {*} Value or undefined
+   * @private
+   */
+  _getSourceValue(source, key) {
+    if (typeof source.eachAttribute === 'function') {
+      let value;
+
+      source.eachAttribute((attributeName) => {
+        if (attributeName === key) {
+          value = source.attr(attributeName);
+        }
+      });
+
+      source.eachRelationship((relationshipName, relationship) => {
+        if (relationshipName === key) {
+          value = relationship.kind === 'belongsTo' ?
+              source.belongsTo(relationshipName, { id: true }) :
+              source.hasMany(relationshipName, { ids: true });
+        }
+      });
+
+      return value;
+    } else if (source.hasOwnProperty(key)) {
+      return source[key];
+    }
+
+    return undefined;
+  },
+
+  /**
+   * Resolves the placeholders of a path template.
+   *
+   * Values are looked up from the ID, then the snapshot attributes and
+   * `belongsTo` IDs or the query params. Unresolved placeholders throw
+   * so callers resolve paths inside their promise to reject instead.
+   *
+   * @param {string} template
+   * @param {string} [id]
+   * @param {DS.Snapshot|Object} [source={}] Snapshot or query params
+   * @return {string} Path
+   * @private
+   */
+  _buildPath(template, id, source = {}) {
+    return resolvePathTemplate(template, bind(this, (name) => {
+      return this._getPlaceholderValue(name, id, source);
+    }));
+  },
+
+  /**
+   * @param {string} name Placeholder name without the colon
+   * @param {string} [id]
+   * @param {DS.Snapshot|Object} [source={}] Snapshot or query params
+   * @return {*} Value of the placeholder or undefined
+   * @private
+   */
+  _getPlaceholderValue(name, id, source = {}) {
+    if (name === 'id') {
+      return id;
+    }
+
+    const key = name === 'innerReferencePath' ?
+        this.get('innerReferencePathName') : name;
+
+    return this._getSourceValue(source, key);
+  },
+
   /**
    * @param {DS.Store} store
    * @param {string} modelName
@@ -538,23 +3535,167 @@ export default Adapter.extend({
     return trackedListeners.hasOwnProperty(key) && trackedListeners[key][type];
   },
 
+  /**
+   * Adds a holder to a listener. The Firebase reference and callback
+   * only needs to be provided on the first time it gets tracked.
+   *
+   * @param {string} key trackedListeners key
+   * @param {string} type Type of listener (value, child_added, etc.)
+   * @param {Object} handle
+   * @param {string} handle.holder Who is holding on to the listener
+   * @param {firebase.database.Reference} [handle.ref]
+   * @param {function} [handle.callback]
+   * @param {string} [handle.modelName]
+   * @param {string} [handle.id]
+   * @private
+   */
+  _trackListener(key, type, handle) {
+    const listenerHandles = this.get('_listenerHandles');
+
+    if (!listenerHandles.hasOwnProperty(key)) {
+      listenerHandles[key] = {};
+    }
+
+    if (!listenerHandles[key].hasOwnProperty(type)) {
+      listenerHandles[key][type] = { holders: {} };
+    }
+
+    const trackedHandle = listenerHandles[key][type];
+
+    [ 'ref', 'callback', 'modelName', 'id' ].forEach((property) => {
+      if (handle.hasOwnProperty(property)) {
+        trackedHandle[property] = handle[property];
+      }
+    });
+
+    trackedHandle.holders[handle.holder] = true;
+
+    this._updateTrackedListener(
+        key, type, Object.keys(trackedHandle.holders).length);
+  },
+
+  /**
+   * Removes a holder from a listener. The listener gets turned off
+   * once nobody is holding on to it anymore.
+   *
+   * @param {string} key trackedListeners key
+   * @param {string} type Type of listener (value, child_added, etc.)
+   * @param {string} [holder] Removes all holders when not provided
+   * @private
+   */
+  _untrackListener(key, type, holder) {
+    const listenerHandles = this.get('_listenerHandles');
+    const handle = listenerHandles[key] && listenerHandles[key][type];
+
+    if (handle) {
+      if (holder === undefined) {
+        handle.holders = {};
+      } else {
+        delete handle.holders[holder];
+      }
+
+      const numberOfHolders = Object.keys(handle.holders).length;
+
+      if (numberOfHolders === 0) {
+        if (handle.ref) {
+          handle.ref.off(type, handle.callback);
+        }
+
+        delete listenerHandles[key][type];
+
+        if (Object.keys(listenerHandles[key]).length === 0) {
+          delete listenerHandles[key];
+        }
+      }
+
+      this._updateTrackedListener(key, type, numberOfHolders);
+    }
+  },
+
   /**
    * @param {string} key trackedListeners key
    * @param {string} type Type of listener (value, child_added, etc.)
+   * @param {number} numberOfHolders Removes the listener when 0
    * @private
    */
-  _trackListener(key, type) {
+  _updateTrackedListener(key, type, numberOfHolders) {
     const trackedListeners = this.get('trackedListeners');
-    const tempTrackedListeners = assign({}, trackedListeners);
+    const trackedListener = assign({}, trackedListeners[key]);
+    const newTrackedListeners = assign({}, trackedListeners);
+
+    if (numberOfHolders > 0) {
+      trackedListener[type] = numberOfHolders;
+    } else {
+      delete trackedListener[type];
+    }
+
+    if (Object.keys(trackedListener).length > 0) {
+      newTrackedListeners[key] = trackedListener;
+    } else {
+      delete newTrackedListeners[key];
+    }
+
+    this.set('trackedListeners', newTrackedListeners);
+  },
+
+  /**
+   * @param {DS.Snapshot} snapshot
+   * @return {string} Who is holding on to the listeners of the record
+   * @private
+   */
+  _getListenerHolder(snapshot) {
+    const adapterOptions = snapshot.adapterOptions;
+
+    if (adapterOptions && adapterOptions._listenerHolder) {
+      return adapterOptions._listenerHolder;
+    }
+
+    return 'record';
+  },
+
+  /**
+   * @param {DS.AdapterPopulatedRecordArray} recordArray
+   * @return {string} Listener holder of the record array
+   * @private
+   */
+  _getRecordArrayHolder(recordArray) {
+    return `query:${guidFor(recordArray)}`;
+  },
+
+  /**
+   * @param {string} method Name of the read
+   * @param {string} modelName
+   * @param {*} query ID path or query before it gets sorted and filtered
+   * @return {string} Key of the read's FastBoot shoebox entry
+   * @private
+   */
+  _getShoeboxKey(method, modelName, query) {
+    return `${method}:${modelName}:${stableStringify(query)}`;
+  },
 
-    if (!tempTrackedListeners.hasOwnProperty(key)) {
-      tempTrackedListeners[key] = {};
+  /**
+   * @param {string} key
+   * @param {Object} entry
+   * @private
+   */
+  _putInShoebox(key, entry) {
+    const shoebox = this.get('firebaseShoebox');
+
+    if (shoebox) {
+      shoebox.put(key, entry);
     }
+  },
 
-    tempTrackedListeners[key][type] = true;
+  /**
+   * @param {string} key
+   * @return {Object} Entry resolved during the FastBoot render or
+   *                  undefined
+   * @private
+   */
+  _retrieveFromShoebox(key) {
+    const shoebox = this.get('firebaseShoebox');
 
-    this.set('trackedListeners', assign(
-        {}, trackedListeners, tempTrackedListeners));
+    return shoebox ? shoebox.retrieve(key) : undefined;
   },
 
   /**
@@ -566,18 +3707,18 @@ export default Adapter.extend({
     const fastboot = this.get('fastboot');
 
     if (!fastboot || !fastboot.get('isFastBoot')) {
-      const trackedQueries = this.get('trackedQueries');
-      const trackedQueryCache = trackedQueries[cacheId];
+      const trackedQueryCache = this.get('trackedQueries')[cacheId];
 
-      if (trackedQueryCache) {
-        trackedQueryCache.get('firebase').off();
+      if (trackedQueryCache && trackedQueryCache !== recordArray) {
+        this._releaseRecordArray(trackedQueryCache);
       }
 
       const trackedQuery = {};
 
       trackedQuery[cacheId] = recordArray;
 
-      this.set('trackedQueries', assign({}, trackedQueries, trackedQuery));
+      this.set('trackedQueries', assign(
+          {}, this.get('trackedQueries'), trackedQuery));
     }
   },
 });
@@ -0,0 +1,243 @@
+/** @module emberfire-utils */
+import {
+  AdapterError,
+  ConflictError as DSConflictError,
+  ForbiddenError as DSForbiddenError,
+  InvalidError,
+  NotFoundError as DSNotFoundError,
+  TimeoutError,
+  UnauthorizedError as DSUnauthorizedError,
+} from 'ember-data/adapters/errors';
+
+/**
+ * Subclasses an Ember Data error class.
+ *
+ * Ember Data 2.14 only has `AdapterError.extend()` along with most of
+ * its error classes behind the `ds-extended-errors` feature flag so we
+ * can't rely on them.
+ *
+ * @param {function} ParentErrorClass
+ * @param {string} defaultMessage
+ * @return {function} Error class
+ */
+function extendError(ParentErrorClass, defaultMessage) {
+  /**
+   * @param {Array.<Object>} [errors] JSON API errors
+   * @param {string} [message]
+   */
+  function ErrorClass(errors, message) {
+    ParentErrorClass.call(this, errors, message || defaultMessage);
+  }
+
+  ErrorClass.prototype = Object.create(ParentErrorClass.prototype);
+
+  return ErrorClass;
+}
+
+/**
+ * `DS.NotFoundError` or its stand-in when Ember Data doesn't have it
+ *
+ * @class NotFoundError
+ * @namespace Error
+ * @extends DS.AdapterError
+ */
+export const NotFoundError = DSNotFoundError ||
+    extendError(AdapterError, 'The adapter could not find the resource');
+
+/**
+ * `DS.ForbiddenError` or its stand-in when Ember Data doesn't have it
+ *
+ * @class ForbiddenError
+ * @namespace Error
+ * @extends DS.AdapterError
+ */
+export const ForbiddenError = DSForbiddenError ||
+    extendError(AdapterError, 'The adapter operation is forbidden');
+
+/**
+ * `DS.UnauthorizedError` or its stand-in when Ember Data doesn't have
+ * it
+ *
+ * @class UnauthorizedError
+ * @namespace Error
+ * @extends DS.AdapterError
+ */
+export const UnauthorizedError = DSUnauthorizedError ||
+    extendError(AdapterError, 'The adapter operation is unauthorized');
+
+/**
+ * `DS.ConflictError` or its stand-in when Ember Data doesn't have it
+ *
+ * @type {function}
+ * @private
+ */
+const BaseConflictError = DSConflictError || extendError(
+    AdapterError, 'The adapter operation failed due to a conflict');
+
+/**
+ * Ember Data error classes keyed by the lowercased code of Realtime
+ * Database, Storage, and other Firebase service errors
+ *
+ * @type {Object}
+ */
+const ERROR_CLASSES = {
+  'permission_denied': ForbiddenError,
+  'permission-denied': ForbiddenError,
+  'storage/unauthorized': ForbiddenError,
+  'unauthenticated': UnauthorizedError,
+  'storage/unauthenticated': UnauthorizedError,
+  'not-found': NotFoundError,
+  'storage/object-not-found': NotFoundError,
+  'network_error': TimeoutError,
+  'disconnected': TimeoutError,
+  'unavailable': TimeoutError,
+  'deadline-exceeded': TimeoutError,
+  'storage/retry-limit-exceeded': TimeoutError,
+  'invalid-argument': InvalidError,
+  'storage/invalid-argument': InvalidError,
+};
+
+/**
+ * Rejected when the update function of a transaction returns
+ * `undefined` which aborts the transaction
+ *
+ * @class TransactionAbortedError
+ * @namespace Error
+ * @extends DS.AdapterError
+ */
+export const TransactionAbortedError = extendError(
+    AdapterError, 'The transaction was aborted');
+
+/**
+ * Rejected when a versioned save finds that the record has changed
+ * since it was loaded. `serverCopy` holds the record as it currently
+ * is or null when it no longer exists.
+ *
+ * @class ConflictError
+ * @namespace Error
+ * @extends DS.ConflictError
+ */
+export const ConflictError = extendError(
+    BaseConflictError, 'The record has changed since it was loaded');
+
+/**
+ * @param {function} ErrorClass
+ * @param {string} message
+ * @param {string} [path] Path of the failed operation
+ * @param {string} [code] Firebase error code
+ * @param {string} [pointer='/data'] JSON API pointer of invalid errors
+ * @return {DS.AdapterError} Error with the `path` and `code`
+ */
+function createError(ErrorClass, message, path, code, pointer = '/data') {
+  const errors = ErrorClass === InvalidError ? [{
+    title: 'Invalid',
+    detail: message,
+    source: { pointer: pointer },
+  }] : undefined;
+  const error = new ErrorClass(errors, message);
+
+  error.path = path;
+  error.code = code;
+
+  return error;
+}
+
+/**
+ * Converts a Firebase error to its Ember Data error class. Errors
+ * without a known code become a `DS.AdapterError`.
+ *
+ * @param {Error|string} error
+ * @param {string} [path] Path of the failed operation
+ * @return {DS.AdapterError} Error with the `path` and Firebase `code`
+ */
+export function toAdapterError(error, path) {
+  if (error instanceof AdapterError) {
+    return error;
+  }
+
+  const code = error && typeof error.code === 'string' ? error.code : undefined;
+  const message = error && error.message ? error.message : String(error);
+  const ErrorClass = (code && ERROR_CLASSES[code.toLowerCase()]) ||
+      AdapterError;
+
+  return createError(ErrorClass, message, path, code);
+}
+
+/**
+ * @param {string} path Path that doesn't exist
+ * @param {string} [message] Defaults to the record not existing
+ * @return {DS.NotFoundError} Error with the `path`
+ */
+export function createNotFoundError(path, message = 'Record doesn\'t exist') {
+  return createError(NotFoundError, message, path);
+}
+
+/**
+ * Points to the attribute holding the path so that the serializer's
+ * `extractErrors()` can put it in the record's errors. Paths outside
+ * of the record point to the record as a whole which ends up in
+ * `errors.base`.
+ *
+ * @param {string} [path] Path being written
+ * @param {string} [recordPath] Path of the record being saved
+ * @return {string} JSON API pointer
+ */
+function getInvalidPointer(path, recordPath) {
+  if (path && recordPath) {
+    const parsedPath = path.replace(/^\//, '');
+    const parsedRecordPath = recordPath.replace(/^\//, '');
+
+    if (parsedPath.indexOf(`${parsedRecordPath}/`) === 0) {
+      const key = parsedPath.substring(parsedRecordPath.length + 1)
+          .split('/')[0];
+
+      return `/data/attributes/${key}`;
+    }
+  }
+
+  return '/data';
+}
+
+/**
+ * @param {Error|string} error Error thrown when Firebase rejects the
+ *                             data before sending it
+ * @param {string} [path] Path being written
+ * @param {string} [recordPath] Path of the record being saved
+ * @return {DS.InvalidError} Error with the `path` pointing to the
+ *                           attribute holding it
+ */
+export function createInvalidError(error, path, recordPath) {
+  const message = error && error.message ? error.message : String(error);
+
+  return createError(
+      InvalidError, message, path, undefined,
+      getInvalidPointer(path, recordPath));
+}
+
+/**
+ * @param {*} value
+ * @return {boolean} True if Firebase can't store the value
+ */
+function isInvalidValue(value) {
+  if (value === undefined || typeof value === 'function' ||
+      (typeof value === 'number' && isNaN(value))) {
+    return true;
+  }
+
+  if (value !== null && typeof value === 'object') {
+    return Object.keys(value).some((key) => isInvalidValue(value[key]));
+  }
+
+  return false;
+}
+
+/**
+ * @param {Object} fanout Fanout that Firebase rejected
+ * @return {string} First path with an invalid key or a value that
+ *                  can't be stored. Undefined if there's none.
+ */
+export function getInvalidPath(fanout) {
+  return Object.keys(fanout).filter((path) => {
+    return /[.#$[\]]/.test(path) || isInvalidValue(fanout[path]);
+  })[0];
+}
@@ -0,0 +1,21 @@
+/** @module emberfire-utils */
+
+/**
+ * Firebase Outbox instance initializer
+ *
+ * - Replays the writes left over from the previous session
+ *
+ * @param {Object} appInstance
+ */
+export function initialize(appInstance) {
+  const outbox = appInstance.lookup('service:firebase-outbox');
+
+  if (outbox && outbox.get('isEnabled')) {
+    outbox.replay();
+  }
+}
+
+export default {
+  name: 'firebase-outbox',
+  initialize,
+};
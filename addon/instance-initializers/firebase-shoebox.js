@@ -0,0 +1,21 @@
+/** @module emberfire-utils */
+
+/**
+ * Firebase Shoebox instance initializer
+ *
+ * - Rehydrates the store and tracked queries from the FastBoot shoebox
+ *
+ * @param {Object} appInstance
+ */
+export function initialize(appInstance) {
+  const shoebox = appInstance.lookup('service:firebase-shoebox');
+
+  if (shoebox) {
+    shoebox.rehydrate();
+  }
+}
+
+export default {
+  name: 'firebase-shoebox',
+  initialize,
+};
@@ -0,0 +1,64 @@
+/** @module emberfire-utils */
+import Ember from 'ember';
+import Mixin from 'ember-metal/mixin';
+
+const { ObjectProxy, PromiseProxyMixin } = Ember;
+const PromiseObject = ObjectProxy.extend(PromiseProxyMixin);
+
+/**
+ * Store methods for models that use `Adapter.FirebaseFlex`
+ *
+ * ```javascript
+ * // app/services/store.js
+ * import Store from 'ember-data/store';
+ * import FirebaseFlexStore from 'emberfire-utils/mixins/firebase-flex-store';
+ *
+ * export default Store.extend(FirebaseFlexStore);
+ * ```
+ *
+ * @class FirebaseFlexStore
+ * @namespace Mixin
+ * @extends Ember.Mixin
+ */
+export default Mixin.create({
+  /**
+   * With a `cacheId`, resolves with the live proxy of
+   * `Adapter.FirebaseFlex#peekQueryRecord()` instead of the record.
+   * Its `content` gets swapped whenever a different record matches the
+   * query. Under FastBoot, there's no proxy so it resolves with the
+   * record.
+   *
+   * @param {string} modelName
+   * @param {Object} query
+   * @return {Promise} Resolves with the proxy or the queried record
+   */
+  queryRecord(modelName, query) {
+    const promise = this._super(...arguments);
+
+    if (!query || !query.hasOwnProperty('cacheId')) {
+      return promise;
+    }
+
+    const adapter = this.adapterFor(modelName);
+
+    return PromiseObject.create({
+      promise: promise.then((record) => {
+        return adapter.peekQueryRecord(query.cacheId) || record;
+      }),
+    });
+  },
+
+  /**
+   * Reverts a record to how it was before one of its audit history
+   * entries through `Adapter.FirebaseFlex#revertRecord()`
+   *
+   * @param {DS.Model} record
+   * @param {string} historyEntryId
+   * @return {Promise} Resolves with the record once it's been reverted
+   */
+  revertRecord(record, historyEntryId) {
+    const adapter = this.adapterFor(record.constructor.modelName);
+
+    return adapter.revertRecord(this, record, historyEntryId);
+  },
+});
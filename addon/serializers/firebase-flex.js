@@ -1,7 +1,14 @@
 /** @module emberfire-utils */
 import { camelize } from 'ember-string';
 import { pluralize } from 'ember-inflector';
+import { typeOf } from 'ember-utils';
 import EmberFireSerializer from 'emberfire/serializers/firebase';
+import inject from 'ember-service/inject';
+
+import firebase from 'firebase';
+
+import { isIncludeValue } from '../utils/include-value';
+import resolvePathTemplate from '../utils/path-template';
 
 /**
  * @class FirebaseFlex
@@ -9,6 +16,98 @@ import EmberFireSerializer from 'emberfire/serializers/firebase';
  * @extends DS.JSONSerializer
  */
 export default EmberFireSerializer.extend({
+  /**
+   * @type {Ember.Service}
+   * @default
+   * @readonly
+   */
+  firebaseApp: inject(),
+
+  /**
+   * Key holding the version of a record for versioned saves
+   *
+   * @type {string}
+   * @default
+   */
+  versionName: '_version',
+
+  /**
+   * Relationship state of every record as of its last push to the
+   * store. Keyed by model name and then by ID.
+   *
+   * @type {Object}
+   * @private
+   * @default null
+   */
+  _relationshipCache: null,
+
+  /**
+   * Version of every record as of its last push to the store. Keyed
+   * by model name and then by ID.
+   *
+   * @type {Object}
+   * @private
+   * @default null
+   */
+  _versionCache: null,
+
+  /**
+   * Full path of the node every record was loaded from as of its last
+   * push to the store. Keyed by model name and then by ID.
+   *
+   * @type {Object}
+   * @private
+   * @default null
+   */
+  _originPathCache: null,
+
+  /**
+   * Serializer hook
+   */
+  init() {
+    this._super(...arguments);
+
+    this.setProperties({
+      _relationshipCache: {},
+      _versionCache: {},
+      _originPathCache: {},
+    });
+  },
+
+  /**
+   * Remembers the relationship state, version, and origin path of the
+   * record being pushed so that the next `serialize()` only fans out
+   * what has changed, versioned saves know which version they're based
+   * on, and saves go to where the record was loaded from.
+   *
+   * Records of a polymorphic model get normalized as the model named
+   * by their type key.
+   *
+   * @param {DS.Model} modelClass
+   * @param {Object} resourceHash
+   * @return {Object} Normalized record
+   */
+  normalize(modelClass, resourceHash) {
+    const polymorphicModelClass = this._getPolymorphicModelClass(
+        modelClass, resourceHash);
+
+    if (polymorphicModelClass !== modelClass) {
+      return this.store.serializerFor(polymorphicModelClass.modelName)
+          .normalize(polymorphicModelClass, resourceHash);
+    }
+
+    const normalizedRecord = this._super(...arguments);
+    const data = normalizedRecord.data;
+
+    if (data && data.id) {
+      this._cacheRelationships(data.type, data.id, data.relationships);
+      this._cacheVersion(data.type, data.id, resourceHash);
+      this._cacheOriginPath(data.type, data.id, resourceHash);
+    }
+
+    return normalizedRecord;
+  },
+
   /**
    * Builds a fanout object whenever a record is saved
    *
@@ -20,18 +119,43 @@ export default EmberFireSerializer.extend({
     const fanout = {};
 
     snapshot.eachAttribute((key, attribute) => {
-      if (snapshot.changedAttributes()[key]) {
+      if (this._shouldSerializeAttribute(snapshot, key, attribute)) {
         if (key !== options.innerReferencePathName) {
           this.serializeAttribute(snapshot, fanout, key, attribute);
         }
       }
     });
 
-    this.serializeInclude(snapshot, fanout);
+    snapshot.eachRelationship((key, relationship) => {
+      if (this._canSerialize(key)) {
+        this._serializeRelationshipChanges(
+            snapshot, fanout, relationship, this._getKeyPath(snapshot, key),
+            this.getPreviousRelationships(snapshot));
+      }
+    });
+
+    this.serializePolymorphicType(snapshot, fanout);
+    this.serializeInclude(snapshot, fanout, options);
 
     return fanout;
   },
 
+  /**
+   * Serializes the model name to the type key of a polymorphic record
+   * on its first save so that it gets loaded back as the same model
+   *
+   * @param {DS.Snapshot} snapshot
+   * @param {Object} fanout
+   */
+  serializePolymorphicType(snapshot, fanout) {
+    const polymorphic = snapshot.type.polymorphic;
+
+    if (polymorphic && !!snapshot.record && snapshot.record.get('isNew')) {
+      fanout[this._getKeyPath(snapshot, polymorphic.typeKey)] =
+          snapshot.modelName;
+    }
+  },
+
   /**
    * Serializes an attribute to the fanout path
    *
@@ -51,12 +175,230 @@ export default EmberFireSerializer.extend({
   },
 
   /**
-   * Serializes adapter option's include to the fanout
+   * Serializes a `belongsTo` to the fanout path when it has changed
+   * since the last push
+   *
+   * @param {DS.Snapshot} snapshot
+   * @param {Object} fanout
+   * @param {Object} relationship
+   * @param {string} [keyPath] Defaults to the path of the record's key
+   * @param {Object} [previousRelationships] Defaults to the
+   *                                         relationships of the last push
+   */
+  serializeBelongsToChanges(
+      snapshot, fanout, relationship,
+      keyPath = this._getKeyPath(snapshot, relationship.key),
+      previousRelationships = this.getPreviousRelationships(snapshot)) {
+    const key = relationship.key;
+    const oldId = previousRelationships ?
+        previousRelationships[key] || null : null;
+    const newId = snapshot.belongsTo(key, { id: true }) || null;
+
+    if (oldId !== newId) {
+      fanout[keyPath] = newId ?
+          this.serializeRelationshipValue(snapshot, relationship, newId) : null;
+    }
+  },
+
+  /**
+   * Serializes the added and removed keys of a `hasMany` to the
+   * fanout path
+   *
+   * @param {DS.Snapshot} snapshot
+   * @param {Object} fanout
+   * @param {Object} relationship
+   * @param {string} [keyPath] Defaults to the path of the record's key
+   * @param {Object} [previousRelationships] Defaults to the
+   *                                         relationships of the last push
+   */
+  serializeHasManyChanges(
+      snapshot, fanout, relationship,
+      keyPath = this._getKeyPath(snapshot, relationship.key),
+      previousRelationships = this.getPreviousRelationships(snapshot)) {
+    const key = relationship.key;
+    const oldIds = previousRelationships ?
+        previousRelationships[key] || [] : [];
+    const newIds = snapshot.hasMany(key, { ids: true }) || [];
+
+    newIds.forEach((id) => {
+      if (!oldIds.includes(id)) {
+        fanout[`${keyPath}/${id}`] = this.serializeRelationshipValue(
+            snapshot, relationship, id);
+      }
+    });
+
+    oldIds.forEach((id) => {
+      if (!newIds.includes(id)) {
+        fanout[`${keyPath}/${id}`] = null;
+      }
+    });
+  },
+
+  /**
+   * Serializes an embedded `belongsTo` under the record's key path.
+   * A newly embedded record is written as a whole along with its ID.
+   * Otherwise, only its changes are.
+   *
+   * @param {DS.Snapshot} snapshot
+   * @param {Object} fanout
+   * @param {Object} relationship
+   * @param {string} [keyPath] Defaults to the path of the record's key
+   * @param {Object} [previousRelationships] Defaults to the
+   *                                         relationships of the last push
+   */
+  serializeEmbeddedBelongsToChanges(
+      snapshot, fanout, relationship,
+      keyPath = this._getKeyPath(snapshot, relationship.key),
+      previousRelationships = this.getPreviousRelationships(snapshot)) {
+    const key = relationship.key;
+    const oldId = previousRelationships ?
+        previousRelationships[key] || null : null;
+    const embeddedSnapshot = snapshot.belongsTo(key);
+
+    if (embeddedSnapshot) {
+      const isAdded = embeddedSnapshot.id !== oldId;
+
+      this._getEmbeddedSerializer(embeddedSnapshot).serializeEmbeddedRecord(
+          embeddedSnapshot, fanout, keyPath, isAdded);
+
+      if (isAdded) {
+        fanout[keyPath].id = embeddedSnapshot.id;
+      }
+    } else if (oldId) {
+      fanout[keyPath] = null;
+    }
+  },
+
+  /**
+   * Serializes an embedded `hasMany` under the record's key path keyed
+   * by ID. Newly embedded records are written as a whole while the
+   * rest only write their changes.
+   *
+   * @param {DS.Snapshot} snapshot
+   * @param {Object} fanout
+   * @param {Object} relationship
+   * @param {string} [keyPath] Defaults to the path of the record's key
+   * @param {Object} [previousRelationships] Defaults to the
+   *                                         relationships of the last push
+   */
+  serializeEmbeddedHasManyChanges(
+      snapshot, fanout, relationship,
+      keyPath = this._getKeyPath(snapshot, relationship.key),
+      previousRelationships = this.getPreviousRelationships(snapshot)) {
+    const key = relationship.key;
+    const oldIds = previousRelationships ?
+        previousRelationships[key] || [] : [];
+    const embeddedSnapshots = snapshot.hasMany(key) || [];
+    const newIds = embeddedSnapshots.map((embeddedSnapshot) => {
+      return embeddedSnapshot.id;
+    });
+
+    embeddedSnapshots.forEach((embeddedSnapshot) => {
+      this._getEmbeddedSerializer(embeddedSnapshot).serializeEmbeddedRecord(
+          embeddedSnapshot, fanout, `${keyPath}/${embeddedSnapshot.id}`,
+          !oldIds.includes(embeddedSnapshot.id));
+    });
+
+    oldIds.forEach((id) => {
+      if (!newIds.includes(id)) {
+        fanout[`${keyPath}/${id}`] = null;
+      }
+    });
+  },
+
+  /**
+   * Serializes an embedded record to the fanout path under its parent.
+   *
+   * When it has just been embedded, the path gets the whole record.
+   * Otherwise, only its changed attributes and relationships get
+   * fanned out below the path.
+   *
+   * @param {DS.Snapshot} snapshot
+   * @param {Object} fanout
+   * @param {string} path
+   * @param {boolean} isAdded
+   */
+  serializeEmbeddedRecord(snapshot, fanout, path, isAdded) {
+    if (isAdded) {
+      const recordFanout = {};
+
+      this._serializeEmbeddedRecordFields(snapshot, recordFanout, '', true);
+      fanout[path] = this._buildObjectFromFanout(recordFanout);
+    } else {
+      this._serializeEmbeddedRecordFields(snapshot, fanout, path, false);
+    }
+  },
+
+  /**
+   * Serializes an embedded record the way it's stored under its parent
+   * so that it can be pushed back to the store once the parent has
+   * been saved
+   *
+   * @param {DS.Snapshot} snapshot
+   * @return {Object} Payload of the embedded record with its ID
+   */
+  serializeEmbeddedPayload(snapshot) {
+    const recordFanout = {};
+
+    this._serializeEmbeddedRecordFields(snapshot, recordFanout, '', true);
+
+    const payload = this._buildObjectFromFanout(recordFanout);
+
+    // Null values are left out of the object but they still need to
+    // reach the store to be acknowledged
+    snapshot.eachAttribute((key) => {
+      if (!payload.hasOwnProperty(camelize(key))) {
+        payload[camelize(key)] = null;
+      }
+    });
+
+    payload.id = snapshot.id;
+
+    return payload;
+  },
+
+  /**
+   * Determines the value to store for a relationship.
+   *
+   * Defaults to the ID for a `belongsTo` and `true` for a `hasMany`.
+   * This can be overriden per relationship through the `value` option
+   * in `attrs` which can either be a static value or a function
+   * receiving the snapshot and the related ID.
+   *
+   * @param {DS.Snapshot} snapshot
+   * @param {Object} relationship
+   * @param {string} id Related record ID
+   * @return {*} Value to store
+   */
+  serializeRelationshipValue(snapshot, relationship, id) {
+    const attrs = this.get('attrs');
+    const option = attrs && attrs[relationship.key];
+
+    if (option && option.hasOwnProperty('value')) {
+      if (typeof option.value === 'function') {
+        return option.value(snapshot, id);
+      }
+
+      return option.value;
+    }
+
+    return relationship.kind === 'belongsTo' ? id : true;
+  },
+
+  /**
+   * Serializes adapter option's include to the fanout.
+   *
+   * Keys can have placeholders for the record's ID (`:id`), where it
+   * was loaded from (`:innerReferencePath`), its attributes and
+   * relationships (`:author` or `:author.id`), and the signed in user
+   * (`:auth.uid`). Values can be created through the helpers of
+   * `emberfire-utils/utils/include-value`.
    *
    * @param {DS.Snapshot} snapshot
    * @param {Object} fanout
+   * @param {Object} [options={}]
    */
-  serializeInclude(snapshot, fanout) {
+  serializeInclude(snapshot, fanout, options = {}) {
     const adapterOptions = snapshot.adapterOptions;
 
     if (adapterOptions && adapterOptions.hasOwnProperty('include')) {
@@ -64,7 +406,7 @@ export default EmberFireSerializer.extend({
 
       for (const key in include) {
         if (include.hasOwnProperty(key)) {
-          let parsedKey = key.replace(':id', snapshot.id);
+          let parsedKey = key;
 
           if (key.includes('$id')) {
             console.warn('DEPRECATION: adapterOptions.include will now use ' +
@@ -73,10 +415,413 @@ export default EmberFireSerializer.extend({
             parsedKey = key.replace('$id', snapshot.id);
           }
 
-          fanout[parsedKey] = include[key];
+          parsedKey = resolvePathTemplate(parsedKey, (name) => {
+            return this._getPlaceholderValue(snapshot, name, options);
+          });
+
+          fanout[parsedKey] = this.serializeIncludeValue(
+              snapshot, include[key]);
+        }
+      }
+    }
+  },
+
+  /**
+   * Resolves the include values in a value of adapter option's
+   * include
+   *
+   * @param {DS.Snapshot} snapshot
+   * @param {*} value
+   * @return {*} Value to store
+   */
+  serializeIncludeValue(snapshot, value) {
+    if (isIncludeValue(value)) {
+      const argument = value.get('argument');
+
+      switch (value.get('type')) {
+        case 'serverTimestamp':
+          return firebase.database.ServerValue.TIMESTAMP;
+        case 'increment':
+          return this._serializeIncrement(argument);
+        case 'copyOf':
+          return this._getSerializedValue(snapshot, argument);
+      }
+    }
+
+    if (typeOf(value) === 'object') {
+      const serializedValue = {};
+
+      for (const key in value) {
+        if (value.hasOwnProperty(key)) {
+          serializedValue[key] = this.serializeIncludeValue(
+              snapshot, value[key]);
+        }
+      }
+
+      return serializedValue;
+    }
+
+    return value;
+  },
+
+  /**
+   * @param {number} delta
+   * @return {Object} Server value that increments by delta
+   * @private
+   */
+  _serializeIncrement(delta) {
+    const ServerValue = firebase.database.ServerValue;
+
+    if (typeof ServerValue.increment !== 'function') {
+      throw new Error('increment() requires a Firebase SDK with ' +
+          'firebase.database.ServerValue.increment');
+    }
+
+    return ServerValue.increment(delta);
+  },
+
+  /**
+   * Gets the relationship IDs of a record as of its last push to the
+   * store
+   *
+   * @param {DS.Snapshot} snapshot
+   * @return {Object} Relationship IDs keyed by name or undefined
+   */
+  getPreviousRelationships(snapshot) {
+    const cache = this.get('_relationshipCache')[snapshot.modelName];
+
+    return cache ? cache[snapshot.id] : undefined;
+  },
+
+  /**
+   * Gets the version of a record as of its last push to the store
+   *
+   * @param {DS.Snapshot} snapshot
+   * @return {number} Version or undefined when it hasn't been pushed
+   */
+  getPreviousVersion(snapshot) {
+    const cache = this.get('_versionCache')[snapshot.modelName];
+
+    return cache ? cache[snapshot.id] : undefined;
+  },
+
+  /**
+   * Gets the full path of the node a record was loaded from as of its
+   * last push to the store
+   *
+   * @param {DS.Snapshot} snapshot
+   * @return {string} Path or undefined when it wasn't loaded by
+   *                  `Adapter.FirebaseFlex`
+   */
+  getOriginPath(snapshot) {
+    const cache = this.get('_originPathCache')[snapshot.modelName];
+
+    return cache ? cache[snapshot.id] : undefined;
+  },
+
+  /**
+   * Drops everything cached about a record as of its last push to the
+   * store
+   *
+   * @param {string} modelName
+   * @param {string} id
+   */
+  forgetRecord(modelName, id) {
+    [
+      this.get('_relationshipCache'),
+      this.get('_versionCache'),
+      this.get('_originPathCache'),
+    ].forEach((cache) => {
+      if (cache.hasOwnProperty(modelName)) {
+        delete cache[modelName][id];
+      }
+    });
+  },
+
+  /**
+   * @param {DS.Model} modelClass
+   * @param {Object} resourceHash
+   * @return {DS.Model} Model named by the type key of a polymorphic
+   *                    record. Otherwise, the model class itself.
+   * @private
+   */
+  _getPolymorphicModelClass(modelClass, resourceHash) {
+    const polymorphic = modelClass.polymorphic;
+
+    if (polymorphic && resourceHash) {
+      const modelName = resourceHash[polymorphic.typeKey];
+
+      if (modelName && modelName !== modelClass.modelName) {
+        return this.store.modelFor(modelName);
+      }
+    }
+
+    return modelClass;
+  },
+
+  /**
+   * @param {string} modelName
+   * @param {string} id
+   * @param {Object} resourceHash
+   * @private
+   */
+  _cacheVersion(modelName, id, resourceHash) {
+    const versionCache = this.get('_versionCache');
+
+    if (!versionCache.hasOwnProperty(modelName)) {
+      versionCache[modelName] = {};
+    }
+
+    versionCache[modelName][id] = resourceHash[this.get('versionName')] || 0;
+  },
+
+  /**
+   * @param {string} modelName
+   * @param {string} id
+   * @param {Object} resourceHash
+   * @private
+   */
+  _cacheOriginPath(modelName, id, resourceHash) {
+    const adapter = this.store.adapterFor(modelName);
+    const originPathCache = this.get('_originPathCache');
+
+    if (!originPathCache.hasOwnProperty(modelName)) {
+      originPathCache[modelName] = {};
+    }
+
+    originPathCache[modelName][id] = adapter ?
+        resourceHash[adapter.get('originPathName')] : undefined;
+  },
+
+  /**
+   * @param {string} modelName
+   * @param {string} id
+   * @param {Object} [relationships={}] Normalized relationships
+   * @private
+   */
+  _cacheRelationships(modelName, id, relationships = {}) {
+    const relationshipCache = this.get('_relationshipCache');
+    const cachedRelationships = {};
+
+    for (const key in relationships) {
+      if (relationships.hasOwnProperty(key)) {
+        const data = relationships[key].data;
+
+        if (Array.isArray(data)) {
+          cachedRelationships[key] = data.map((item) => item.id);
+        } else {
+          cachedRelationships[key] = data ? data.id : null;
         }
       }
     }
+
+    if (!relationshipCache.hasOwnProperty(modelName)) {
+      relationshipCache[modelName] = {};
+    }
+
+    relationshipCache[modelName][id] = cachedRelationships;
+  },
+
+  /**
+   * @param {DS.Snapshot} snapshot
+   * @param {Object} fanout
+   * @param {Object} relationship
+   * @param {string} keyPath
+   * @param {Object} previousRelationships
+   * @private
+   */
+  _serializeRelationshipChanges(
+      snapshot, fanout, relationship, keyPath, previousRelationships) {
+    const isEmbedded = this.hasSerializeRecordsOption(relationship.key);
+
+    if (relationship.kind === 'belongsTo') {
+      if (isEmbedded) {
+        this.serializeEmbeddedBelongsToChanges(
+            snapshot, fanout, relationship, keyPath, previousRelationships);
+      } else {
+        this.serializeBelongsToChanges(
+            snapshot, fanout, relationship, keyPath, previousRelationships);
+      }
+    } else if (relationship.kind === 'hasMany') {
+      if (isEmbedded) {
+        this.serializeEmbeddedHasManyChanges(
+            snapshot, fanout, relationship, keyPath, previousRelationships);
+      } else {
+        this.serializeHasManyChanges(
+            snapshot, fanout, relationship, keyPath, previousRelationships);
+      }
+    }
+  },
+
+  /**
+   * @param {DS.Snapshot} snapshot
+   * @param {Object} fanout
+   * @param {string} path
+   * @param {boolean} isAdded True to serialize everything
+   * @private
+   */
+  _serializeEmbeddedRecordFields(snapshot, fanout, path, isAdded) {
+    const previousRelationships = isAdded ?
+        undefined : this.getPreviousRelationships(snapshot);
+
+    snapshot.eachAttribute((key, attribute) => {
+      if (isAdded || this._shouldSerializeAttribute(snapshot, key, attribute)) {
+        fanout[`${path}/${camelize(key)}`] = this._getSerializedValue(
+            snapshot, key);
+      }
+    });
+
+    snapshot.eachRelationship((key, relationship) => {
+      if (this._canSerialize(key)) {
+        this._serializeRelationshipChanges(
+            snapshot, fanout, relationship, `${path}/${camelize(key)}`,
+            previousRelationships);
+      }
+    });
+  },
+
+  /**
+   * @param {DS.Snapshot} snapshot
+   * @return {DS.Serializer} Serializer of the embedded record
+   * @private
+   */
+  _getEmbeddedSerializer(snapshot) {
+    return this.store.serializerFor(snapshot.modelName);
+  },
+
+  /**
+   * Nests the values of a fanout whose paths start with `/` into an
+   * object. Null values are left out.
+   *
+   * @param {Object} fanout
+   * @return {Object} Nested object
+   * @private
+   */
+  _buildObjectFromFanout(fanout) {
+    const object = {};
+
+    for (const path in fanout) {
+      if (fanout.hasOwnProperty(path) && fanout[path] !== null) {
+        const keys = path.split('/').slice(1);
+        const lastKey = keys.pop();
+        let node = object;
+
+        keys.forEach((key) => {
+          if (typeOf(node[key]) !== 'object') {
+            node[key] = {};
+          }
+
+          node = node[key];
+        });
+
+        node[lastKey] = fanout[path];
+      }
+    }
+
+    return object;
+  },
+
+  /**
+   * Timestamps in the `created` mode are only serialized on the first
+   * save while those in the `updated` mode are always serialized.
+   * Everything else only gets serialized when it has changed.
+   *
+   * @param {DS.Snapshot} snapshot
+   * @param {string} key
+   * @param {Object} attribute
+   * @return {boolean} True if the attribute should be serialized
+   * @private
+   */
+  _shouldSerializeAttribute(snapshot, key, attribute) {
+    if (attribute.type === 'timestamp') {
+      const mode = (attribute.options || {}).mode;
+
+      if (mode === 'created') {
+        return !!snapshot.record && snapshot.record.get('isNew');
+      } else if (mode === 'updated') {
+        return true;
+      }
+    }
+
+    return !!snapshot.changedAttributes()[key];
+  },
+
+  /**
+   * @param {DS.Snapshot} snapshot
+   * @param {string} name Placeholder name
+   * @param {Object} options
+   * @return {*} Placeholder value
+   * @private
+   */
+  _getPlaceholderValue(snapshot, name, options) {
+    if (name === 'id') {
+      return snapshot.id;
+    } else if (name === 'innerReferencePath') {
+      return this._getSnapshotValue(snapshot, options.innerReferencePathName);
+    } else if (name === 'auth.uid') {
+      const currentUser = this.get('firebaseApp').auth().currentUser;
+
+      return currentUser ? currentUser.uid : null;
+    }
+
+    return this._getSnapshotValue(snapshot, name);
+  },
+
+  /**
+   * Gets an attribute or the ID of a `belongsTo`. Dotted names like
+   * `author.name` read from the related record when it's loaded.
+   *
+   * @param {DS.Snapshot} snapshot
+   * @param {string} name
+   * @return {*} Value or undefined
+   * @private
+   */
+  _getSnapshotValue(snapshot, name) {
+    const [ key, ...propertyNames ] = name.split('.');
+    const propertyName = propertyNames.join('.');
+    let value;
+
+    snapshot.eachAttribute((attributeName) => {
+      if (attributeName === key) {
+        value = snapshot.attr(key);
+      }
+    });
+
+    snapshot.eachRelationship((relationshipName, relationship) => {
+      if (relationshipName === key && relationship.kind === 'belongsTo') {
+        if (propertyName && propertyName !== 'id') {
+          const relatedSnapshot = snapshot.belongsTo(key);
+
+          value = relatedSnapshot ?
+              this._getSnapshotValue(relatedSnapshot, propertyName) : null;
+        } else {
+          value = snapshot.belongsTo(key, { id: true });
+        }
+      }
+    });
+
+    return value;
+  },
+
+  /**
+   * Gets an attribute through its transform or the ID of a `belongsTo`
+   *
+   * @param {DS.Snapshot} snapshot
+   * @param {string} name
+   * @return {*} Serialized value
+   * @private
+   */
+  _getSerializedValue(snapshot, name) {
+    let value = this._getSnapshotValue(snapshot, name);
+
+    snapshot.eachAttribute((attributeName, attribute) => {
+      if (attributeName === name && attribute.type) {
+        value = this.transformFor(attribute.type).serialize(
+            value, attribute.options);
+      }
+    });
+
+    return value === undefined ? null : value;
   },
 
   /**
@@ -88,14 +833,24 @@ export default EmberFireSerializer.extend({
    * @private
    */
   _getKeyPath(snapshot, key) {
-    const customPath = this._getCustomPath(snapshot);
+    const adapter = this.store.adapterFor(snapshot.modelName);
     const snapshotId = snapshot.id;
     const keyPath = camelize(key);
 
+    // Let the adapter resolve its path templates so that both agree
+    // on where the record lives
+    if (adapter && typeof adapter.buildPathForSave === 'function') {
+      return `${adapter.buildPathForSave(snapshot)}/${snapshotId}/${keyPath}`;
+    }
+
+    const customPath = this._getCustomPath(snapshot);
+
     if (customPath) {
       return `${customPath}/${snapshotId}/${keyPath}`;
     } else {
-      const modelPath = this._getPathForType(snapshot.modelName);
+      const polymorphic = snapshot.type.polymorphic;
+      const modelPath = this._getPathForType(
+          polymorphic ? polymorphic.modelName : snapshot.modelName);
 
       return `${modelPath}/${snapshotId}/${keyPath}`;
     }
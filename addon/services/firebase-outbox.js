@@ -0,0 +1,394 @@
+/** @module emberfire-utils */
+import { A } from 'ember-array/utils';
+import { bind } from 'ember-runloop';
+import RSVP from 'rsvp';
+import Service from 'ember-service';
+import computed from 'ember-computed';
+import getOwner from 'ember-owner/get';
+import service from 'ember-service/inject';
+
+import { createInvalidError, getInvalidPath } from '../errors';
+import createOutboxStorage from '../utils/outbox-storage';
+import stableStringify from '../utils/stable-stringify';
+
+/**
+ * A durable queue of multi-path updates.
+ *
+ * The Firebase client only keeps pending writes in memory so they're
+ * lost once the tab gets closed while offline. When enabled, every
+ * fanout written through `Adapter.FirebaseFlex` and `firebase-util`
+ * is stored in IndexedDB (or localStorage when unavailable) until
+ * Firebase acknowledges it. Whatever is left gets replayed in order
+ * on the next boot once the user who made them is signed in again.
+ *
+ * @class FirebaseOutbox
+ * @namespace Service
+ * @extends Ember.Service
+ */
+export default Service.extend({
+  /**
+   * @type Ember.Service
+   * @readOnly
+   * @default
+   * @protected
+   */
+  firebase: service(),
+
+  /**
+   * @type Ember.Service
+   * @readOnly
+   * @default
+   * @protected
+   */
+  firebaseApp: service(),
+
+  /**
+   * Set to true to opt-in to the durable outbox
+   *
+   * @type {boolean}
+   * @default
+   */
+  isEnabled: false,
+
+  /**
+   * IndexedDB database name and localStorage key to store the writes
+   *
+   * @type {string}
+   * @default
+   */
+  storageName: 'emberfire-utils-outbox',
+
+  /**
+   * Writes that haven't been acknowledged by Firebase yet
+   *
+   * @type {Ember.NativeArray}
+   * @default null
+   * @readonly
+   */
+  pendingWrites: null,
+
+  /**
+   * Writes that Firebase rejected. Each one contains the `id`, `uid`,
+   * `fanout`, and `error`. They're kept in the storage until cleared
+   * so after a reload, the `error` only has its `code` and `message`.
+   *
+   * @type {Ember.NativeArray}
+   * @default null
+   * @readonly
+   */
+  failedWrites: null,
+
+  /**
+   * @type {number}
+   * @readonly
+   */
+  pendingWriteCount: computed.readOnly('pendingWrites.length'),
+
+  /**
+   * @type {number}
+   * @readonly
+   */
+  failedWriteCount: computed.readOnly('failedWrites.length'),
+
+  /**
+   * @type {Ember.Service}
+   * @default
+   * @readonly
+   */
+  fastboot: computed(function() {
+    return getOwner(this).lookup('service:fastboot');
+  }),
+
+  /**
+   * @type {Object}
+   * @default
+   * @protected
+   */
+  storage: computed('storageName', function() {
+    return createOutboxStorage(this.get('storageName'));
+  }),
+
+  /**
+   * Promises that resolve with the promises of the replayed writes
+   * once they've all been handed to Firebase. Keyed by the UID of the
+   * user who made them.
+   *
+   * @type {Object}
+   * @private
+   * @default null
+   */
+  _replays: null,
+
+  /**
+   * Resolves once Firebase Auth has restored the signed in user
+   *
+   * @type {Promise}
+   * @private
+   * @default null
+   */
+  _authState: null,
+
+  /**
+   * @type {function}
+   * @private
+   * @default null
+   */
+  _unsubscribeAuth: null,
+
+  /**
+   * Service hook
+   */
+  init() {
+    this._super(...arguments);
+
+    this.setProperties({
+      pendingWrites: new A(),
+      failedWrites: new A(),
+      _replays: {},
+    });
+  },
+
+  /**
+   * Service hook
+   */
+  willDestroy() {
+    this._super(...arguments);
+
+    const unsubscribeAuth = this.get('_unsubscribeAuth');
+
+    if (unsubscribeAuth) {
+      unsubscribeAuth();
+    }
+  },
+
+  /**
+   * Stores the fanout before writing it to Firebase. Writes left over
+   * from the previous session are handed to Firebase first so that
+   * they don't overwrite this one.
+   *
+   * Writing the same fanout as a failed write takes over that one
+   * instead of adding another. Retries of the `firebase-retry` service
+   * then leave at most one failed write behind.
+   *
+   * @param {Object} fanoutObject Fan-out object to write
+   * @return {Promise} Resolves when Firebase acknowledges the write
+   */
+  update(fanoutObject) {
+    const failedWrites = this.get('failedWrites');
+    const serializedFanout = stableStringify(fanoutObject);
+    const failedWrite = failedWrites.find((write) => {
+      return stableStringify(write.fanout) === serializedFanout;
+    });
+    const entry = {
+      id: failedWrite ? failedWrite.id : this.get('firebase').push().key,
+      fanout: fanoutObject,
+    };
+
+    if (failedWrite) {
+      failedWrites.removeObject(failedWrite);
+    }
+
+    this.get('pendingWrites').pushObject(entry);
+
+    return this._getUid().then(bind(this, (uid) => {
+      entry.uid = uid;
+
+      return this._startReplay();
+    })).then(bind(this, () => {
+      // Still write when the storage is full or unavailable. It just
+      // won't survive a reload.
+      return this.get('storage').put(entry).catch(() => {});
+    })).then(bind(this, () => this._write(entry)));
+  },
+
+  /**
+   * Writes everything that the signed in user left in the storage from
+   * a previous session in the order that they were made. Writes that
+   * were rejected go back to `failedWrites` instead.
+   *
+   * Writes of other users stay in the storage until they sign in
+   * again. Security rules would most likely reject them anyway.
+   *
+   * @return {Promise} Resolves when all stored writes have settled
+   */
+  replay() {
+    return this._startReplay().then((writes) => RSVP.all(writes));
+  },
+
+  /**
+   * Forgets about the writes that Firebase rejected
+   *
+   * @return {Promise} Resolves once they're removed from the storage
+   */
+  clearFailedWrites() {
+    const failedWrites = this.get('failedWrites');
+    const storage = this.get('storage');
+    const deletes = failedWrites.map((failedWrite) => {
+      return storage.delete(failedWrite.id).catch(() => {});
+    });
+
+    failedWrites.clear();
+
+    return RSVP.all(deletes);
+  },
+
+  /**
+   * Reads the stored writes of the signed in user only once no matter
+   * how many times it's called
+   *
+   * @return {Promise} Resolves with the promises of the replayed
+   *                   writes once they've been handed to Firebase
+   * @private
+   */
+  _startReplay() {
+    const fastboot = this.get('fastboot');
+
+    if (fastboot && fastboot.get('isFastBoot')) {
+      return RSVP.resolve([]);
+    }
+
+    return this._getUid().then(bind(this, (uid) => {
+      const replays = this.get('_replays');
+      const key = uid || '';
+
+      if (!replays[key]) {
+        replays[key] = this.get('storage').getAll().catch(() => []).then(
+            bind(this, (entries) => this._replayEntries(entries, uid)));
+      }
+
+      return replays[key];
+    }));
+  },
+
+  /**
+   * @param {Array.<Object>} entries Stored writes
+   * @param {string} uid UID of the signed in user. Null when signed out.
+   * @return {Array.<Promise>} Promises of the replayed writes
+   * @private
+   */
+  _replayEntries(entries, uid) {
+    const pendingWrites = this.get('pendingWrites');
+    const failedWrites = this.get('failedWrites');
+    const writes = [];
+
+    entries.forEach((entry) => {
+      if (entry.uid !== uid) {
+        return;
+      }
+
+      if (entry.failed) {
+        if (!failedWrites.findBy('id', entry.id)) {
+          failedWrites.pushObject({
+            id: entry.id,
+            uid: entry.uid,
+            fanout: entry.fanout,
+            error: entry.error,
+          });
+        }
+      } else if (!pendingWrites.findBy('id', entry.id)) {
+        pendingWrites.pushObject(entry);
+
+        // Firebase keeps the order of the writes that it receives
+        writes.push(this._write(entry).catch(() => {}));
+      }
+    });
+
+    return writes;
+  },
+
+  /**
+   * Waits for Firebase Auth to restore the signed in user. Writes of a
+   * user who signs in afterwards get replayed then.
+   *
+   * @return {Promise} Resolves with the UID of the signed in user or
+   *                   null when signed out
+   * @private
+   */
+  _getUid() {
+    const fastboot = this.get('fastboot');
+
+    // Firebase Auth doesn't restore a user on the server
+    if (fastboot && fastboot.get('isFastBoot')) {
+      return RSVP.resolve(null);
+    }
+
+    const auth = this.get('firebaseApp').auth();
+
+    if (!this.get('_authState')) {
+      let isResolved = false;
+      let resolveAuthState;
+
+      this.set('_authState', new RSVP.Promise((resolve) => {
+        resolveAuthState = resolve;
+      }));
+      this.set('_unsubscribeAuth', auth.onAuthStateChanged(bind(this, () => {
+        if (isResolved) {
+          this._startReplay();
+        } else {
+          isResolved = true;
+          resolveAuthState();
+        }
+      })));
+    }
+
+    return this.get('_authState').then(() => {
+      const currentUser = auth.currentUser;
+
+      return currentUser ? currentUser.uid : null;
+    });
+  },
+
+  /**
+   * @param {Object} entry
+   * @return {Promise} Resolves when Firebase acknowledges the write
+   * @private
+   */
+  _write(entry) {
+    return new RSVP.Promise((resolve, reject) => {
+      const onComplete = bind(this, (error) => {
+        const storage = this.get('storage');
+        let storagePromise;
+
+        this.get('pendingWrites').removeObject(entry);
+
+        if (error) {
+          this.get('failedWrites').pushObject({
+            id: entry.id,
+            uid: entry.uid,
+            fanout: entry.fanout,
+            error: error,
+          });
+
+          // Errors don't survive being stored as JSON
+          storagePromise = storage.put({
+            id: entry.id,
+            uid: entry.uid,
+            fanout: entry.fanout,
+            failed: true,
+            error: {
+              code: error.code,
+              message: error.message || String(error),
+            },
+          });
+        } else {
+          storagePromise = storage.delete(entry.id);
+        }
+
+        storagePromise.catch(() => {}).then(() => {
+          if (error) {
+            reject(error);
+          } else {
+            resolve();
+          }
+        });
+      });
+
+      try {
+        this.get('firebase').update(entry.fanout, onComplete);
+      } catch (error) {
+        // Firebase throws when it rejects the data before sending it
+        onComplete(createInvalidError(error, getInvalidPath(entry.fanout)));
+      }
+    });
+  },
+});
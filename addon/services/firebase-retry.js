@@ -0,0 +1,175 @@
+/** @module emberfire-utils */
+import { assign } from 'ember-platform';
+import { later } from 'ember-runloop';
+import RSVP from 'rsvp';
+import Service from 'ember-service';
+
+/**
+ * Retry policy shared by `Adapter.FirebaseFlex` and `firebase-util`.
+ *
+ * Writes, uploads, and cancelled record listeners that fail with a
+ * retryable error code are tried again with an exponential backoff
+ * and full jitter. Once they give up, `didFail()` gets called with
+ * the final error.
+ *
+ * The Realtime Database queues writes while offline instead of
+ * failing them so these mostly retry transactions that lost their
+ * connection and servers that were unavailable. It cancels listeners
+ * with `UNAVAILABLE`, `PERMISSION_DENIED`, or `TOO_BIG`. Denied
+ * listeners only get retried once `permission_denied` is added to
+ * `retryableCodes` which also retries writes that were denied.
+ *
+ * @class FirebaseRetry
+ * @namespace Service
+ * @extends Ember.Service
+ */
+export default Service.extend({
+  /**
+   * Number of attempts including the first one. Set to 1 to disable
+   * retrying.
+   *
+   * @type {number}
+   * @default
+   */
+  maxAttempts: 3,
+
+  /**
+   * Milliseconds to wait at most before the first retry
+   *
+   * @type {number}
+   * @default
+   */
+  baseDelay: 1000,
+
+  /**
+   * Milliseconds to wait at most before any retry
+   *
+   * @type {number}
+   * @default
+   */
+  maxDelay: 30000,
+
+  /**
+   * Lowercased Firebase error codes that are worth retrying. Defaults
+   * to:
+   *
+   * - `disconnect` - A transaction lost its connection before the
+   *   server acknowledged it
+   * - `maxretry` - A transaction gave up after too many concurrent
+   *   writes
+   * - `unavailable` - The Realtime Database server is unavailable
+   * - `storage/retry-limit-exceeded` - An upload ran out of time
+   *
+   * @type {Array.<string>}
+   * @default null
+   */
+  retryableCodes: null,
+
+  /**
+   * Service hook
+   */
+  init() {
+    this._super(...arguments);
+
+    if (!this.get('retryableCodes')) {
+      this.set('retryableCodes', [
+        'disconnect',
+        'maxretry',
+        'unavailable',
+        'storage/retry-limit-exceeded',
+      ]);
+    }
+  },
+
+  /**
+   * Runs an operation until it succeeds or the policy gives up
+   *
+   * @param {function} operation Returns a promise
+   * @param {Object} [context={}] Passed to `didFail()`. The adapter
+   *                              and `firebase-util` set the `method`
+   *                              along with what it's working on.
+   * @return {Promise} Resolves or rejects like the last attempt
+   */
+  run(operation, context = {}) {
+    const attempt = (count) => {
+      return operation().catch((error) => {
+        return this.scheduleRetry(error, count, context).then(() => {
+          return attempt(count + 1);
+        });
+      });
+    };
+
+    return attempt(1);
+  },
+
+  /**
+   * Waits for the backoff delay of a failed attempt. When the error
+   * shouldn't be retried, the failure gets reported instead.
+   *
+   * @param {Error} error
+   * @param {number} attempt Number of the attempt that failed
+   * @param {Object} [context={}] Passed to `didFail()`
+   * @return {Promise} Resolves when it's time for the next attempt.
+   *                   Otherwise, rejects with the error.
+   */
+  scheduleRetry(error, attempt, context = {}) {
+    if (this.shouldRetry(error, attempt)) {
+      return new RSVP.Promise((resolve) => {
+        later(resolve, this.getDelay(attempt));
+      });
+    }
+
+    this.didFail(error, assign({ attempts: attempt }, context));
+
+    return RSVP.reject(error);
+  },
+
+  /**
+   * @param {Error} error
+   * @param {number} attempt Number of the attempt that failed
+   * @return {boolean} True if there's an attempt left and the error
+   *                   code is retryable
+   */
+  shouldRetry(error, attempt) {
+    return attempt < this.get('maxAttempts') && this.isRetryable(error);
+  },
+
+  /**
+   * Transactions reject with the status as the message and no code so
+   * the message is checked when there's no code.
+   *
+   * @param {Error} error
+   * @return {boolean} True if the error code is retryable
+   */
+  isRetryable(error) {
+    let code = '';
+
+    if (error && typeof error.code === 'string') {
+      code = error.code;
+    } else if (error && typeof error.message === 'string') {
+      code = error.message;
+    }
+
+    return this.get('retryableCodes').indexOf(code.toLowerCase()) !== -1;
+  },
+
+  /**
+   * @param {number} attempt Number of the attempt that failed
+   * @return {number} Random milliseconds up to the exponential backoff
+   */
+  getDelay(attempt) {
+    const backoff = this.get('baseDelay') * Math.pow(2, attempt - 1);
+
+    return Math.random() * Math.min(backoff, this.get('maxDelay'));
+  },
+
+  /**
+   * Hook called once an operation fails for good. Override this to
+   * report the error.
+   *
+   * @param {Error} error
+   * @param {Object} context Context of the operation along with the
+   *                         number of `attempts`
+   */
+  didFail() {},
+});
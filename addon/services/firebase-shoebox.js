@@ -0,0 +1,172 @@
+/** @module emberfire-utils */
+import RSVP from 'rsvp';
+import Service from 'ember-service';
+import computed from 'ember-computed';
+import getOwner from 'ember-owner/get';
+import service from 'ember-service/inject';
+
+/**
+ * Transfers what `Adapter.FirebaseFlex` and `firebase-util` resolved
+ * during the FastBoot render to the browser through the FastBoot
+ * shoebox.
+ *
+ * On boot, the records are pushed to the store and the queries with a
+ * `cacheId` are tracked again. Each entry is then only retrieved once
+ * by the first matching read which resolves without downloading the
+ * data again and attaches its realtime listeners.
+ *
+ * @class FirebaseShoebox
+ * @namespace Service
+ * @extends Ember.Service
+ */
+export default Service.extend({
+  /**
+   * @type Ember.Service
+   * @readOnly
+   * @default
+   * @protected
+   */
+  store: service(),
+
+  /**
+   * @type {Ember.Service}
+   * @default
+   * @readonly
+   */
+  fastboot: computed(function() {
+    return getOwner(this).lookup('service:fastboot');
+  }),
+
+  /**
+   * @type {Ember.Service}
+   * @default
+   * @readonly
+   */
+  firebaseUtil: computed(function() {
+    return getOwner(this).lookup('service:firebase-util');
+  }),
+
+  /**
+   * Key of the entries in the FastBoot shoebox
+   *
+   * @type {string}
+   * @default
+   */
+  shoeboxKey: 'emberfire-utils',
+
+  /**
+   * Entries keyed by the read that resolved them
+   *
+   * @type {Object}
+   * @private
+   * @default null
+   */
+  _entries: null,
+
+  /**
+   * @return {boolean} True when rendering in FastBoot
+   */
+  isFastBoot() {
+    const fastboot = this.get('fastboot');
+
+    return !!fastboot && fastboot.get('isFastBoot');
+  },
+
+  /**
+   * Stores the result of a read when rendering in FastBoot. Otherwise,
+   * this does nothing.
+   *
+   * @param {string} key
+   * @param {Object} entry Result of the read. `records` with a
+   *                       `modelName` get pushed to the store on boot.
+   */
+  put(key, entry) {
+    if (this.isFastBoot()) {
+      const entries = this._getEntries();
+
+      entries[key] = entry;
+      this.get('fastboot.shoebox').put(this.get('shoeboxKey'), entries);
+    }
+  },
+
+  /**
+   * Takes out the result of a read that was resolved during the
+   * FastBoot render
+   *
+   * @param {string} key
+   * @return {Object} Entry or undefined when it doesn't exist or has
+   *                  already been retrieved
+   */
+  retrieve(key) {
+    if (this.isFastBoot()) {
+      return undefined;
+    }
+
+    const entries = this._getEntries();
+    const entry = entries[key];
+
+    delete entries[key];
+
+    return entry;
+  },
+
+  /**
+   * Pushes the transferred records to the store and tracks the
+   * transferred `firebase-util` queries with a `cacheId`
+   *
+   * @return {Promise} Resolves once the queries are tracked
+   */
+  rehydrate() {
+    if (this.isFastBoot()) {
+      return RSVP.resolve();
+    }
+
+    const store = this.get('store');
+    const entries = this._getEntries();
+    const queryPromises = [];
+
+    Object.keys(entries).forEach((key) => {
+      const entry = entries[key];
+
+      if (entry.modelName) {
+        entry.records.forEach((record) => {
+          store.push(store.normalize(entry.modelName, record));
+        });
+      }
+
+      if (entry.options && entry.options.cacheId) {
+        const firebaseUtil = this.get('firebaseUtil');
+        const queryPromise = RSVP.resolve(
+            firebaseUtil[entry.method](entry.path, entry.options));
+
+        // A query that can't be tracked again gets downloaded by its
+        // next read instead
+        queryPromises.push(queryPromise.catch(() => {}));
+      }
+    });
+
+    return RSVP.all(queryPromises);
+  },
+
+  /**
+   * @return {Object} Entries being put when rendering in FastBoot.
+   *                  Otherwise, the entries left in the shoebox.
+   * @private
+   */
+  _getEntries() {
+    let entries = this.get('_entries');
+
+    if (!entries) {
+      const fastboot = this.get('fastboot');
+
+      if (fastboot && !this.isFastBoot()) {
+        entries = fastboot.get('shoebox').retrieve(this.get('shoeboxKey'));
+      }
+
+      entries = entries || {};
+      this.set('_entries', entries);
+    }
+
+    return entries;
+  },
+});
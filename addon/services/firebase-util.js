@@ -4,10 +4,22 @@ import { assign } from 'ember-platform';
 import { typeOf } from 'ember-utils';
 import RSVP from 'rsvp';
 import Service from 'ember-service';
+import computed from 'ember-computed';
+import getOwner from 'ember-owner/get';
 import service from 'ember-service/inject';
 import set from 'ember-metal/set';
 import run, { bind } from 'ember-runloop';
 
+import {
+  TransactionAbortedError,
+  createInvalidError,
+  createNotFoundError,
+  getInvalidPath,
+  toAdapterError,
+} from '../errors';
+import matchesWhere from '../utils/where';
+import stableStringify from '../utils/stable-stringify';
+
 /**
  * This is a utility service that works on top of Emberfire.
  *
@@ -47,6 +59,36 @@ export default Service.extend({
    */
   store: service(),
 
+  /**
+   * @type Ember.Service
+   * @readOnly
+   * @default
+   * @protected
+   */
+  firebaseOutbox: computed(function() {
+    return getOwner(this).lookup('service:firebase-outbox');
+  }),
+
+  /**
+   * @type Ember.Service
+   * @readOnly
+   * @default
+   * @protected
+   */
+  firebaseRetry: computed(function() {
+    return getOwner(this).lookup('service:firebase-retry');
+  }),
+
+  /**
+   * @type Ember.Service
+   * @readOnly
+   * @default
+   * @protected
+   */
+  firebaseShoebox: computed(function() {
+    return getOwner(this).lookup('service:firebase-shoebox');
+  }),
+
   /**
    * @type Object
    * @default
@@ -82,6 +124,20 @@ export default Service.extend({
    * @return {Promise.<string>} Download URL
    */
   uploadFile(path, file, metadata = {}, onStateChange = () => {}) {
+    return this._retry(() => {
+      return this._uploadFile(path, file, metadata, onStateChange);
+    }, { method: 'uploadFile', path: path });
+  },
+
+  /**
+   * @param {string} path Storage path
+   * @param {Blob} file File to upload
+   * @param {Object} metadata File metadata
+   * @param {function} onStateChange Function to call when state changes
+   * @return {Promise.<string>} Download URL
+   * @private
+   */
+  _uploadFile(path, file, metadata, onStateChange) {
     return new RSVP.Promise((resolve, reject) => {
       let uploadTask = this.get('firebaseApp').storage().ref(path).put(
           file,
@@ -90,7 +146,7 @@ export default Service.extend({
       uploadTask.on('state_changed', bind(this, (snapshot) => {
         onStateChange(snapshot);
       }), bind(this, (error) => {
-        reject(new Error(error));
+        reject(toAdapterError(error, path));
       }), bind(this, () => {
         resolve(uploadTask.snapshot.downloadURL);
       }));
@@ -105,7 +161,7 @@ export default Service.extend({
     return new RSVP.Promise((resolve, reject) => {
       this.get('firebaseApp').storage().refFromURL(url).delete().then(
           bind(this, resolve)).catch(bind(this, (error) => {
-            reject(new Error(error));
+            reject(toAdapterError(error, url));
           }));
     });
   },
@@ -122,14 +178,64 @@ export default Service.extend({
    * @return {Promise} Resolves when update succeeds
    */
   update(fanoutObject) {
+    return this._retry(() => this._update(fanoutObject), {
+      method: 'update',
+      fanout: fanoutObject,
+    });
+  },
+
+  /**
+   * @param {Object} fanoutObject Fan-out object to write
+   * @return {Promise} Resolves when update succeeds
+   * @private
+   */
+  _update(fanoutObject) {
+    const firebaseOutbox = this.get('firebaseOutbox');
+
+    if (firebaseOutbox && firebaseOutbox.get('isEnabled')) {
+      return firebaseOutbox.update(fanoutObject).catch((error) => {
+        throw toAdapterError(error);
+      });
+    }
+
     return new RSVP.Promise((resolve, reject) => {
-      this.get('firebase').update(fanoutObject, bind(this, (error) => {
-        if (error) {
-          reject(new Error(error));
-        } else {
-          resolve();
-        }
-      }));
+      try {
+        this.get('firebase').update(fanoutObject, bind(this, (error) => {
+          if (error) {
+            reject(toAdapterError(error));
+          } else {
+            resolve();
+          }
+        }));
+      } catch (error) {
+        // Firebase throws when it rejects the data before sending it
+        reject(createInvalidError(error, getInvalidPath(fanoutObject)));
+      }
+    });
+  },
+
+  /**
+   * Atomically modifies the data in a path.
+   *
+   * `updateFn` receives the current data and should return the new
+   * data. Returning `undefined` aborts the transaction.
+   *
+   * @param {string} path Firebase path
+   * @param {function} updateFn Function that returns the new data
+   * @return {Promise.<Object>} Resolves to the committed record
+   */
+  transaction(path, updateFn) {
+    return new RSVP.Promise((resolve, reject) => {
+      this.get('firebase').child(path).transaction(
+          updateFn, bind(this, (error, isCommitted, snapshot) => {
+            if (error) {
+              reject(toAdapterError(error, path));
+            } else if (!isCommitted) {
+              reject(new TransactionAbortedError());
+            } else {
+              resolve(this.serialize(snapshot.key, snapshot.val()));
+            }
+          }));
     });
   },
 
@@ -146,37 +252,53 @@ export default Service.extend({
       if (trackedQueries.hasOwnProperty(cacheId)) {
         resolve(trackedQueries[cacheId]['record']);
       } else {
+        const shoeboxEntry = this.getShoeboxEntry('queryRecord', path, options);
+        const transferredEntry = this.retrieveFromShoebox(shoeboxEntry);
         let ref = this.get('firebase').child(path);
 
         ref = this.setupQuerySortingAndFiltering(ref, options, true);
 
+        const onRecord = (record) => {
+          if (cacheId) {
+            if (trackedQueries.hasOwnProperty(cacheId)) {
+              this.updateTrackedQueryRecord(cacheId, record);
+            } else {
+              assign(options, { record: record });
+              this.trackQuery(cacheId, options);
+            }
+          }
+
+          resolve(record);
+        };
+
         const onSuccess = bind(this, (snapshot) => {
           if (snapshot.exists()) {
             // Will always loop once because of the forced limitTo* 1
             snapshot.forEach((child) => {
               const record = this.serialize(child.key, child.val());
 
-              if (cacheId) {
-                if (trackedQueries.hasOwnProperty(cacheId)) {
-                  this.updateTrackedQueryRecord(cacheId, record);
-                } else {
-                  assign(options, { record: record });
-                  this.trackQuery(cacheId, options);
-                }
-              }
-
-              resolve(record);
+              this.putInShoebox(shoeboxEntry, [ record ]);
+              onRecord(record);
             });
           } else {
-            reject(new Error('Record doesn\'t exist'));
+            reject(createNotFoundError(path));
           }
         });
 
         const onError = bind(this, (error) => {
-          reject(new Error(error));
+          reject(toAdapterError(error, path));
         });
 
-        if (cacheId) {
+        if (transferredEntry) {
+          const record = transferredEntry.records[0];
+
+          onRecord(record);
+
+          if (cacheId) {
+            // The listener's initial value only updates the record
+            ref.on('value', onSuccess, onError);
+          }
+        } else if (cacheId) {
           ref.on('value', onSuccess, onError);
         } else {
           ref.once('value').then(onSuccess).catch(onError);
@@ -225,7 +347,40 @@ export default Service.extend({
       this.get('firebase').child(path).once('value').then(
           bind(this, (snapshot) => {
             resolve(snapshot.exists());
-          })).catch(bind(this, (error) => reject(new Error(error))));
+          })).catch(bind(this, (error) => reject(toAdapterError(error, path))));
+    });
+  },
+
+  /**
+   * Lists the audit history entries of a record from the oldest to
+   * the newest. Entries are written by `Adapter.FirebaseFlex` for
+   * models with audit enabled.
+   *
+   * @param {string} modelName
+   * @param {string} id
+   * @return {Promise.<Array>} Resolves to the history entries
+   */
+  findHistory(modelName, id) {
+    const adapter = this.get('store').adapterFor(modelName);
+
+    if (!adapter || typeof adapter.pathForHistory !== 'function') {
+      return RSVP.reject(new Error(`The adapter for ${modelName} doesn't ` +
+          'write history entries. Use Adapter.FirebaseFlex instead.'));
+    }
+
+    const path = adapter.pathForHistory(modelName, id);
+
+    return new RSVP.Promise((resolve, reject) => {
+      this.get('firebase').child(path).once('value').then(
+          bind(this, (snapshot) => {
+            const entries = [];
+
+            snapshot.forEach((child) => {
+              entries.push(this.serialize(child.key, child.val()));
+            });
+
+            resolve(entries);
+          })).catch(bind(this, (error) => reject(toAdapterError(error, path))));
     });
   },
 
@@ -267,7 +422,7 @@ export default Service.extend({
           }
         }), bind(this, (error) => {
           this._nullifyObject(query.record);
-          reject(new Error(error));
+          reject(toAdapterError(error, path));
         }));
       }
     });
@@ -305,7 +460,7 @@ export default Service.extend({
         }
 
         resolve(records);
-      })).catch(bind(this, (error) => reject(new Error(error))));
+      })).catch(bind(this, (error) => reject(toAdapterError(error, path))));
     });
   },
 
@@ -362,6 +517,56 @@ export default Service.extend({
     trackedQueries[cacheId] = query;
   },
 
+  /**
+   * @param {string} method `query` or `queryRecord`
+   * @param {string} path
+   * @param {Object} options Query options before they get sorted and
+   *                         filtered
+   * @return {Object} Key and contents of the query's FastBoot shoebox
+   *                  entry
+   * @protected
+   */
+  getShoeboxEntry(method, path, options) {
+    return {
+      key: `util:${method}:${path}:${stableStringify(options)}`,
+      method: method,
+      path: path,
+      options: assign({}, options),
+    };
+  },
+
+  /**
+   * Stores the query result when rendering in FastBoot
+   *
+   * @param {Object} shoeboxEntry
+   * @param {Array.<Object>} records
+   * @protected
+   */
+  putInShoebox(shoeboxEntry, records) {
+    const shoebox = this.get('firebaseShoebox');
+
+    if (shoebox) {
+      shoebox.put(shoeboxEntry.key, {
+        method: shoeboxEntry.method,
+        path: shoeboxEntry.path,
+        options: shoeboxEntry.options,
+        records: records,
+      });
+    }
+  },
+
+  /**
+   * @param {Object} shoeboxEntry
+   * @return {Object} Query result resolved during the FastBoot render or
+   *                  undefined
+   * @protected
+   */
+  retrieveFromShoebox(shoeboxEntry) {
+    const shoebox = this.get('firebaseShoebox');
+
+    return shoebox ? shoebox.retrieve(shoeboxEntry.key) : undefined;
+  },
+
   /**
    * @param {string} cacheId
    * @param {Object} record
@@ -432,15 +637,20 @@ export default Service.extend({
     if (!fastboot || !fastboot.get('isFastBoot')) {
       const ref = query.ref;
 
+      const addRecord = (record) => {
+        if (query.hasOwnProperty('limitToLast')) {
+          query.records.unshiftObject(record);
+        } else {
+          query.records.addObject(record);
+        }
+      };
+
       query.onChildAdded = bind(this, (snapshot) => {
         const record = this.serialize(snapshot.key, snapshot.val());
 
-        if (!query.records.findBy('id', snapshot.key)) {
-          if (query.hasOwnProperty('limitToLast')) {
-            query.records.unshiftObject(record);
-          } else {
-            query.records.addObject(record);
-          }
+        if (!query.records.findBy('id', snapshot.key) &&
+            this.isMatchingWhere(query, record)) {
+          addRecord(record);
         }
       });
 
@@ -450,8 +660,14 @@ export default Service.extend({
         const oldRecord = query.records.findBy('id', snapshot.key);
         const newRecord = this.serialize(snapshot.key, snapshot.val());
 
-        if (oldRecord) {
+        if (!this.isMatchingWhere(query, newRecord)) {
+          if (oldRecord) {
+            query.records.removeObject(oldRecord);
+          }
+        } else if (oldRecord) {
           assign(oldRecord, newRecord);
+        } else {
+          addRecord(newRecord);
         }
       });
 
@@ -469,6 +685,20 @@ export default Service.extend({
     }
   },
 
+  /**
+   * @param {Object} query
+   * @param {Object} record
+   * @return {boolean} True if there's no `query.where` or it matches
+   * @protected
+   */
+  isMatchingWhere(query, record) {
+    if (!query.where) {
+      return true;
+    }
+
+    return matchesWhere(query.where, (name) => record[name]);
+  },
+
   /**
    * Set the query listeners
    *
@@ -511,6 +741,21 @@ export default Service.extend({
     }), bind(this, query.records.clear));
   },
 
+  /**
+   * Runs the operation through the `firebase-retry` service when
+   * it's available
+   *
+   * @param {function} operation Returns a promise
+   * @param {Object} context Passed to the retry hooks
+   * @return {Promise} Resolves or rejects like the last attempt
+   * @private
+   */
+  _retry(operation, context) {
+    const firebaseRetry = this.get('firebaseRetry');
+
+    return firebaseRetry ? firebaseRetry.run(operation, context) : operation();
+  },
+
   /**
    * Polyfill workaround for `Object.assign` on an `Ember.Object` object
    * property.
@@ -578,41 +823,90 @@ export default Service.extend({
       if (trackedQueries.hasOwnProperty(cacheId)) {
         resolve(trackedQueries[cacheId]['records']);
       } else {
+        const shoeboxEntry = this.getShoeboxEntry('query', path, options);
+        const transferredEntry = this.retrieveFromShoebox(shoeboxEntry);
+        const pageSize = options.limitToFirst || options.limitToLast;
         let ref = this.get('firebase').child(path);
 
+        // The limits get widened below so we keep the caller's as is
+        options = assign({}, options);
         ref = this.setupQuerySortingAndFiltering(ref, options);
 
+        const onRecords = (records) => {
+          if (cacheId) {
+            assign(options, { path: path, records: records, ref: ref });
+            this.trackQuery(cacheId, options);
+            this.setupQueryListListener(options);
+          }
+
+          resolve(records);
+        };
+
         const onSuccess = bind(this, (snapshot) => {
           if (snapshot.exists()) {
             const records = new A();
 
+            const limit = options.limitToFirst || options.limitToLast;
+
             snapshot.forEach((child) => {
               const record = this.serialize(child.key, child.val());
 
-              records.pushObject(record);
+              if (this.isMatchingWhere(options, record)) {
+                records.pushObject(record);
+              }
             });
 
+            // Keep loading while records filtered out by `where` leave
+            // the first page short and there could still be more of them
+            if (records.get('length') < pageSize &&
+                snapshot.numChildren() >= limit) {
+              if (cacheId) {
+                ref.off('value', onSuccess);
+              }
+
+              if (options.hasOwnProperty('limitToFirst')) {
+                options.limitToFirst += pageSize;
+              }
+
+              if (options.hasOwnProperty('limitToLast')) {
+                options.limitToLast += pageSize;
+              }
+
+              ref = this.setupQuerySortingAndFiltering(
+                  this.get('firebase').child(path), options);
+              load();
+
+              return;
+            }
+
+            this.putInShoebox(shoeboxEntry, records);
+
             if (cacheId) {
-              assign(options, { path: path, records: records, ref: ref });
-              this.trackQuery(cacheId, options);
-              this.setupQueryListListener(options);
               ref.off('value', onSuccess);
             }
 
-            resolve(records);
+            onRecords(records);
           } else {
             resolve([]);
           }
         });
 
         const onError = bind(this, (error) => {
-          reject(new Error(error));
+          reject(toAdapterError(error, path));
         });
 
-        if (cacheId) {
-          ref.on('value', onSuccess, onError);
+        const load = () => {
+          if (cacheId) {
+            ref.on('value', onSuccess, onError);
+          } else {
+            ref.once('value').then(onSuccess, onError);
+          }
+        };
+
+        if (transferredEntry) {
+          onRecords(new A(transferredEntry.records));
         } else {
-          ref.once('value').then(onSuccess, onError);
+          load();
         }
       }
     }));
@@ -667,7 +961,7 @@ export default Service.extend({
             this._setQueryListeners(query);
             resolve(query.records);
           }
-        })).catch(bind(this, (error) => reject(new Error(error))));
+        })).catch(bind(this, (error) => reject(toAdapterError(error, path))));
       } else {
         run(null, resolve, query.records);
       }
@@ -683,46 +977,65 @@ export default Service.extend({
     return new RSVP.Promise((resolve, reject) => {
       const trackedQueries = this.get('trackedQueries');
       const query = trackedQueries[cacheId];
+      const numOfRecordsToFill = query.records.get('length') + numOfRecords;
 
       query.ref.off('child_added', query.onChildAdded);
       query.ref.off('child_changed', query.onChildChanged);
       query.ref.off('child_removed', query.onChildRemoved);
-      query.ref = this.get('firebase').child(query.path);
 
-      if (query.hasOwnProperty('limitToFirst')) {
-        query.limitToFirst += numOfRecords;
-      }
+      const loadMore = () => {
+        query.ref = this.get('firebase').child(query.path);
 
-      if (query.hasOwnProperty('limitToLast')) {
-        query.limitToLast += numOfRecords;
-      }
+        if (query.hasOwnProperty('limitToFirst')) {
+          query.limitToFirst += numOfRecords;
+        }
 
-      query.ref = this.setupQuerySortingAndFiltering(query.ref, query);
+        if (query.hasOwnProperty('limitToLast')) {
+          query.limitToLast += numOfRecords;
+        }
 
-      const onSuccess = bind(this, (snapshot) => {
-        if (snapshot.exists()) {
-          const records = new A();
+        query.ref = this.setupQuerySortingAndFiltering(query.ref, query);
 
-          snapshot.forEach((child) => {
-            const record = this.serialize(child.key, child.val());
+        const onSuccess = bind(this, (snapshot) => {
+          if (snapshot.exists()) {
+            const limit = query.limitToFirst || query.limitToLast;
+            const records = new A();
 
-            records.pushObject(record);
-          });
+            snapshot.forEach((child) => {
+              const record = this.serialize(child.key, child.val());
 
-          query.records.clear();
-          query.records.pushObjects(records);
-          this.setupQueryListListener(query);
-          query.ref.off('value', onSuccess);
-        }
+              if (this.isMatchingWhere(query, record)) {
+                records.pushObject(record);
+              }
+            });
 
-        resolve(query.records);
-      });
+            query.ref.off('value', onSuccess);
 
-      const onError = bind(this, (error) => {
-        reject(new Error(error));
-      });
+            // Keep loading while records filtered out by `where` leave
+            // the page short and there could still be more of them
+            if (records.get('length') < numOfRecordsToFill &&
+                snapshot.numChildren() >= limit) {
+              loadMore();
 
-      query.ref.on('value', onSuccess, onError);
+              return;
+            }
+
+            query.records.clear();
+            query.records.pushObjects(records);
+            this.setupQueryListListener(query);
+          }
+
+          resolve(query.records);
+        });
+
+        const onError = bind(this, (error) => {
+          reject(toAdapterError(error, query.path));
+        });
+
+        query.ref.on('value', onSuccess, onError);
+      };
+
+      loadMore();
     });
   },
 
@@ -781,7 +1094,9 @@ export default Service.extend({
           this._setQueryListeners(query);
           resolve(query.records);
         }
-      })).catch(bind(this, (error) => reject(new Error(error))));
+      })).catch(bind(this, (error) => {
+        reject(toAdapterError(error, query.path));
+      }));
     });
   },
 });
@@ -4,6 +4,14 @@ import Transform from 'ember-data/transform';
 import firebase from 'firebase';
 
 /**
+ * Supports a `mode` option:
+ *
+ * - `created` - Stamped with the server time on the first save only
+ * - `updated` - Stamped with the server time on every save
+ * - `value` - Saves the date itself
+ *
+ * Without a `mode`, changed values are stamped with the server time.
+ *
  * @class Timestamp
  * @namespace Transform
  * @extends DS.Transform
@@ -18,9 +26,16 @@ export default Transform.extend({
   },
 
   /**
-   * @return {Object} Firebase server timestamp
+   * @param {date} deserialized
+   * @param {Object} [options={}]
+   * @return {Object|number} Firebase server timestamp or, for the
+   *                         `value` mode, the date in milliseconds
    */
-  serialize() {
+  serialize(deserialized, options = {}) {
+    if (options.mode === 'value') {
+      return deserialized instanceof Date ? deserialized.getTime() : null;
+    }
+
     return firebase.database.ServerValue.TIMESTAMP;
   },
 });
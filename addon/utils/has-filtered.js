@@ -55,5 +55,9 @@ export default function hasFiltered(modelName, rawQuery = {}) {
         promise: this.get('store').query(modelName, query),
       });
     },
-  }).readOnly();
+  }).readOnly().meta({
+    isHasFiltered: true,
+    modelName: modelName,
+    query: rawQuery,
+  });
 }
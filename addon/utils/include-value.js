@@ -0,0 +1,59 @@
+/** @module emberfire-utils */
+import EmberObject from 'ember-object';
+
+/**
+ * A value of `adapterOptions.include` that only gets resolved by the
+ * serializer once the record is saved
+ *
+ * @class IncludeValue
+ * @namespace Utility
+ * @extends Ember.Object
+ */
+const IncludeValue = EmberObject.extend({
+  /**
+   * `serverTimestamp`, `increment`, or `copyOf`
+   *
+   * @type {string}
+   * @default null
+   */
+  type: null,
+
+  /**
+   * @type {*}
+   * @default null
+   */
+  argument: null,
+});
+
+/**
+ * @param {*} value
+ * @return {boolean} True if the value is an include value
+ */
+export function isIncludeValue(value) {
+  return value instanceof IncludeValue;
+}
+
+/**
+ * @return {Utility.IncludeValue} Server timestamp of the save
+ */
+export function serverTimestamp() {
+  return IncludeValue.create({ type: 'serverTimestamp' });
+}
+
+/**
+ * @param {number} [delta=1]
+ * @return {Utility.IncludeValue} Increments the current value by delta
+ */
+export function increment(delta = 1) {
+  return IncludeValue.create({ type: 'increment', argument: delta });
+}
+
+/**
+ * @param {string} name Attribute or `belongsTo` name. Dotted names
+ *                      like `author.name` read from the related record.
+ * @return {Utility.IncludeValue} Serialized value of the record's
+ *                                attribute or relationship
+ */
+export function copyOf(name) {
+  return IncludeValue.create({ type: 'copyOf', argument: name });
+}
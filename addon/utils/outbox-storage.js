@@ -0,0 +1,180 @@
+/** @module emberfire-utils */
+import RSVP from 'rsvp';
+
+const OBJECT_STORE_NAME = 'writes';
+
+/**
+ * Sorts entries by their push ID which is chronological
+ *
+ * @param {Array.<Object>} entries
+ * @return {Array.<Object>} Sorted entries
+ * @private
+ */
+function sortEntries(entries) {
+  return entries.sort((a, b) => {
+    if (a.id < b.id) {
+      return -1;
+    } else if (a.id > b.id) {
+      return 1;
+    }
+
+    return 0;
+  });
+}
+
+/**
+ * @param {IDBRequest} request
+ * @return {Promise} Resolves with the request result
+ * @private
+ */
+function toPromise(request) {
+  return new RSVP.Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * @param {string} name Database name
+ * @param {Object} fallbackStorage Used when the database can't be opened
+ * @return {Object} IndexedDB backed storage
+ * @private
+ */
+function createIndexedDbStorage(name, fallbackStorage) {
+  const openRequest = window.indexedDB.open(name, 1);
+
+  openRequest.onupgradeneeded = () => {
+    openRequest.result.createObjectStore(OBJECT_STORE_NAME, { keyPath: 'id' });
+  };
+
+  // Private browsing modes may refuse to open the database
+  const database = toPromise(openRequest).catch(() => null);
+
+  /**
+   * @param {string} mode
+   * @param {function} onObjectStore Called with the object store
+   * @param {function} onFallback Called when IndexedDB isn't usable
+   * @return {Promise} Resolves with the result of either callback
+   */
+  function withObjectStore(mode, onObjectStore, onFallback) {
+    return database.then((db) => {
+      if (db) {
+        return onObjectStore(db.transaction(OBJECT_STORE_NAME, mode)
+            .objectStore(OBJECT_STORE_NAME));
+      }
+
+      return onFallback();
+    });
+  }
+
+  return {
+    getAll() {
+      return withObjectStore('readonly', (objectStore) => {
+        return new RSVP.Promise((resolve, reject) => {
+          const entries = [];
+          const request = objectStore.openCursor();
+
+          request.onsuccess = () => {
+            const cursor = request.result;
+
+            if (cursor) {
+              entries.push(cursor.value);
+              cursor.continue();
+            } else {
+              resolve(sortEntries(entries));
+            }
+          };
+          request.onerror = () => reject(request.error);
+        });
+      }, () => fallbackStorage.getAll());
+    },
+
+    put(entry) {
+      return withObjectStore('readwrite', (objectStore) => {
+        return toPromise(objectStore.put(entry));
+      }, () => fallbackStorage.put(entry));
+    },
+
+    delete(id) {
+      return withObjectStore('readwrite', (objectStore) => {
+        return toPromise(objectStore.delete(id));
+      }, () => fallbackStorage.delete(id));
+    },
+  };
+}
+
+/**
+ * @param {string} name localStorage key
+ * @return {Object} localStorage backed storage
+ * @private
+ */
+function createLocalStorage(name) {
+  /**
+   * @return {Object} Entries keyed by ID
+   */
+  function read() {
+    return JSON.parse(window.localStorage.getItem(name) || '{}');
+  }
+
+  /**
+   * @param {Object} entries Entries keyed by ID
+   */
+  function write(entries) {
+    window.localStorage.setItem(name, JSON.stringify(entries));
+  }
+
+  return {
+    getAll() {
+      return RSVP.resolve().then(() => {
+        const entries = read();
+
+        return sortEntries(Object.keys(entries).map((id) => entries[id]));
+      });
+    },
+
+    put(entry) {
+      return RSVP.resolve().then(() => {
+        const entries = read();
+
+        entries[entry.id] = entry;
+        write(entries);
+      });
+    },
+
+    delete(id) {
+      return RSVP.resolve().then(() => {
+        const entries = read();
+
+        delete entries[id];
+        write(entries);
+      });
+    },
+  };
+}
+
+/**
+ * Creates a durable storage for pending writes.
+ *
+ * Uses IndexedDB when available and falls back to localStorage.
+ * Every function returns a promise.
+ *
+ * ```javascript
+ * const storage = createOutboxStorage('my-outbox');
+ *
+ * storage.put({ id: 'foo', fanout: { 'users/foo/name': 'Foo' } });
+ * storage.getAll(); // Resolves to entries sorted by ID
+ * storage.delete('foo');
+ * ```
+ *
+ * @param {string} name Database name or localStorage key
+ * @return {Object} Storage with `getAll()`, `put()`, and `delete()`
+ */
+export default function createOutboxStorage(name) {
+  const localStorage = createLocalStorage(name);
+
+  if (window.indexedDB) {
+    return createIndexedDbStorage(name, localStorage);
+  }
+
+  return localStorage;
+}
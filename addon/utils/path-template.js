@@ -0,0 +1,26 @@
+/** @module emberfire-utils */
+
+/**
+ * Replaces the `:name` placeholders of a path template. Dotted names
+ * like `:tenant.id` are passed as is to `getValue`.
+ *
+ * ```javascript
+ * resolvePathTemplate('tenants/:tenantId/posts', (name) => 'foo');
+ * // tenants/foo/posts
+ * ```
+ *
+ * @param {string} template
+ * @param {function} getValue Receives a placeholder name
+ * @return {string} Path
+ */
+export default function resolvePathTemplate(template, getValue) {
+  return template.replace(/:([\w.]+)/g, (placeholder, name) => {
+    const value = getValue(name);
+
+    if (value === undefined || value === null || value === '') {
+      throw new Error(`Unable to resolve ${placeholder} in ${template}`);
+    }
+
+    return value;
+  });
+}
@@ -0,0 +1,68 @@
+/** @module emberfire-utils */
+
+/**
+ * Callbacks to call when an object gets destroyed keyed by the object
+ *
+ * @type {WeakMap}
+ * @private
+ */
+const destroyCallbacks = new WeakMap();
+
+/**
+ * Calls back with the ID of every record of a model that gets unloaded
+ * from the store.
+ *
+ * We're using a private API here and will likely break without
+ * warning. Ember Data doesn't notify anyone when a record gets
+ * unloaded other than removing its internal model from the live record
+ * array. Everything relying on it goes through here so that
+ * `tests/unit/utils/record-lifecycle-test.js` catches when it breaks.
+ *
+ * @param {DS.Store} store
+ * @param {string} modelName
+ * @param {function} callback Receives the ID of the unloaded record
+ */
+export function onRecordUnload(store, modelName, callback) {
+  store.peekAll(modelName).get('content').addArrayObserver({}, {
+    willChange(content, start, removeCount) {
+      content.slice(start, start + removeCount).forEach((internalModel) => {
+        callback(internalModel.id);
+      });
+    },
+
+    didChange() {},
+  });
+}
+
+/**
+ * Calls back once an object such as a record array gets destroyed.
+ *
+ * Ember objects don't have a public hook for others to know when
+ * they're destroyed so this wraps the object's own `willDestroy()`.
+ * Everything relying on it goes through here so that
+ * `tests/unit/utils/record-lifecycle-test.js` catches when it breaks.
+ *
+ * @param {Ember.Object} object
+ * @param {function} callback Receives the object
+ */
+export function onDestroy(object, callback) {
+  if (!destroyCallbacks.has(object)) {
+    const willDestroy = object.willDestroy;
+
+    destroyCallbacks.set(object, []);
+
+    object.willDestroy = function() {
+      destroyCallbacks.get(this).forEach((destroyCallback) => {
+        destroyCallback(this);
+      });
+
+      return willDestroy.apply(this, arguments);
+    };
+  }
+
+  const callbacks = destroyCallbacks.get(object);
+
+  if (callbacks.indexOf(callback) === -1) {
+    callbacks.push(callback);
+  }
+}
@@ -0,0 +1,65 @@
+/** @module emberfire-utils */
+
+/**
+ * Creates a snapshot of a record through its public API.
+ *
+ * Operations that don't go through the store such as
+ * `dryRunDeleteRecord()` and `revertRecord()` can't get a `DS.Snapshot`
+ * without using a private API. This has the parts of it that the
+ * flexible adapter and serializer read.
+ *
+ * @param {DS.Model} record
+ * @param {Object} [adapterOptions]
+ * @return {Object} Snapshot of the record
+ */
+export default function createRecordSnapshot(record, adapterOptions) {
+  return {
+    id: record.get('id'),
+    modelName: record.constructor.modelName,
+    type: record.constructor,
+    record: record,
+    adapterOptions: adapterOptions,
+
+    attr(key) {
+      return record.get(key);
+    },
+
+    belongsTo(key, options) {
+      const reference = record.belongsTo(key);
+
+      if (options && options.id) {
+        return reference.id();
+      }
+
+      const relatedRecord = reference.value();
+
+      return relatedRecord ? createRecordSnapshot(relatedRecord) : null;
+    },
+
+    hasMany(key, options) {
+      const reference = record.hasMany(key);
+
+      if (options && options.ids) {
+        return reference.ids();
+      }
+
+      const relatedRecords = reference.value();
+
+      return relatedRecords ? relatedRecords.map((relatedRecord) => {
+        return createRecordSnapshot(relatedRecord);
+      }) : null;
+    },
+
+    changedAttributes() {
+      return record.changedAttributes();
+    },
+
+    eachAttribute(callback, binding) {
+      record.eachAttribute(callback, binding);
+    },
+
+    eachRelationship(callback, binding) {
+      record.eachRelationship(callback, binding);
+    },
+  };
+}
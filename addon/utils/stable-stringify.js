@@ -0,0 +1,36 @@
+/** @module emberfire-utils */
+import { typeOf } from 'ember-utils';
+
+/**
+ * @param {*} value
+ * @return {*} Copy of the value with the keys of its objects sorted
+ */
+function sortKeys(value) {
+  if (Array.isArray(value)) {
+    return value.map(sortKeys);
+  }
+
+  if (typeOf(value) === 'object') {
+    const sortedValue = {};
+
+    Object.keys(value).sort().forEach((key) => {
+      sortedValue[key] = sortKeys(value[key]);
+    });
+
+    return sortedValue;
+  }
+
+  return value;
+}
+
+/**
+ * Converts a value to JSON with the keys of its objects sorted. The
+ * same query params written in a different order give the same string
+ * which makes it usable as a key.
+ *
+ * @param {*} value
+ * @return {string} JSON
+ */
+export default function stableStringify(value) {
+  return JSON.stringify(sortKeys(value));
+}
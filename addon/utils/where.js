@@ -0,0 +1,98 @@
+/** @module emberfire-utils */
+import { typeOf } from 'ember-utils';
+
+/**
+ * @param {*} value
+ * @return {*} Milliseconds for dates. Otherwise, the value itself.
+ */
+function normalize(value) {
+  return value instanceof Date ? value.getTime() : value;
+}
+
+/**
+ * @param {*} value
+ * @param {*} item
+ * @return {boolean} True if an array or string has the item or an
+ *                   object has it as a key
+ */
+function contains(value, item) {
+  if (Array.isArray(value) || typeof value === 'string') {
+    return value.indexOf(item) !== -1;
+  } else if (typeOf(value) === 'object') {
+    return value.hasOwnProperty(item) && !!value[item];
+  }
+
+  return false;
+}
+
+/**
+ * @param {*} value
+ * @param {string} operator
+ * @param {*} operand
+ * @return {boolean} True if the value satisfies the operator
+ */
+function matchesOperator(value, operator, operand) {
+  const normalizedValue = normalize(value);
+  const normalizedOperand = normalize(operand);
+  const isComparable =
+      normalizedValue !== undefined && normalizedValue !== null;
+
+  switch (operator) {
+    case 'eq':
+      return isComparable ?
+          normalizedValue === normalizedOperand :
+          normalizedOperand === undefined || normalizedOperand === null;
+    case 'in':
+      if (!Array.isArray(operand)) {
+        throw new Error(
+            `The in where operator needs an array but got ${operand}`);
+      }
+
+      return operand.map(normalize).indexOf(normalizedValue) !== -1;
+    case 'gt':
+      return isComparable && normalizedValue > normalizedOperand;
+    case 'gte':
+      return isComparable && normalizedValue >= normalizedOperand;
+    case 'lt':
+      return isComparable && normalizedValue < normalizedOperand;
+    case 'lte':
+      return isComparable && normalizedValue <= normalizedOperand;
+    case 'contains':
+      return contains(value, operand);
+  }
+
+  throw new Error(`Unknown where operator ${operator}`);
+}
+
+/**
+ * Checks a record against the predicates of a `where` query param.
+ * A predicate can be a value to be equal to or an object of
+ * operators: `eq`, `in`, `gt`, `gte`, `lt`, `lte`, and `contains`.
+ *
+ * ```javascript
+ * matchesWhere({
+ *   author: 'user_a',
+ *   status: { in: [ 'draft', 'published' ] },
+ *   timestamp: { gte: 1483228800000, lt: 1514764800000 },
+ *   tags: { contains: 'ember' },
+ * }, (name) => record[name]);
+ * ```
+ *
+ * @param {Object} where Predicates keyed by field name
+ * @param {function} getValue Receives a field name
+ * @return {boolean} True if every predicate matches
+ */
+export default function matchesWhere(where, getValue) {
+  return Object.keys(where).every((name) => {
+    const predicate = where[name];
+    const value = getValue(name);
+
+    if (typeOf(predicate) === 'object') {
+      return Object.keys(predicate).every((operator) => {
+        return matchesOperator(value, operator, predicate[operator]);
+      });
+    }
+
+    return matchesOperator(value, 'eq', predicate);
+  });
+}
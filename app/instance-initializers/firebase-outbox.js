@@ -0,0 +1,4 @@
+export {
+  default,
+  initialize,
+} from 'emberfire-utils/instance-initializers/firebase-outbox';
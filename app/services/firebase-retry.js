@@ -0,0 +1 @@
+export { default } from 'emberfire-utils/services/firebase-retry';
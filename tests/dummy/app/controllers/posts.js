@@ -20,13 +20,7 @@ export default Controller.extend({
 
     this.set('newPost', newPost);
 
-    newPost.save({
-      adapterOptions: {
-        include: {
-          'blogPosts/:id/author': 'user_a',
-        },
-      },
-    });
+    newPost.save();
 
     this._updatePosts();
   },
@@ -38,13 +32,7 @@ export default Controller.extend({
 
     post.set('message', 'Foo');
     post.set('author', user);
-    post.save({
-      adapterOptions: {
-        include: {
-          'blogPosts/post_a/author': user.get('id'),
-        },
-      },
-    });
+    post.save();
     this._updatePosts();
   },
 
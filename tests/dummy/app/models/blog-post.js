@@ -2,9 +2,21 @@ import { belongsTo } from 'ember-data/relationships';
 import Model from 'ember-data/model';
 import attr from 'ember-data/attr';
 
-export default Model.extend({
+const BlogPost = Model.extend({
   message: attr('string'),
   timestamp: attr('timestamp'),
   author: belongsTo('user'),
   innerReferencePath: attr('string'),
 });
+
+BlogPost.reopenClass({
+  fanout: [{
+    path: 'userFeeds/:author/:id',
+    optional: [ 'author' ],
+  }, {
+    path: 'userPosts/:author/:id',
+    optional: [ 'author' ],
+  }],
+});
+
+export default BlogPost;
@@ -0,0 +1,7 @@
+import attr from 'ember-data/attr';
+
+import Notification from './notification';
+
+export default Notification.extend({
+  numberOfLikes: attr('number'),
+});
@@ -0,0 +1,7 @@
+import Model from 'ember-data/model';
+import attr from 'ember-data/attr';
+
+export default Model.extend({
+  name: attr('string'),
+  quantity: attr('number'),
+});
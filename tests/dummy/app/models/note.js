@@ -0,0 +1,9 @@
+import Model from 'ember-data/model';
+import attr from 'ember-data/attr';
+
+export default Model.extend({
+  message: attr('string'),
+  createdAt: attr('timestamp', { mode: 'created' }),
+  updatedAt: attr('timestamp', { mode: 'updated' }),
+  publishedAt: attr('timestamp', { mode: 'value' }),
+});
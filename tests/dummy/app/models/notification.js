@@ -0,0 +1,15 @@
+import Model from 'ember-data/model';
+import attr from 'ember-data/attr';
+
+const Notification = Model.extend({
+  message: attr('string'),
+});
+
+Notification.reopenClass({
+  polymorphic: {
+    modelName: 'notification',
+    typeKey: 'type',
+  },
+});
+
+export default Notification;
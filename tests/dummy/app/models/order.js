@@ -0,0 +1,8 @@
+import { hasMany } from 'ember-data/relationships';
+import Model from 'ember-data/model';
+import attr from 'ember-data/attr';
+
+export default Model.extend({
+  total: attr('number'),
+  lineItems: hasMany('line-item'),
+});
@@ -0,0 +1,7 @@
+import ApplicationSerializer from './application';
+
+export default ApplicationSerializer.extend({
+  attrs: {
+    lineItems: { embedded: 'always' },
+  },
+});
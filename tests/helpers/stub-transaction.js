@@ -0,0 +1,30 @@
+import firebase from 'firebase';
+import sinon from 'sinon';
+
+/**
+ * Stub transactions of Firebase references
+ *
+ * An offline reference never completes a transaction so this runs it
+ * against the local cache instead.
+ *
+ * @return {Object} Stub to restore once done
+ */
+export default function stubTransaction() {
+  const prototype = firebase.database.Reference.prototype;
+
+  return sinon.stub(prototype, 'transaction').callsFake(
+      function(onUpdate, onComplete) {
+        this.once('value').then((snapshot) => {
+          const data = onUpdate(snapshot.val());
+
+          if (data === undefined) {
+            onComplete(null, false, snapshot);
+          } else {
+            this.set(data);
+            this.once('value').then((newSnapshot) => {
+              onComplete(null, true, newSnapshot);
+            });
+          }
+        });
+      });
+}
@@ -1,7 +1,9 @@
 import { A } from 'ember-array/utils';
 import { moduleFor, test } from 'ember-qunit';
 import EmberObject from 'ember-object';
+import RSVP from 'rsvp';
 import run, { next } from 'ember-runloop';
+import wait from 'ember-test-helpers/wait';
 
 import createOfflineRef from 'dummy/tests/helpers/create-offline-ref';
 import destroyFirebaseApps from 'dummy/tests/helpers/destroy-firebase-apps';
@@ -12,9 +14,20 @@ import unStubFirebase from 'dummy/tests/helpers/unstub-firebase';
 
 import getFixtureData from 'dummy/tests/helpers/fixture-data';
 import stubPromise from 'dummy/tests/helpers/stub-promise';
+import stubTransaction from 'dummy/tests/helpers/stub-transaction';
+
+import { InvalidError } from 'ember-data/adapters/errors';
+import {
+  ConflictError,
+  NotFoundError,
+  TransactionAbortedError,
+  createInvalidError,
+  getInvalidPath,
+} from 'emberfire-utils/errors';
+import FirebaseRetry from 'emberfire-utils/services/firebase-retry';
 
 moduleFor('adapter:firebase-flex', 'Unit | Adapter | firebase flex | generateIdForRecord', {
-  needs: [ 'service:firebase' ],
+  needs: [ 'service:firebase', 'service:firebase-app' ],
 
   beforeEach() {
     stubFirebase();
@@ -43,13 +56,14 @@ test('should generate ID for record', function(assert) {
 });
 
 moduleFor('adapter:firebase-flex', 'Unit | Adapter | firebase flex | createRecord', {
-  needs: [ 'service:firebase' ],
+  needs: [ 'service:firebase', 'service:firebase-app' ],
 
   beforeEach() {
     stubFirebase();
     this.ref = createOfflineRef(getFixtureData());
     this.store = {
       normalize() {},
+      peekAll: () => EmberObject.create({ content: new A() }),
       push() {},
     };
     this.type = { modelName: 'blog-post' };
@@ -149,7 +163,7 @@ test('should track Firebase listeners without path when not in FastBoot', async
   const result = adapter.get('trackedListeners');
 
   // Assert
-  assert.deepEqual(result, { 'blogPosts/post_c': { value: true } });
+  assert.deepEqual(result, { 'blogPosts/post_c': { value: 1 } });
 });
 
 test('should track Firebase listeners with path when not in FastBoot', async function(assert) {
@@ -176,7 +190,7 @@ test('should track Firebase listeners with path when not in FastBoot', async fun
   const result = adapter.get('trackedListeners');
 
   // Assert
-  assert.deepEqual(result, { 'comments/post_a/comment_a': { value: true } });
+  assert.deepEqual(result, { 'comments/post_a/comment_a': { value: 1 } });
 });
 
 test('should not track Firebase listeners when in FastBoot', async function(assert) {
@@ -216,7 +230,7 @@ test('should not duplicate pushing realtime changes to store', async function(as
   const spy = sinon.spy(this.store, 'push');
   const adapter = this.subject({
     firebase: this.ref,
-    trackedListeners: { 'blogPosts/post_c': { value: true } },
+    trackedListeners: { 'blogPosts/post_c': { value: 1 } },
     serialize: sinon.stub().returns(serializedSnapshot),
   });
 
@@ -244,6 +258,7 @@ test('should unload record when it gets deleted from the backend', async functio
 
   this.store = {
     normalize: sinon.stub().returns('foo'),
+    peekAll: () => EmberObject.create({ content: new A() }),
     peekRecord: sinon.stub().returns(record),
     push: sinon.stub(),
     unloadRecord: stub,
@@ -267,12 +282,16 @@ test('should unload record when it gets deleted from the backend', async functio
 });
 
 moduleFor('adapter:firebase-flex', 'Unit | Adapter | firebase flex | updateRecord', {
-  needs: [ 'service:firebase' ],
+  needs: [ 'service:firebase', 'service:firebase-app' ],
 
   beforeEach() {
     stubFirebase();
     this.ref = createOfflineRef(getFixtureData());
-    this.store = { normalize() {}, push() {} };
+    this.store = {
+      normalize() {},
+      peekAll: () => EmberObject.create({ content: new A() }),
+      push() {},
+    };
     this.type = { modelName: 'blog-post' };
   },
 
@@ -320,14 +339,310 @@ test('should update Firebase when updating a record', async function(assert) {
   }));
 });
 
+test('should reject with an invalid error pointing to the attribute Firebase rejects', async function(assert) {
+  assert.expect(2);
+
+  // Arrange
+  const adapter = this.subject({
+    firebase: this.ref,
+    serialize: sinon.stub().returns({
+      'blogPosts/post_a/message': undefined,
+    }),
+  });
+
+  try {
+    // Act
+    await adapter.updateRecord(this.store, this.type, { id: 'post_a' });
+  } catch (error) {
+    // Assert
+    assert.ok(error instanceof InvalidError);
+    assert.deepEqual(error.errors[0].source, {
+      pointer: '/data/attributes/message',
+    });
+  }
+});
+
+test('should listen to where the record was loaded from after updating it', async function(assert) {
+  assert.expect(1);
+
+  // Arrange
+  const adapter = this.subject({
+    firebase: this.ref,
+    serialize: sinon.stub().returns({
+      'comments/post_a/comment_a/message': 'Message',
+    }),
+  });
+
+  // Act
+  await adapter.updateRecord(this.store, { modelName: 'comment' }, {
+    id: 'comment_a',
+    message: 'Message',
+    _originPath: 'comments/post_a',
+  });
+
+  // Assert
+  assert.deepEqual(adapter.get('trackedListeners'), {
+    'comments/post_a/comment_a': { value: 1 },
+  });
+});
+
+test('should write through the outbox when it is enabled', async function(assert) {
+  assert.expect(1);
+
+  // Arrange
+  const serializedSnapshot = {
+    'blogPosts/post_a/message': 'Message',
+  };
+  const stub = sinon.stub().returns(stubPromise(true));
+  const adapter = this.subject({
+    firebase: this.ref,
+    firebaseOutbox: EmberObject.create({ isEnabled: true, update: stub }),
+    serialize: sinon.stub().returns(serializedSnapshot),
+  });
+
+  // Act
+  await adapter.updateRecord(this.store, this.type, {
+    id: 'post_a',
+    message: 'Message',
+  });
+
+  // Assert
+  assert.ok(stub.calledWith({ 'blogPosts/post_a/message': 'Message' }));
+});
+
+test('should reject with an invalid error pointing to the attribute the outbox rejects', async function(assert) {
+  assert.expect(2);
+
+  // Arrange
+  const fanout = { 'blogPosts/post_a/message': undefined };
+  const adapter = this.subject({
+    firebase: this.ref,
+    firebaseOutbox: EmberObject.create({
+      isEnabled: true,
+      update: sinon.stub().callsFake(() => {
+        return RSVP.reject(createInvalidError(
+            new Error('Invalid value'), getInvalidPath(fanout)));
+      }),
+    }),
+    serialize: sinon.stub().returns(fanout),
+  });
+
+  try {
+    // Act
+    await adapter.updateRecord(this.store, this.type, { id: 'post_a' });
+  } catch (error) {
+    // Assert
+    assert.ok(error instanceof InvalidError);
+    assert.deepEqual(error.errors[0].source, {
+      pointer: '/data/attributes/message',
+    });
+  }
+});
+
+test('should retry writes that failed with a retryable error', async function(assert) {
+  assert.expect(1);
+
+  // Arrange
+  const unavailableError = new Error(
+      'UNAVAILABLE: The service is unavailable');
+
+  unavailableError.code = 'UNAVAILABLE';
+
+  const stub = sinon.stub();
+
+  stub.onFirstCall().callsArgWith(1, unavailableError);
+  stub.onSecondCall().callsArgWith(1, null);
+
+  const adapter = this.subject({
+    firebase: {
+      update: stub,
+      child: sinon.stub().returns({ on() {} }),
+    },
+    firebaseRetry: FirebaseRetry.create({ baseDelay: 0 }),
+    serialize: sinon.stub().returns({
+      'blogPosts/post_a/message': 'Message',
+    }),
+  });
+
+  // Act
+  await adapter.updateRecord(this.store, this.type, {
+    id: 'post_a',
+    message: 'Message',
+  });
+
+  // Assert
+  assert.equal(stub.callCount, 2);
+});
+
+test('should serialize the record once when retrying a write', async function(assert) {
+  assert.expect(3);
+
+  // Arrange
+  const unavailableError = new Error(
+      'UNAVAILABLE: The service is unavailable');
+
+  unavailableError.code = 'UNAVAILABLE';
+
+  const stub = sinon.stub();
+
+  stub.onFirstCall().callsArgWith(1, unavailableError);
+  stub.onSecondCall().callsArgWith(1, null);
+
+  const serialize = sinon.stub();
+
+  serialize.onFirstCall().returns({ 'history/blog-post/post_a/entry_a': 1 });
+  serialize.onSecondCall().returns({ 'history/blog-post/post_a/entry_b': 2 });
+
+  const adapter = this.subject({
+    firebase: {
+      update: stub,
+      child: sinon.stub().returns({ on() {} }),
+    },
+    firebaseRetry: FirebaseRetry.create({ baseDelay: 0 }),
+    serialize: serialize,
+  });
+
+  // Act
+  await adapter.updateRecord(this.store, this.type, { id: 'post_a' });
+
+  // Assert
+  assert.ok(serialize.calledOnce);
+  assert.equal(stub.callCount, 2);
+  assert.deepEqual(stub.secondCall.args[0], stub.firstCall.args[0]);
+});
+
+test('should apply changed attributes through a transaction', async function(assert) {
+  assert.expect(1);
+
+  // Arrange
+  let result;
+  const adapter = this.subject({
+    firebase: {
+      child: sinon.stub().returns({
+        transaction(onUpdate, onComplete) {
+          result = onUpdate({ message: 'Post A', author: 'user_a' });
+          onComplete(null, true, { exists: () => true });
+        },
+      }),
+    },
+    serialize: sinon.stub().returns({
+      'blogPosts/post_a/message': 'Message',
+    }),
+    _getGetSnapshotWithId: sinon.stub().returns({ id: 'post_a' }),
+    _setupValueListener() {},
+  });
+
+  // Act
+  await adapter.updateRecord(this.store, this.type, {
+    id: 'post_a',
+    adapterOptions: { transaction: true },
+  });
+
+  // Assert
+  assert.deepEqual(result, { message: 'Message', author: 'user_a' });
+});
+
+test('should use the transaction function from the adapter options', async function(assert) {
+  assert.expect(1);
+
+  // Arrange
+  let result;
+  const adapter = this.subject({
+    firebase: {
+      child: sinon.stub().returns({
+        transaction(onUpdate, onComplete) {
+          result = onUpdate({ likes: 1 });
+          onComplete(null, true, { exists: () => true });
+        },
+      }),
+    },
+    serialize: sinon.stub().returns({}),
+    _getGetSnapshotWithId: sinon.stub().returns({ id: 'post_a' }),
+    _setupValueListener() {},
+  });
+
+  // Act
+  await adapter.updateRecord(this.store, this.type, {
+    id: 'post_a',
+    adapterOptions: {
+      transaction(currentData) {
+        currentData.likes += 1;
+
+        return currentData;
+      },
+    },
+  });
+
+  // Assert
+  assert.deepEqual(result, { likes: 2 });
+});
+
+test('should reject with a transaction aborted error when the transaction aborts', async function(assert) {
+  assert.expect(1);
+
+  // Arrange
+  const adapter = this.subject({
+    firebase: {
+      child: sinon.stub().returns({
+        transaction(onUpdate, onComplete) {
+          onComplete(null, false, {});
+        },
+      }),
+    },
+    serialize: sinon.stub().returns({}),
+  });
+
+  // Act
+  try {
+    await adapter.updateRecord(this.store, this.type, {
+      id: 'post_a',
+      adapterOptions: { transaction() {} },
+    });
+  } catch (error) {
+    // Assert
+    assert.ok(error instanceof TransactionAbortedError);
+  }
+});
+
+test('should reject with a not found error when the transaction commits nothing', async function(assert) {
+  assert.expect(2);
+
+  // Arrange
+  const stub = sinon.stub();
+  const adapter = this.subject({
+    firebase: {
+      child: sinon.stub().returns({
+        transaction(onUpdate, onComplete) {
+          onComplete(null, true, { exists: () => false });
+        },
+      }),
+      update: stub,
+    },
+    serialize: sinon.stub().returns({ 'userFeeds/user_a/post_a': true }),
+  });
+
+  // Act
+  try {
+    await adapter.updateRecord(this.store, this.type, {
+      id: 'post_a',
+      adapterOptions: { transaction: () => null },
+    });
+  } catch (error) {
+    // Assert
+    assert.ok(error instanceof NotFoundError);
+    assert.ok(stub.notCalled);
+  }
+});
+
 moduleFor('adapter:firebase-flex', 'Unit | Adapter | firebase flex | findRecord', {
-  needs: [ 'service:firebase' ],
+  needs: [ 'service:firebase', 'service:firebase-app' ],
 
   beforeEach() {
     stubFirebase();
     this.ref = createOfflineRef(getFixtureData());
     this.store = {
       normalize() {},
+      peekAll: () => EmberObject.create({ content: new A() }),
       push() {},
     };
     this.type = { modelName: 'blog-post' };
@@ -357,6 +672,7 @@ test('should return fetched record', async function(assert) {
     timestamp: 1483228800000,
     author: 'user_a',
     _innerReferencePath: '',
+    _originPath: 'blogPosts',
   });
 });
 
@@ -378,6 +694,26 @@ test('should error when record does not exist', function(assert) {
   });
 });
 
+test('should reject with a not found error holding the path when record does not exist', function(assert) {
+  assert.expect(2);
+
+  // Arrange
+  const done = assert.async();
+  const adapter = this.subject({
+    firebase: this.ref,
+  });
+
+  // Act
+  run(() => {
+    adapter.findRecord(this.store, this.type, 'post_z').catch((error) => {
+      // Assert
+      assert.ok(error instanceof NotFoundError);
+      assert.equal(error.path, 'blogPosts/post_z');
+      done();
+    });
+  });
+});
+
 test('should push realtime changes to store', async function(assert) {
   assert.expect(1);
 
@@ -410,7 +746,7 @@ test('should track Firebase listeners without path when not in FastBoot', async
   const result = adapter.get('trackedListeners');
 
   // Arrange
-  assert.deepEqual(result, { 'blogPosts/post_a': { value: true } });
+  assert.deepEqual(result, { 'blogPosts/post_a': { value: 1 } });
 });
 
 test('should track Firebase listeners with path when not in FastBoot', async function(assert) {
@@ -428,7 +764,7 @@ test('should track Firebase listeners with path when not in FastBoot', async fun
   const result = adapter.get('trackedListeners');
 
   // Arrange
-  assert.deepEqual(result, { 'comments/post_a/comment_a': { value: true } });
+  assert.deepEqual(result, { 'comments/post_a/comment_a': { value: 1 } });
 });
 
 test('should not track Firebase listeners when in FastBoot', async function(assert) {
@@ -455,7 +791,7 @@ test('should not duplicate pushing realtime changes to store', async function(as
   const spy = sinon.spy(this.store, 'push');
   const adapter = this.subject({
     firebase: this.ref,
-    trackedListeners: { 'blogPosts/post_a': { value: true } },
+    trackedListeners: { 'blogPosts/post_a': { value: 1 } },
   });
 
   // Act
@@ -474,6 +810,7 @@ test('should unload record when it gets deleted from the backend', async functio
 
   this.store = {
     normalize: sinon.stub().returns('foo'),
+    peekAll: () => EmberObject.create({ content: new A() }),
     peekRecord: sinon.stub().returns(record),
     push: sinon.stub(),
     unloadRecord: stub,
@@ -491,38 +828,128 @@ test('should unload record when it gets deleted from the backend', async functio
   assert.ok(stub.calledWithExactly(record));
 });
 
+test('should listen again when the listener gets cancelled with a retryable error', async function(assert) {
+  assert.expect(2);
+
+  // Arrange
+  const unavailableError = new Error(
+      'unavailable at /blogPosts/post_a: The service is unavailable');
+
+  unavailableError.code = 'UNAVAILABLE';
+
+  const listeners = [];
+  const ref = {
+    on: sinon.spy((event, onValue, onCancel) => listeners.push(onCancel)),
+    off() {},
+  };
+  const stub = sinon.stub();
+
+  this.store.unloadRecord = stub;
+
+  const adapter = this.subject({
+    firebase: { child: sinon.stub().returns(ref) },
+    firebaseRetry: FirebaseRetry.create({ baseDelay: 0 }),
+    _getGetSnapshotWithId: sinon.stub().returns({ id: 'post_a' }),
+  });
+  const findRecordPromise = adapter.findRecord(this.store, this.type, 'post_a');
+
+  ref.on.firstCall.args[1]({ exists: () => true, val: () => ({}) });
+  await findRecordPromise;
+
+  // Act
+  listeners[1](unavailableError);
+  await wait();
+
+  // Assert
+  assert.equal(ref.on.callCount, 3);
+  assert.ok(stub.notCalled);
+});
+
+test('should put fetched record in the shoebox when in FastBoot', async function(assert) {
+  assert.expect(1);
+
+  // Arrange
+  const shoebox = { put: sinon.spy(), retrieve() {} };
+  const adapter = this.subject({
+    firebase: this.ref,
+    fastboot: EmberObject.create({ isFastBoot: true }),
+    firebaseShoebox: shoebox,
+  });
+
+  // Act
+  await adapter.findRecord(this.store, this.type, 'post_a');
+
+  // Assert
+  assert.ok(shoebox.put.calledWith(
+      'findRecord:blog-post:"blogPosts/post_a"', {
+        modelName: 'blog-post',
+        records: [{
+          id: 'post_a',
+          message: 'Post A',
+          timestamp: 1483228800000,
+          author: 'user_a',
+          _innerReferencePath: '',
+          _originPath: 'blogPosts',
+        }],
+      }));
+});
+
+test('should resolve with the record transferred through the shoebox and listen to it', async function(assert) {
+  assert.expect(3);
+
+  // Arrange
+  const record = { id: 'post_a', message: 'Transferred' };
+  const shoebox = {
+    put() {},
+    retrieve: sinon.stub().returns({
+      modelName: 'blog-post',
+      records: [ record ],
+    }),
+  };
+  const adapter = this.subject({
+    firebase: this.ref,
+    firebaseShoebox: shoebox,
+  });
+
+  // Act
+  const result = await adapter.findRecord(this.store, this.type, 'post_a');
+
+  // Assert
+  assert.equal(result, record);
+  assert.ok(shoebox.retrieve.calledWith(
+      'findRecord:blog-post:"blogPosts/post_a"'));
+  assert.deepEqual(adapter.get('trackedListeners'), {
+    'blogPosts/post_a': { value: 1 },
+  });
+});
+
 moduleFor('adapter:firebase-flex', 'Unit | Adapter | firebase flex | findAll', {
-  needs: [ 'service:firebase' ],
+  needs: [ 'service:firebase', 'service:firebase-app' ],
 
   beforeEach() {
     stubFirebase();
     this.ref = createOfflineRef(getFixtureData());
     this.store = {
       normalize() {},
+      peekAll: () => EmberObject.create({ content: new A() }),
       push() {},
     };
     this.type = { modelName: 'blog-post' };
     this.blogPosts = [{
       id: 'post_a',
-      _internalModel: { id: 'post_a' },
+      message: 'Post A',
+      timestamp: 1483228800000,
+      author: 'user_a',
+      _innerReferencePath: '',
+      _originPath: 'blogPosts',
     }, {
       id: 'post_b',
-      _internalModel: { id: 'post_b' },
-    }, {
-      id: 'post_c',
-      _internalModel: { id: 'post_c' },
+      message: 'Post B',
+      timestamp: 1483228800000,
+      author: 'user_a',
+      _innerReferencePath: '',
+      _originPath: 'blogPosts',
     }];
-
-    const findRecordStub = sinon.stub();
-
-    findRecordStub.withArgs(this.store, this.type, 'post_a').returns(
-        stubPromise(true, this.blogPosts[0]));
-    findRecordStub.withArgs(this.store, this.type, 'post_b').returns(
-        stubPromise(true, this.blogPosts[1]));
-    findRecordStub.withArgs(this.store, this.type, 'post_c').returns(
-        stubPromise(true, this.blogPosts[2]));
-
-    this.findRecord = findRecordStub;
   },
 
   afterEach() {
@@ -537,7 +964,6 @@ test('should return all records for a model', async function(assert) {
   // Arrange
   const adapter = this.subject({
     firebase: this.ref,
-    findRecord: this.findRecord,
   });
 
   // Act
@@ -547,6 +973,23 @@ test('should return all records for a model', async function(assert) {
   assert.deepEqual(result, [ this.blogPosts[0], this.blogPosts[1] ]);
 });
 
+test('should not fetch the records one by one when finding all records for a model', async function(assert) {
+  assert.expect(1);
+
+  // Arrange
+  const spy = sinon.spy();
+  const adapter = this.subject({
+    firebase: this.ref,
+    findRecord: spy,
+  });
+
+  // Act
+  await adapter.findAll(this.store, this.type);
+
+  // Assert
+  assert.ok(spy.notCalled);
+});
+
 test('should error when finding all records for a model but nothing exists', function(assert) {
   assert.expect(1);
 
@@ -571,7 +1014,6 @@ test('should track Firebase listeners when finding all records for a model and n
   // Arrange
   const adapter = this.subject({
     firebase: this.ref,
-    findRecord: this.findRecord,
   });
 
   // Act
@@ -580,9 +1022,9 @@ test('should track Firebase listeners when finding all records for a model and n
 
   // Arrange
   assert.deepEqual(result, {
-    'blogPosts': { child_added: true },
-    'blogPosts/post_a': { value: true },
-    'blogPosts/post_b': { value: true },
+    'blogPosts': { child_added: 1 },
+    'blogPosts/post_a': { value: 1 },
+    'blogPosts/post_b': { value: 1 },
   });
 });
 
@@ -593,7 +1035,6 @@ test('should not track Firebase listeners when finding all records for a model a
   const adapter = this.subject({
     firebase: this.ref,
     fastboot: EmberObject.create({ isFastBoot: true }),
-    findRecord: this.findRecord,
   });
 
   // Act
@@ -611,7 +1052,6 @@ test('should push realtime child_added changes to store after finding all record
   const spy = sinon.spy(this.store, 'push');
   const adapter = this.subject({
     firebase: this.ref,
-    findRecord: this.findRecord,
   });
 
   // Act
@@ -629,7 +1069,7 @@ test('should push realtime child_added changes to store after finding all record
 });
 
 moduleFor('adapter:firebase-flex', 'Unit | Adapter | firebase flex | deleteRecord', {
-  needs: [ 'service:firebase' ],
+  needs: [ 'service:firebase', 'service:firebase-app' ],
 
   beforeEach() {
     stubFirebase();
@@ -686,16 +1126,73 @@ test('should remove record from Firebase when deleting a record with path', asyn
   assert.ok(spy.calledWith({ 'comments/post_a/comment_a': null }));
 });
 
-moduleFor('adapter:firebase-flex', 'Unit | Adapter | firebase flex | queryRecord', {
-  needs: [ 'service:firebase' ],
+test('should remove record from Firebase when deleting a record without adapter options', async function(assert) {
+  assert.expect(1);
 
-  beforeEach() {
-    stubFirebase();
-    this.ref = createOfflineRef(getFixtureData());
-    this.store = {};
-    this.type = { modelName: 'blog-post' };
-    this.post = { id: 'post_a' };
-    this.findRecord = sinon.stub().returns(stubPromise(true, this.post));
+  // Arrange
+  const spy = sinon.spy(this.ref, 'update');
+  const adapter = this.subject({
+    firebase: this.ref,
+  });
+
+  // Act
+  await adapter.deleteRecord({}, { modelName: 'blog-post' }, {
+    id: 'post_a',
+  });
+
+  // Assert
+  assert.ok(spy.calledWith({ 'blogPosts/post_a': null }));
+});
+
+test('should remove record from where it was loaded from when deleting a record', async function(assert) {
+  assert.expect(1);
+
+  // Arrange
+  const spy = sinon.spy(this.ref, 'update');
+  const adapter = this.subject({
+    firebase: this.ref,
+  });
+
+  // Act
+  await adapter.deleteRecord({}, { modelName: 'comment' }, {
+    id: 'comment_a',
+    _originPath: 'comments/post_a',
+  });
+
+  // Assert
+  assert.ok(spy.calledWith({ 'comments/post_a/comment_a': null }));
+});
+
+test('should prefer path from adapter options over where the record was loaded from', async function(assert) {
+  assert.expect(1);
+
+  // Arrange
+  const spy = sinon.spy(this.ref, 'update');
+  const adapter = this.subject({
+    firebase: this.ref,
+  });
+
+  // Act
+  await adapter.deleteRecord({}, { modelName: 'comment' }, {
+    id: 'comment_a',
+    _originPath: 'comments/post_a',
+    adapterOptions: { path: 'comments/post_b' },
+  });
+
+  // Assert
+  assert.ok(spy.calledWith({ 'comments/post_b/comment_a': null }));
+});
+
+moduleFor('adapter:firebase-flex', 'Unit | Adapter | firebase flex | queryRecord', {
+  needs: [ 'service:firebase', 'service:firebase-app' ],
+
+  beforeEach() {
+    stubFirebase();
+    this.ref = createOfflineRef(getFixtureData());
+    this.store = {};
+    this.type = { modelName: 'blog-post' };
+    this.post = { id: 'post_a' };
+    this.findRecord = sinon.stub().returns(stubPromise(true, this.post));
   },
 
   afterEach() {
@@ -832,8 +1329,122 @@ test('should error when no record matches the query params', function(assert) {
   });
 });
 
+test('should swap the record of a cacheId query when a different record matches', async function(assert) {
+  assert.expect(2);
+
+  // Arrange
+  const postB = EmberObject.create({ id: 'post_b' });
+  const postC = EmberObject.create({ id: 'post_c' });
+  const store = {
+    normalize: (modelName, payload) => payload,
+    push: () => postB,
+    findRecord: sinon.stub().returns(stubPromise(true, postC)),
+  };
+  const adapter = this.subject({
+    firebase: this.ref,
+    findRecord: sinon.stub().returns(stubPromise(true, { id: 'post_b' })),
+  });
+
+  await adapter.queryRecord(store, this.type, {
+    cacheId: 'latest_post',
+    limitToLast: 1,
+  });
+
+  const proxy = adapter.peekQueryRecord('latest_post');
+  const initialContent = proxy.get('content');
+
+  // Act
+  await this.ref.child('blogPosts/post_c').set({ message: 'Post C' });
+
+  // Assert
+  next(() => {
+    assert.equal(initialContent, postB);
+    assert.equal(proxy.get('content'), postC);
+  });
+});
+
+test('should ignore a record of a cacheId query that resolves after a newer one', async function(assert) {
+  assert.expect(1);
+
+  // Arrange
+  const postB = EmberObject.create({ id: 'post_b' });
+  const postC = RSVP.defer();
+  const postD = RSVP.defer();
+  const store = {
+    normalize: (modelName, payload) => payload,
+    push: () => postB,
+    findRecord: sinon.stub(),
+  };
+  const adapter = this.subject({
+    firebase: this.ref,
+    findRecord: sinon.stub().returns(stubPromise(true, { id: 'post_b' })),
+  });
+
+  store.findRecord.withArgs('blog-post', 'post_c').returns(postC.promise);
+  store.findRecord.withArgs('blog-post', 'post_d').returns(postD.promise);
+
+  await adapter.queryRecord(store, this.type, {
+    cacheId: 'latest_post',
+    limitToLast: 1,
+  });
+
+  const proxy = adapter.peekQueryRecord('latest_post');
+
+  await this.ref.child('blogPosts/post_c').set({ message: 'Post C' });
+  await this.ref.child('blogPosts/post_d').set({ message: 'Post D' });
+
+  // Act
+  run(() => postD.resolve(EmberObject.create({ id: 'post_d' })));
+  run(() => postC.resolve(EmberObject.create({ id: 'post_c' })));
+
+  // Assert
+  await wait();
+  assert.equal(proxy.get('content.id'), 'post_d');
+});
+
+test('should reuse the proxy of a cacheId query record', async function(assert) {
+  assert.expect(1);
+
+  // Arrange
+  const store = {
+    normalize: (modelName, payload) => payload,
+    push: () => EmberObject.create({ id: 'post_b' }),
+  };
+  const adapter = this.subject({
+    firebase: this.ref,
+    findRecord: sinon.stub().returns(stubPromise(true, { id: 'post_b' })),
+  });
+  const query = { cacheId: 'latest_post', limitToLast: 1 };
+
+  await adapter.queryRecord(store, this.type, query);
+
+  const proxy = adapter.peekQueryRecord('latest_post');
+
+  // Act
+  await adapter.queryRecord(store, this.type, query);
+
+  // Assert
+  assert.equal(adapter.peekQueryRecord('latest_post'), proxy);
+});
+
+test('should not track a query record without cacheId', async function(assert) {
+  assert.expect(1);
+
+  // Arrange
+  const adapter = this.subject({
+    firebase: this.ref,
+    findRecord: this.findRecord,
+  });
+
+  // Act
+  await adapter.queryRecord(this.store, this.type, { limitToLast: 1 });
+
+  // Assert
+  assert.deepEqual(adapter.get('trackedQueries'), {});
+});
+
 moduleFor('adapter:firebase-flex', 'Unit | Adapter | firebase flex | query', {
-  needs: [ 'service:firebase' ],
+  needs: [ 'service:firebase', 'service:firebase-app' ],
 
   beforeEach() {
     stubFirebase();
@@ -870,7 +1481,26 @@ moduleFor('adapter:firebase-flex', 'Unit | Adapter | firebase flex | query', {
 
     this.store = {
       findRecord: storeFindRecordStub,
+      normalize() {},
+      peekAll: () => EmberObject.create({ content: new A() }),
+      peekRecord() {},
+      push() {},
     };
+    this.payloads = [{
+      id: 'post_a',
+      message: 'Post A',
+      timestamp: 1483228800000,
+      author: 'user_a',
+      _innerReferencePath: '',
+      _originPath: 'blogPosts',
+    }, {
+      id: 'post_b',
+      message: 'Post B',
+      timestamp: 1483228800000,
+      author: 'user_a',
+      _innerReferencePath: '',
+      _originPath: 'blogPosts',
+    }];
 
     const adapterFindRecordStub = sinon.stub();
 
@@ -905,7 +1535,7 @@ test('should return records that matches the equalTo query params', async functi
   }, this.recordArray);
 
   // Assert
-  assert.deepEqual(result, [ this.blogPosts[0] ]);
+  assert.deepEqual(result, [ this.payloads[0] ]);
 });
 
 test('should return records that matches the startAt query params', async function(assert) {
@@ -923,7 +1553,7 @@ test('should return records that matches the startAt query params', async functi
   }, this.recordArray);
 
   // Assert
-  assert.deepEqual(result, [ this.blogPosts[0], this.blogPosts[1] ]);
+  assert.deepEqual(result, [ this.payloads[0], this.payloads[1] ]);
 });
 
 test('should return records that matches the endAt query params', async function(assert) {
@@ -941,7 +1571,7 @@ test('should return records that matches the endAt query params', async function
   }, this.recordArray);
 
   // Assert
-  assert.deepEqual(result, [ this.blogPosts[0] ]);
+  assert.deepEqual(result, [ this.payloads[0] ]);
 });
 
 test('should return records that matches the limitToFirst query params', async function(assert) {
@@ -959,7 +1589,7 @@ test('should return records that matches the limitToFirst query params', async f
   }, this.recordArray);
 
   // Assert
-  assert.deepEqual(result, [ this.blogPosts[0] ]);
+  assert.deepEqual(result, [ this.payloads[0] ]);
 });
 
 test('should return records that matches the limitToLast query params', async function(assert) {
@@ -977,7 +1607,7 @@ test('should return records that matches the limitToLast query params', async fu
   }, this.recordArray);
 
   // Assert
-  assert.deepEqual(result, [ this.blogPosts[1] ]);
+  assert.deepEqual(result, [ this.payloads[1] ]);
 });
 
 test('should return records that matches the path query params', async function(assert) {
@@ -992,87 +1622,73 @@ test('should return records that matches the path query params', async function(
   // Act
   const result = await adapter.query(this.store, this.type, {
     path: 'userFeeds/user_a',
+    isReference: true,
   }, this.recordArray);
 
   // Assert
   assert.deepEqual(result, [ this.blogPosts[0], this.blogPosts[1] ]);
 });
 
-test('should return no records when nothing matches the query params', async function(assert) {
+test('should not fetch the records one by one when the query holds them', async function(assert) {
   assert.expect(1);
 
   // Arrange
+  const spy = sinon.spy();
   const adapter = this.subject({
     firebase: this.ref,
-    findRecord: this.adapterFindRecord,
+    findRecord: spy,
   });
 
   // Act
-  const result = await adapter.query(this.store, this.type, {
-    equalTo: 'foo',
+  await adapter.query(this.store, this.type, {
+    startAt: 'post',
   }, this.recordArray);
 
   // Assert
-  assert.deepEqual(result, []);
+  assert.ok(spy.notCalled);
 });
 
-test('should listen for child_added changes when query params has cacheId and not in FastBoot', async function(assert) {
+test('should listen to each record once when the query holds them', async function(assert) {
   assert.expect(1);
 
   // Arrange
   const adapter = this.subject({
     firebase: this.ref,
-    findRecord: this.adapterFindRecord,
   });
 
   // Act
   await adapter.query(this.store, this.type, {
-    cacheId: 'foo',
+    startAt: 'post',
   }, this.recordArray);
-  await this.ref.update({
-    'blogPosts/post_c': {
-      message: 'Post C',
-      timestamp: 1483228800000,
-      author: 'user_a',
-    },
-  });
+  const result = adapter.get('trackedListeners');
 
   // Assert
-  assert.deepEqual(this.recordArray.get('content'), [
-    this.blogPosts[0]._internalModel,
-    this.blogPosts[1]._internalModel,
-    this.blogPosts[2]._internalModel,
-  ]);
+  assert.deepEqual(result, {
+    'blogPosts/post_a': { value: 1 },
+    'blogPosts/post_b': { value: 1 },
+  });
 });
 
-test('should not listen for child_added changes when query params has cacheId and in FastBoot', async function(assert) {
+test('should return records that matches the where query params', async function(assert) {
   assert.expect(1);
 
   // Arrange
   const adapter = this.subject({
     firebase: this.ref,
-    fastboot: EmberObject.create({ isFastBoot: true }),
     findRecord: this.adapterFindRecord,
   });
 
   // Act
-  await adapter.query(this.store, this.type, {
-    cacheId: 'foo',
+  const result = await adapter.query(this.store, this.type, {
+    where: { message: 'Post B' },
   }, this.recordArray);
-  await this.ref.update({
-    'blogPosts/post_c': {
-      message: 'Post C',
-      timestamp: 1483228800000,
-      author: 'user_a',
-    },
-  });
 
   // Assert
-  assert.deepEqual(this.recordArray.get('content'), []);
+  assert.deepEqual(result, [ this.payloads[1] ]);
 });
 
-test('should listen for child_removed changes when query params has cacheId and not in FastBoot', async function(assert) {
-  assert.expect(1);
+test('should fill the first page with records matching where', async function(assert) {
+  assert.expect(2);
 
   // Arrange
   const adapter = this.subject({
@@ -1081,73 +1697,58 @@ test('should listen for child_removed changes when query params has cacheId and
   });
 
   // Act
-  await adapter.query(this.store, this.type, {
-    cacheId: 'foo',
+  const result = await adapter.query(this.store, this.type, {
+    limitToFirst: 1,
+    where: { message: 'Post B' },
   }, this.recordArray);
-  await this.ref.update({ 'blogPosts/post_a': null });
 
   // Assert
-  assert.deepEqual(this.recordArray.get('content'), [
-    this.blogPosts[1]._internalModel,
-  ]);
+  assert.deepEqual(result, [ this.payloads[1] ]);
+  assert.ok(this.recordArray.get('firebase.hasMore'));
 });
 
-test('should not listen for child_removed changes when query params has cacheId and in FastBoot', async function(assert) {
-  assert.expect(1);
+test('should fill the first page of limitToLast with records matching where', async function(assert) {
+  assert.expect(2);
 
   // Arrange
   const adapter = this.subject({
     firebase: this.ref,
-    fastboot: EmberObject.create({ isFastBoot: true }),
     findRecord: this.adapterFindRecord,
   });
 
   // Act
-  await adapter.query(this.store, this.type, {
-    cacheId: 'foo',
+  const result = await adapter.query(this.store, this.type, {
+    limitToLast: 1,
+    where: { message: 'Post A' },
   }, this.recordArray);
-  await this.ref.update({ 'blogPosts/post_a': null });
 
   // Assert
-  assert.deepEqual(this.recordArray.get('content'), []);
+  assert.deepEqual(result, [ this.payloads[0] ]);
+  assert.ok(this.recordArray.get('firebase.hasMore'));
 });
 
-test('should increase limit when loading more records', async function(assert) {
+test('should return no records when nothing matches the query params', async function(assert) {
   assert.expect(1);
 
   // Arrange
-  const queryParams = {
-    cacheId: 'foo',
-    limitToFirst: 1,
-  };
-
-  this.recordArray.set('query', queryParams);
-
   const adapter = this.subject({
     firebase: this.ref,
     findRecord: this.adapterFindRecord,
   });
 
   // Act
-  await adapter.query(this.store, this.type, queryParams, this.recordArray);
-  await this.recordArray.get('firebase').next(1);
+  const result = await adapter.query(this.store, this.type, {
+    equalTo: 'foo',
+  }, this.recordArray);
 
   // Assert
-  assert.deepEqual(this.recordArray.get('query'), {
-    cacheId: 'foo',
-    limitToFirst: 2,
-    orderBy: 'id',
-  });
+  assert.deepEqual(result, []);
 });
 
-test('should re-query when loading more records', async function(assert) {
+test('should listen for child_added changes when query params has cacheId and not in FastBoot', async function(assert) {
   assert.expect(1);
 
   // Arrange
-  const stub = sinon.stub();
-
-  this.recordArray.set('update', stub);
-
   const adapter = this.subject({
     firebase: this.ref,
     findRecord: this.adapterFindRecord,
@@ -1156,15 +1757,25 @@ test('should re-query when loading more records', async function(assert) {
   // Act
   await adapter.query(this.store, this.type, {
     cacheId: 'foo',
-    limitToFirst: 1,
   }, this.recordArray);
-  await this.recordArray.get('firebase').next(1);
+  await this.ref.update({
+    'blogPosts/post_c': {
+      message: 'Post C',
+      timestamp: 1483228800000,
+      author: 'user_a',
+    },
+  });
+  await wait();
 
   // Assert
-  assert.ok(stub.calledOnce);
+  assert.deepEqual(this.recordArray.get('content'), [
+    this.blogPosts[0]._internalModel,
+    this.blogPosts[1]._internalModel,
+    this.blogPosts[2]._internalModel,
+  ]);
 });
 
-test('should track query when query params has cacheId and not in FastBoot', async function(assert) {
+test('should insert child_added records in query order when query params has cacheId', async function(assert) {
   assert.expect(1);
 
   // Arrange
@@ -1176,48 +1787,2332 @@ test('should track query when query params has cacheId and not in FastBoot', asy
   // Act
   await adapter.query(this.store, this.type, {
     cacheId: 'foo',
+    orderBy: 'message',
   }, this.recordArray);
+  await this.ref.update({
+    'blogPosts/post_c': {
+      message: 'Post 0',
+      timestamp: 1483228800000,
+      author: 'user_a',
+    },
+  });
+  await wait();
 
   // Assert
-  assert.deepEqual(adapter.get('trackedQueries'), { 'foo': this.recordArray });
+  assert.deepEqual(this.recordArray.get('content'), [
+    this.blogPosts[2]._internalModel,
+    this.blogPosts[0]._internalModel,
+    this.blogPosts[1]._internalModel,
+  ]);
 });
 
-test('should not track query when query params has cacheId and in FastBoot', async function(assert) {
+test('should move records on child_moved changes when query params has cacheId', async function(assert) {
   assert.expect(1);
 
   // Arrange
   const adapter = this.subject({
     firebase: this.ref,
-    fastboot: EmberObject.create({ isFastBoot: true }),
     findRecord: this.adapterFindRecord,
   });
 
   // Act
   await adapter.query(this.store, this.type, {
     cacheId: 'foo',
+    orderBy: 'message',
   }, this.recordArray);
+  await this.ref.update({ 'blogPosts/post_a/message': 'Post Z' });
 
   // Assert
-  assert.deepEqual(adapter.get('trackedQueries'), {});
+  assert.deepEqual(this.recordArray.get('content'), [
+    this.blogPosts[1]._internalModel,
+    this.blogPosts[0]._internalModel,
+  ]);
 });
 
-test('should turn off existing query listener when re-querying it', async function(assert) {
+test('should add records after the previous pages when query params has cacheId and limitToLast', async function(assert) {
   assert.expect(1);
 
   // Arrange
-  const recordArray = EmberObject.create(this.recordArray);
-  const spy = sinon.spy(recordArray.firebase, 'off');
   const adapter = this.subject({
     firebase: this.ref,
-    trackedQueries: { foo: recordArray },
     findRecord: this.adapterFindRecord,
   });
+  const olderPost = { id: 'post_0' };
+
+  this.recordArray.get('content').pushObject(olderPost);
 
   // Act
   await adapter.query(this.store, this.type, {
     cacheId: 'foo',
+    limitToLast: 2,
   }, this.recordArray);
 
   // Assert
-  assert.ok(spy.calledOnce);
+  assert.deepEqual(this.recordArray.get('content'), [
+    olderPost,
+    this.blogPosts[0]._internalModel,
+    this.blogPosts[1]._internalModel,
+  ]);
+});
+
+test('should keep records filtered by where as they change when query params has cacheId', async function(assert) {
+  assert.expect(1);
+
+  // Arrange
+  const adapter = this.subject({
+    firebase: this.ref,
+    findRecord: this.adapterFindRecord,
+  });
+
+  // Act
+  await adapter.query(this.store, this.type, {
+    cacheId: 'foo',
+    where: { message: 'Post A' },
+  }, this.recordArray);
+  await this.ref.update({
+    'blogPosts/post_a/message': 'Foo',
+    'blogPosts/post_b/message': 'Post A',
+  });
+  await wait();
+
+  // Assert
+  assert.deepEqual(this.recordArray.get('content'), [
+    this.blogPosts[1]._internalModel,
+  ]);
+});
+
+test('should not listen for child_added changes when query params has cacheId and in FastBoot', async function(assert) {
+  assert.expect(1);
+
+  // Arrange
+  const adapter = this.subject({
+    firebase: this.ref,
+    fastboot: EmberObject.create({ isFastBoot: true }),
+    findRecord: this.adapterFindRecord,
+  });
+
+  // Act
+  await adapter.query(this.store, this.type, {
+    cacheId: 'foo',
+  }, this.recordArray);
+  await this.ref.update({
+    'blogPosts/post_c': {
+      message: 'Post C',
+      timestamp: 1483228800000,
+      author: 'user_a',
+    },
+  });
+
+  // Assert
+  assert.deepEqual(this.recordArray.get('content'), []);
+});
+
+test('should listen for child_removed changes when query params has cacheId and not in FastBoot', async function(assert) {
+  assert.expect(1);
+
+  // Arrange
+  const adapter = this.subject({
+    firebase: this.ref,
+    findRecord: this.adapterFindRecord,
+  });
+
+  // Act
+  await adapter.query(this.store, this.type, {
+    cacheId: 'foo',
+  }, this.recordArray);
+  await this.ref.update({ 'blogPosts/post_a': null });
+
+  // Assert
+  assert.deepEqual(this.recordArray.get('content'), [
+    this.blogPosts[1]._internalModel,
+  ]);
+});
+
+test('should not listen for child_removed changes when query params has cacheId and in FastBoot', async function(assert) {
+  assert.expect(1);
+
+  // Arrange
+  const adapter = this.subject({
+    firebase: this.ref,
+    fastboot: EmberObject.create({ isFastBoot: true }),
+    findRecord: this.adapterFindRecord,
+  });
+
+  // Act
+  await adapter.query(this.store, this.type, {
+    cacheId: 'foo',
+  }, this.recordArray);
+  await this.ref.update({ 'blogPosts/post_a': null });
+
+  // Assert
+  assert.deepEqual(this.recordArray.get('content'), []);
+});
+
+test('should append the next page of records when loading more records', async function(assert) {
+  assert.expect(1);
+
+  // Arrange
+  const adapter = this.subject({
+    firebase: this.ref,
+    findRecord: this.adapterFindRecord,
+  });
+
+  // Act
+  await adapter.query(this.store, this.type, {
+    limitToFirst: 1,
+  }, this.recordArray);
+  await this.recordArray.get('firebase').next(1);
+
+  // Assert
+  assert.deepEqual(this.recordArray.get('content'), [
+    this.blogPosts[1]._internalModel,
+  ]);
+});
+
+test('should prepend the previous page of records when loading more records for limitToLast', async function(assert) {
+  assert.expect(1);
+
+  // Arrange
+  const adapter = this.subject({
+    firebase: this.ref,
+    findRecord: this.adapterFindRecord,
+  });
+
+  this.recordArray.get('content').pushObject(this.blogPosts[1]._internalModel);
+
+  // Act
+  await adapter.query(this.store, this.type, {
+    limitToLast: 1,
+  }, this.recordArray);
+  await this.recordArray.get('firebase').previous(1);
+
+  // Assert
+  assert.deepEqual(this.recordArray.get('content'), [
+    this.blogPosts[0]._internalModel,
+    this.blogPosts[1]._internalModel,
+  ]);
+});
+
+test('should keep loading until the page is filled with records matching where', async function(assert) {
+  assert.expect(1);
+
+  // Arrange
+  const adapter = this.subject({
+    firebase: this.ref,
+    findRecord: this.adapterFindRecord,
+  });
+
+  await this.ref.update({
+    'blogPosts/post_c': {
+      message: 'Post C',
+      timestamp: 1483228800000,
+      author: 'user_a',
+    },
+  });
+
+  // Act
+  await adapter.query(this.store, this.type, {
+    limitToFirst: 1,
+    where: { message: { in: [ 'Post A', 'Post C' ] } },
+  }, this.recordArray);
+  await this.recordArray.get('firebase').next(1);
+
+  // Assert
+  assert.deepEqual(this.recordArray.get('content'), [
+    this.blogPosts[2]._internalModel,
+  ]);
+});
+
+test('should not have more records when the loaded page is not full', async function(assert) {
+  assert.expect(2);
+
+  // Arrange
+  const adapter = this.subject({
+    firebase: this.ref,
+    findRecord: this.adapterFindRecord,
+  });
+
+  // Act
+  await adapter.query(this.store, this.type, {
+    limitToFirst: 1,
+  }, this.recordArray);
+
+  const hasMoreBeforeLoading = this.recordArray.get('firebase.hasMore');
+
+  await this.recordArray.get('firebase').next(5);
+
+  // Assert
+  assert.ok(hasMoreBeforeLoading);
+  assert.notOk(this.recordArray.get('firebase.hasMore'));
+});
+
+test('should not re-query when loading more records', async function(assert) {
+  assert.expect(1);
+
+  // Arrange
+  const stub = sinon.stub();
+
+  this.recordArray.set('update', stub);
+
+  const adapter = this.subject({
+    firebase: this.ref,
+    findRecord: this.adapterFindRecord,
+  });
+
+  // Act
+  await adapter.query(this.store, this.type, {
+    cacheId: 'foo',
+    limitToFirst: 1,
+  }, this.recordArray);
+  await this.recordArray.get('firebase').next(1);
+
+  // Assert
+  assert.ok(stub.notCalled);
+});
+
+test('should not lose the next pages of records when loading previous records', async function(assert) {
+  assert.expect(2);
+
+  // Arrange
+  const adapter = this.subject({
+    firebase: this.ref,
+    findRecord: this.adapterFindRecord,
+  });
+
+  // Act
+  await adapter.query(this.store, this.type, {
+    limitToFirst: 1,
+  }, this.recordArray);
+  await this.recordArray.get('firebase').previous(1);
+
+  // Assert
+  assert.ok(this.recordArray.get('firebase.hasMore'));
+  assert.deepEqual(this.recordArray.get('content'), []);
+});
+
+test('should listen for child_removed changes of loaded pages when query params has cacheId', async function(assert) {
+  assert.expect(1);
+
+  // Arrange
+  const adapter = this.subject({
+    firebase: this.ref,
+    findRecord: this.adapterFindRecord,
+  });
+
+  await adapter.query(this.store, this.type, {
+    cacheId: 'foo',
+    limitToFirst: 1,
+  }, this.recordArray);
+  await this.recordArray.get('firebase').next(1);
+
+  // Act
+  await this.ref.update({ 'blogPosts/post_b': null });
+
+  // Assert
+  assert.deepEqual(this.recordArray.get('content'), [
+    this.blogPosts[0]._internalModel,
+  ]);
+});
+
+test('should keep loaded pages when a record is added in between when query params has cacheId', async function(assert) {
+  assert.expect(1);
+
+  // Arrange
+  const adapter = this.subject({
+    firebase: this.ref,
+    findRecord: this.adapterFindRecord,
+  });
+
+  await adapter.query(this.store, this.type, {
+    cacheId: 'foo',
+    limitToFirst: 1,
+    orderBy: 'message',
+  }, this.recordArray);
+  await this.recordArray.get('firebase').next(1);
+
+  // Act
+  await this.ref.update({
+    'blogPosts/post_c': {
+      message: 'Post AA',
+      timestamp: 1483228800000,
+      author: 'user_a',
+    },
+  });
+  await wait();
+
+  // Assert
+  assert.deepEqual(this.recordArray.get('content'), [
+    this.blogPosts[0]._internalModel,
+    this.blogPosts[2]._internalModel,
+    this.blogPosts[1]._internalModel,
+  ]);
+});
+
+test('should not listen for records after the loaded pages when query params has cacheId and has more', async function(assert) {
+  assert.expect(1);
+
+  // Arrange
+  const adapter = this.subject({
+    firebase: this.ref,
+    findRecord: this.adapterFindRecord,
+  });
+
+  await adapter.query(this.store, this.type, {
+    cacheId: 'foo',
+    limitToFirst: 1,
+  }, this.recordArray);
+
+  // Act
+  await this.ref.update({
+    'blogPosts/post_c': {
+      message: 'Post C',
+      timestamp: 1483228800000,
+      author: 'user_a',
+    },
+  });
+
+  // Assert
+  assert.deepEqual(this.recordArray.get('content'), [
+    this.blogPosts[0]._internalModel,
+  ]);
+});
+
+test('should track query when query params has cacheId and not in FastBoot', async function(assert) {
+  assert.expect(1);
+
+  // Arrange
+  const adapter = this.subject({
+    firebase: this.ref,
+    findRecord: this.adapterFindRecord,
+  });
+
+  // Act
+  await adapter.query(this.store, this.type, {
+    cacheId: 'foo',
+  }, this.recordArray);
+
+  // Assert
+  assert.deepEqual(adapter.get('trackedQueries'), { 'foo': this.recordArray });
+});
+
+test('should not track query when query params has cacheId and in FastBoot', async function(assert) {
+  assert.expect(1);
+
+  // Arrange
+  const adapter = this.subject({
+    firebase: this.ref,
+    fastboot: EmberObject.create({ isFastBoot: true }),
+    findRecord: this.adapterFindRecord,
+  });
+
+  // Act
+  await adapter.query(this.store, this.type, {
+    cacheId: 'foo',
+  }, this.recordArray);
+
+  // Assert
+  assert.deepEqual(adapter.get('trackedQueries'), {});
+});
+
+test('should turn off existing query listener when re-querying it', async function(assert) {
+  assert.expect(1);
+
+  // Arrange
+  const recordArray = EmberObject.create(this.recordArray);
+  const spy = sinon.spy(recordArray.firebase, 'off');
+  const adapter = this.subject({
+    firebase: this.ref,
+    trackedQueries: { foo: recordArray },
+    findRecord: this.adapterFindRecord,
+  });
+
+  // Act
+  await adapter.query(this.store, this.type, {
+    cacheId: 'foo',
+  }, this.recordArray);
+
+  // Assert
+  assert.ok(spy.calledOnce);
+});
+
+test('should put queried records and page state in the shoebox when in FastBoot', async function(assert) {
+  assert.expect(1);
+
+  // Arrange
+  const shoebox = { put: sinon.spy(), retrieve() {} };
+  const adapter = this.subject({
+    firebase: this.ref,
+    fastboot: EmberObject.create({ isFastBoot: true }),
+    firebaseShoebox: shoebox,
+  });
+
+  // Act
+  await adapter.query(this.store, this.type, {
+    limitToFirst: 1,
+  }, this.recordArray);
+
+  // Assert
+  assert.ok(shoebox.put.calledWith('query:blog-post:{"limitToFirst":1}', {
+    modelName: 'blog-post',
+    records: [ this.payloads[0] ],
+    pageState: {
+      cursors: {
+        first: { key: 'post_a', value: 'post_a' },
+        last: { key: 'post_a', value: 'post_a' },
+      },
+      hasMore: true,
+    },
+  }));
+});
+
+test('should retrieve from the shoebox regardless of the order of query params', async function(assert) {
+  assert.expect(1);
+
+  // Arrange
+  const shoebox = { put() {}, retrieve: sinon.spy() };
+  const adapter = this.subject({
+    firebase: this.ref,
+    firebaseShoebox: shoebox,
+  });
+
+  // Act
+  await adapter.query(this.store, this.type, {
+    orderBy: 'message',
+    limitToFirst: 1,
+  }, this.recordArray);
+
+  // Assert
+  assert.ok(shoebox.retrieve.calledWith(
+      'query:blog-post:{"limitToFirst":1,"orderBy":"message"}'));
+});
+
+test('should resolve with the records transferred through the shoebox and keep paging from them', async function(assert) {
+  assert.expect(3);
+
+  // Arrange
+  const shoebox = {
+    put() {},
+    retrieve: sinon.stub().returns({
+      modelName: 'blog-post',
+      records: [ this.payloads[0] ],
+      pageState: {
+        cursors: {
+          first: { key: 'post_a', value: 'post_a' },
+          last: { key: 'post_a', value: 'post_a' },
+        },
+        hasMore: true,
+      },
+    }),
+  };
+  const adapter = this.subject({
+    firebase: this.ref,
+    firebaseShoebox: shoebox,
+  });
+
+  // Act
+  const result = await adapter.query(this.store, this.type, {
+    limitToFirst: 1,
+  }, this.recordArray);
+
+  // Assert
+  assert.deepEqual(result, [ this.payloads[0] ]);
+  assert.ok(this.recordArray.get('firebase.hasMore'));
+  assert.deepEqual(adapter.get('trackedListeners'), {
+    'blogPosts/post_a': { value: 1 },
+  });
+});
+
+moduleFor('adapter:firebase-flex', 'Unit | Adapter | firebase flex | release', {
+  needs: [ 'service:firebase', 'service:firebase-app' ],
+
+  beforeEach() {
+    stubFirebase();
+    this.ref = createOfflineRef(getFixtureData());
+    this.liveRecordArray = EmberObject.create({ content: new A() });
+    this.store = {
+      findRecord: (modelName, id) => RSVP.resolve({
+        id: id,
+        _internalModel: { id: id },
+      }),
+      normalize() {},
+      peekAll: () => this.liveRecordArray,
+      push() {},
+      serializerFor: () => this.serializer,
+    };
+    this.serializer = { forgetRecord: sinon.spy() };
+    this.type = { modelName: 'blog-post' };
+    this.recordArray = EmberObject.create({ content: new A(), query: {} });
+  },
+
+  afterEach() {
+    unStubFirebase();
+    destroyFirebaseApps();
+  },
+});
+
+test('should count the holders of a listener', async function(assert) {
+  assert.expect(1);
+
+  // Arrange
+  const adapter = this.subject({
+    firebase: this.ref,
+  });
+
+  // Act
+  await adapter.findRecord(this.store, this.type, 'post_a');
+  await adapter.query(this.store, this.type, {
+    equalTo: 'post_a',
+  }, this.recordArray);
+  const result = adapter.get('trackedListeners');
+
+  // Assert
+  assert.deepEqual(result, { 'blogPosts/post_a': { value: 2 } });
+});
+
+test('should turn off listeners of a record when releasing it', async function(assert) {
+  assert.expect(2);
+
+  // Arrange
+  const spy = sinon.spy(this.store, 'push');
+  const adapter = this.subject({
+    firebase: this.ref,
+  });
+
+  // Act
+  await adapter.findRecord(this.store, this.type, 'post_a');
+  adapter.release('blog-post', 'post_a');
+  await this.ref.child('blogPosts/post_a').update({ 'message': 'Foo' });
+
+  // Assert
+  assert.deepEqual(adapter.get('trackedListeners'), {});
+  next(() => {
+    assert.ok(spy.calledOnce);
+  });
+});
+
+test('should turn off all listeners and queries when releasing all', async function(assert) {
+  assert.expect(3);
+
+  // Arrange
+  const adapter = this.subject({
+    firebase: this.ref,
+  });
+
+  await adapter.findRecord(this.store, this.type, 'post_a');
+  await adapter.query(this.store, this.type, {
+    cacheId: 'foo',
+  }, this.recordArray);
+
+  const spy = sinon.spy(this.recordArray.get('firebase'), 'off');
+
+  // Act
+  adapter.releaseAll();
+
+  // Assert
+  assert.deepEqual(adapter.get('trackedListeners'), {});
+  assert.deepEqual(adapter.get('trackedQueries'), {});
+  assert.ok(spy.calledOnce);
+});
+
+test('should turn off listeners of a record when it gets unloaded', async function(assert) {
+  assert.expect(1);
+
+  // Arrange
+  const adapter = this.subject({
+    firebase: this.ref,
+  });
+  const internalModel = { id: 'post_a' };
+
+  this.liveRecordArray.get('content').pushObject(internalModel);
+
+  // Act
+  await adapter.findRecord(this.store, this.type, 'post_a');
+  this.liveRecordArray.get('content').removeObject(internalModel);
+
+  // Assert
+  assert.deepEqual(adapter.get('trackedListeners'), {});
+});
+
+test('should make the serializer forget a record when it gets unloaded', async function(assert) {
+  assert.expect(1);
+
+  // Arrange
+  const adapter = this.subject({
+    firebase: this.ref,
+  });
+  const internalModel = { id: 'post_a' };
+
+  this.liveRecordArray.get('content').pushObject(internalModel);
+
+  // Act
+  await adapter.findRecord(this.store, this.type, 'post_a');
+  this.liveRecordArray.get('content').removeObject(internalModel);
+
+  // Assert
+  assert.ok(this.serializer.forgetRecord.calledWithExactly(
+      'blog-post', 'post_a'));
+});
+
+test('should release listeners held by a query record array when it gets destroyed', async function(assert) {
+  assert.expect(1);
+
+  // Arrange
+  const adapter = this.subject({
+    firebase: this.ref,
+  });
+
+  await adapter.findRecord(this.store, this.type, 'post_a');
+  await adapter.query(this.store, this.type, {}, this.recordArray);
+
+  // Act
+  run(() => this.recordArray.destroy());
+
+  // Assert
+  assert.deepEqual(adapter.get('trackedListeners'), {
+    'blogPosts/post_a': { value: 1 },
+  });
+});
+
+moduleFor('adapter:firebase-flex', 'Unit | Adapter | firebase flex | path templates', {
+  needs: [ 'service:firebase', 'service:firebase-app' ],
+
+  beforeEach() {
+    stubFirebase();
+    this.ref = createOfflineRef({
+      tenants: {
+        tenant_a: getFixtureData(),
+      },
+    });
+    this.recordArray = EmberObject.create({
+      content: new A(),
+      query: {},
+      update() {},
+    });
+    this.store = {
+      normalize() {},
+      peekAll: () => EmberObject.create({ content: new A() }),
+      peekRecord() {},
+      push() {},
+    };
+    this.type = { modelName: 'blog-post' };
+  },
+
+  afterEach() {
+    unStubFirebase();
+    destroyFirebaseApps();
+  },
+});
+
+test('should use adapter properties interpolated in the path for type', async function(assert) {
+  assert.expect(1);
+
+  // Arrange
+  const adapter = this.subject({
+    firebase: this.ref,
+    tenant: EmberObject.create({ id: 'tenant_a' }),
+    pathForType() {
+      return `tenants/${this.get('tenant.id')}/blogPosts`;
+    },
+  });
+
+  // Act
+  await adapter.findRecord(this.store, this.type, 'post_a');
+
+  // Assert
+  assert.deepEqual(adapter.get('trackedListeners'), {
+    'tenants/tenant_a/blogPosts/post_a': { value: 1 },
+  });
+});
+
+test('should resolve query params in the path for query', async function(assert) {
+  assert.expect(1);
+
+  // Arrange
+  const adapter = this.subject({
+    firebase: this.ref,
+    pathForQuery() {
+      return 'tenants/:tenantId/blogPosts';
+    },
+  });
+
+  // Act
+  const result = await adapter.query(this.store, this.type, {
+    tenantId: 'tenant_a',
+    equalTo: 'post_a',
+  }, this.recordArray);
+
+  // Assert
+  assert.deepEqual(result, [{
+    id: 'post_a',
+    message: 'Post A',
+    timestamp: 1483228800000,
+    author: 'user_a',
+    _innerReferencePath: 'tenant_a/blogPosts',
+    _originPath: 'tenants/tenant_a/blogPosts',
+  }]);
+});
+
+test('should save and delete a record where it was loaded from', async function(assert) {
+  assert.expect(1);
+
+  // Arrange
+  const type = { modelName: 'comment' };
+  const adapter = this.subject({
+    firebase: this.ref,
+    serialize: (snapshot) => ({
+      [`${adapter.buildPathForSave(snapshot)}/${snapshot.id}/message`]: 'Foo',
+    }),
+  });
+
+  await this.ref.update({
+    'postComments/post_a/comment_a': { message: 'Comment A' },
+  });
+
+  const [ comment ] = await adapter.query(this.store, type, {
+    path: 'postComments/post_a',
+  }, this.recordArray);
+  const spy = sinon.spy(this.ref, 'update');
+
+  // Act
+  await adapter.updateRecord(this.store, type, comment);
+  await adapter.deleteRecord(this.store, type, comment);
+
+  // Assert
+  assert.deepEqual(spy.args.map((args) => args[0]), [
+    { 'postComments/post_a/comment_a/message': 'Foo' },
+    { 'postComments/post_a/comment_a': null },
+  ]);
+});
+
+test('should resolve record attributes in the path for save', async function(assert) {
+  assert.expect(1);
+
+  // Arrange
+  const spy = sinon.spy(this.ref, 'update');
+  const adapter = this.subject({
+    firebase: this.ref,
+    pathForSave() {
+      return 'tenants/tenant_a/comments/:innerReferencePath';
+    },
+  });
+
+  // Act
+  await adapter.deleteRecord({}, { modelName: 'comment' }, {
+    id: 'comment_a',
+    _innerReferencePath: 'post_a',
+    adapterOptions: {},
+  });
+
+  // Assert
+  assert.ok(spy.calledWith({
+    'tenants/tenant_a/comments/post_a/comment_a': null,
+  }));
+});
+
+test('should error when a placeholder in the path can not be resolved', function(assert) {
+  assert.expect(1);
+
+  // Arrange
+  const done = assert.async();
+  const adapter = this.subject({
+    firebase: this.ref,
+    pathForType() {
+      return 'tenants/:tenant.id/blogPosts';
+    },
+  });
+
+  // Act
+  run(() => {
+    adapter.findRecord(this.store, this.type, 'post_a').catch((error) => {
+      // Assert
+      assert.ok(error);
+      done();
+    });
+  });
+});
+
+test('should not resolve placeholders from adapter properties', function(assert) {
+  assert.expect(1);
+
+  // Arrange
+  const done = assert.async();
+  const adapter = this.subject({
+    firebase: this.ref,
+    tenantId: 'tenant_a',
+    pathForType() {
+      return 'tenants/:tenantId/blogPosts';
+    },
+  });
+
+  // Act
+  run(() => {
+    adapter.findRecord(this.store, this.type, 'post_a').catch((error) => {
+      // Assert
+      assert.equal(
+          error.message,
+          'Unable to resolve :tenantId in tenants/:tenantId/blogPosts');
+      done();
+    });
+  });
+});
+
+test('should reject instead of throwing when a placeholder in the path can not be resolved', async function(assert) {
+  assert.expect(1);
+
+  // Arrange
+  const adapter = this.subject({
+    firebase: this.ref,
+    pathForType() {
+      return 'tenants/:tenantId/blogPosts';
+    },
+  });
+
+  // Act
+  const promise = adapter.purge('blog-post', 'post_a');
+
+  // Assert
+  await promise.catch((error) => assert.ok(error));
+});
+
+test('should use the adapter options path as is', async function(assert) {
+  assert.expect(1);
+
+  // Arrange
+  const adapter = this.subject({ firebase: this.ref });
+
+  await this.ref.update({
+    'tenants/tenant:a/blogPosts/post_a': { message: 'Post A' },
+  });
+
+  // Act
+  await adapter.findRecord(this.store, this.type, 'post_a', {
+    adapterOptions: { path: 'tenants/tenant:a/blogPosts' },
+  });
+
+  // Assert
+  assert.deepEqual(adapter.get('trackedListeners'), {
+    'tenants/tenant:a/blogPosts/post_a': { value: 1 },
+  });
+});
+
+test('should use the query path as is', async function(assert) {
+  assert.expect(1);
+
+  // Arrange
+  const adapter = this.subject({ firebase: this.ref });
+
+  await this.ref.update({
+    'tenants/tenant:a/blogPosts/post_a': { message: 'Post A' },
+  });
+
+  // Act
+  await adapter.query(this.store, this.type, {
+    path: 'tenants/tenant:a/blogPosts',
+  }, this.recordArray);
+
+  // Assert
+  assert.deepEqual(adapter.get('trackedListeners'), {
+    'tenants/tenant:a/blogPosts/post_a': { value: 1 },
+  });
+});
+
+moduleFor('adapter:firebase-flex', 'Unit | Adapter | firebase flex | fanout rules', {
+  needs: [ 'service:firebase', 'service:firebase-app' ],
+
+  beforeEach() {
+    stubFirebase();
+    this.ref = createOfflineRef(getFixtureData());
+    this.store = {
+      normalize() {},
+      peekAll: () => EmberObject.create({ content: new A() }),
+      push() {},
+      serializerFor: () => ({
+        getPreviousRelationships: () => ({ author: 'user_a' }),
+        hasSerializeRecordsOption: () => false,
+      }),
+    };
+    this.type = {
+      modelName: 'blog-post',
+      fanout: [{
+        path: 'userFeeds/:author/:id',
+        optional: [ 'author' ],
+      }, {
+        path: 'userPosts/:author/:id',
+        optional: [ 'author' ],
+        value: (snapshot) => snapshot.message,
+        on: [ 'create' ],
+      }],
+    };
+  },
+
+  afterEach() {
+    unStubFirebase();
+    destroyFirebaseApps();
+  },
+});
+
+test('should merge fanout rules when creating a record', async function(assert) {
+  assert.expect(1);
+
+  // Arrange
+  const spy = sinon.spy(this.ref, 'update');
+  const adapter = this.subject({
+    firebase: this.ref,
+    serialize: sinon.stub().returns({ 'blogPosts/post_c/message': 'Message' }),
+  });
+
+  // Act
+  await adapter.createRecord(this.store, this.type, {
+    id: 'post_c',
+    message: 'Message',
+    author: 'user_a',
+  });
+
+  // Assert
+  assert.ok(spy.calledWith({
+    'blogPosts/post_c/message': 'Message',
+    'userFeeds/user_a/post_c': true,
+    'userPosts/user_a/post_c': 'Message',
+  }));
+});
+
+test('should only merge fanout rules that apply when updating a record', async function(assert) {
+  assert.expect(1);
+
+  // Arrange
+  const spy = sinon.spy(this.ref, 'update');
+  const adapter = this.subject({
+    firebase: this.ref,
+    serialize: sinon.stub().returns({ 'blogPosts/post_a/message': 'Message' }),
+  });
+
+  // Act
+  await adapter.updateRecord(this.store, this.type, {
+    id: 'post_a',
+    message: 'Message',
+    author: 'user_a',
+  });
+
+  // Assert
+  assert.ok(spy.calledWith({
+    'blogPosts/post_a/message': 'Message',
+    'userFeeds/user_a/post_a': true,
+  }));
+});
+
+test('should clear the old fanout location when its keyed value changes', async function(assert) {
+  assert.expect(1);
+
+  // Arrange
+  const spy = sinon.spy(this.ref, 'update');
+  const adapter = this.subject({
+    firebase: this.ref,
+    serialize: sinon.stub().returns({ 'blogPosts/post_a/author': 'user_b' }),
+  });
+
+  // Act
+  await adapter.updateRecord(this.store, this.type, {
+    id: 'post_a',
+    modelName: 'blog-post',
+    attr: () => 'Message',
+    belongsTo: () => 'user_b',
+    changedAttributes: () => ({}),
+    eachAttribute: (callback) => callback('message'),
+    eachRelationship: (callback) => callback('author', { kind: 'belongsTo' }),
+  });
+
+  // Assert
+  assert.ok(spy.calledWith({
+    'blogPosts/post_a/author': 'user_b',
+    'userFeeds/user_a/post_a': null,
+    'userFeeds/user_b/post_a': true,
+  }));
+});
+
+test('should skip fanout rules when an optional placeholder has no value', async function(assert) {
+  assert.expect(1);
+
+  // Arrange
+  const spy = sinon.spy(this.ref, 'update');
+  const adapter = this.subject({
+    firebase: this.ref,
+    serialize: sinon.stub().returns({ 'blogPosts/post_c/message': 'Message' }),
+  });
+
+  // Act
+  await adapter.createRecord(this.store, this.type, {
+    id: 'post_c',
+    message: 'Message',
+  });
+
+  // Assert
+  assert.ok(spy.calledWith({ 'blogPosts/post_c/message': 'Message' }));
+});
+
+test('should reject the save when a fanout rule path can not be resolved', async function(assert) {
+  assert.expect(2);
+
+  // Arrange
+  const spy = sinon.spy(this.ref, 'update');
+  const adapter = this.subject({
+    firebase: this.ref,
+    serialize: sinon.stub().returns({ 'blogPosts/post_c/message': 'Message' }),
+  });
+
+  this.type.fanout = [{ path: 'userFeeds/:author/:id' }];
+
+  try {
+    // Act
+    await adapter.createRecord(this.store, this.type, {
+      id: 'post_c',
+      message: 'Message',
+    });
+  } catch (error) {
+    // Assert
+    assert.equal(
+        error.message, 'Unable to resolve :author in userFeeds/:author/:id');
+    assert.ok(spy.notCalled);
+  }
+});
+
+test('should clear fanout rule locations when deleting a record', async function(assert) {
+  assert.expect(1);
+
+  // Arrange
+  const spy = sinon.spy(this.ref, 'update');
+  const adapter = this.subject({
+    firebase: this.ref,
+  });
+
+  // Act
+  await adapter.deleteRecord(this.store, this.type, {
+    id: 'post_a',
+    author: 'user_a',
+  });
+
+  // Assert
+  assert.ok(spy.calledWith({
+    'blogPosts/post_a': null,
+    'userFeeds/user_a/post_a': null,
+  }));
+});
+
+moduleFor('adapter:firebase-flex', 'Unit | Adapter | firebase flex | cascade', {
+  needs: [ 'service:firebase', 'service:firebase-app' ],
+
+  beforeEach() {
+    stubFirebase();
+    this.ref = createOfflineRef(getFixtureData());
+    this.types = {};
+    this.store = {
+      modelFor: (modelName) => this.types[modelName] || { modelName },
+      serializerFor: () => ({}),
+    };
+  },
+
+  afterEach() {
+    unStubFirebase();
+    destroyFirebaseApps();
+  },
+});
+
+test('should delete child paths when deleting a record', async function(assert) {
+  assert.expect(1);
+
+  // Arrange
+  const spy = sinon.spy(this.ref, 'update');
+  const adapter = this.subject({
+    firebase: this.ref,
+  });
+
+  // Act
+  await adapter.deleteRecord(this.store, {
+    modelName: 'blog-post',
+    cascade: [{ path: 'comments/:id' }],
+  }, { id: 'post_a' });
+
+  // Assert
+  assert.ok(spy.calledWith({
+    'blogPosts/post_a': null,
+    'comments/post_a': null,
+  }));
+});
+
+test('should delete a reference index and its records when deleting a record', async function(assert) {
+  assert.expect(1);
+
+  // Arrange
+  const spy = sinon.spy(this.ref, 'update');
+  const adapter = this.subject({
+    firebase: this.ref,
+  });
+
+  // Act
+  await adapter.deleteRecord(this.store, {
+    modelName: 'user',
+    cascade: [{ index: 'userFeeds/:id', modelName: 'blog-post' }],
+  }, { id: 'user_a' });
+
+  // Assert
+  assert.ok(spy.calledWith({
+    'blogPosts/post_a': null,
+    'blogPosts/post_b': null,
+    'userFeeds/user_a': null,
+    'users/user_a': null,
+  }));
+});
+
+test('should delete the path of a hasFiltered property when deleting a record', async function(assert) {
+  assert.expect(1);
+
+  // Arrange
+  const spy = sinon.spy(this.ref, 'update');
+  const adapter = this.subject({
+    firebase: this.ref,
+  });
+
+  // Act
+  await adapter.deleteRecord(this.store, {
+    modelName: 'blog-post',
+    cascade: [{ hasFiltered: 'comments' }],
+    metaForProperty: () => ({
+      isHasFiltered: true,
+      modelName: 'comment',
+      query: { path: 'comments/$id', limitToFirst: 10 },
+    }),
+  }, { id: 'post_a' });
+
+  // Assert
+  assert.ok(spy.calledWith({
+    'blogPosts/post_a': null,
+    'comments/post_a': null,
+  }));
+});
+
+test('should delete the path of a hasFiltered property without its leading slash', async function(assert) {
+  assert.expect(1);
+
+  // Arrange
+  const spy = sinon.spy(this.ref, 'update');
+  const adapter = this.subject({
+    firebase: this.ref,
+  });
+
+  // Act
+  await adapter.deleteRecord(this.store, {
+    modelName: 'blog-post',
+    cascade: [{ hasFiltered: 'comments' }],
+    metaForProperty: () => ({
+      isHasFiltered: true,
+      modelName: 'comment',
+      query: { path: '/comments/$id' },
+    }),
+  }, { id: 'post_a' });
+
+  // Assert
+  assert.ok(spy.calledWith({
+    'blogPosts/post_a': null,
+    'comments/post_a': null,
+  }));
+});
+
+test('should follow the cascades of records deleted by a cascade', async function(assert) {
+  assert.expect(1);
+
+  // Arrange
+  const spy = sinon.spy(this.ref, 'update');
+  const adapter = this.subject({
+    firebase: this.ref,
+  });
+
+  this.types['blog-post'] = {
+    modelName: 'blog-post',
+    cascade: [{ path: 'comments/:id' }],
+  };
+
+  // Act
+  await adapter.deleteRecord(this.store, {
+    modelName: 'user',
+    cascade: [{ index: 'userFeeds/:id', modelName: 'blog-post' }],
+  }, { id: 'user_a' });
+
+  // Assert
+  assert.ok(spy.calledWith({
+    'blogPosts/post_a': null,
+    'blogPosts/post_b': null,
+    'comments/post_a': null,
+    'comments/post_b': null,
+    'userFeeds/user_a': null,
+    'users/user_a': null,
+  }));
+});
+
+test('should not follow the cascades of a record twice', async function(assert) {
+  assert.expect(1);
+
+  // Arrange
+  const spy = sinon.spy(this.ref, 'update');
+  const adapter = this.subject({
+    firebase: this.ref,
+  });
+
+  await this.ref.update({ 'postAuthors/post_a/user_a': true });
+
+  this.types['blog-post'] = {
+    modelName: 'blog-post',
+    cascade: [{ index: 'postAuthors/:id', modelName: 'user' }],
+  };
+  this.types.user = {
+    modelName: 'user',
+    cascade: [{ index: 'userFeeds/:id', modelName: 'blog-post' }],
+  };
+
+  // Act
+  await adapter.deleteRecord(this.store, this.types.user, { id: 'user_a' });
+
+  // Assert
+  assert.ok(spy.calledWith({
+    'blogPosts/post_a': null,
+    'blogPosts/post_b': null,
+    'postAuthors/post_a': null,
+    'postAuthors/post_b': null,
+    'userFeeds/user_a': null,
+    'users/user_a': null,
+  }));
+});
+
+test('should delete the filtered records of a hasFiltered property without path when deleting a record', async function(assert) {
+  assert.expect(1);
+
+  // Arrange
+  const spy = sinon.spy(this.ref, 'update');
+  const adapter = this.subject({
+    firebase: this.ref,
+  });
+
+  // Act
+  await adapter.deleteRecord(this.store, {
+    modelName: 'user',
+    cascade: [{ hasFiltered: 'posts' }],
+    metaForProperty: () => ({
+      isHasFiltered: true,
+      modelName: 'blog-post',
+      query: { orderBy: 'author', equalTo: 'user_a', limitToFirst: 1 },
+    }),
+  }, { id: 'user_a' });
+
+  // Assert
+  assert.ok(spy.calledWith({
+    'blogPosts/post_a': null,
+    'blogPosts/post_b': null,
+    'users/user_a': null,
+  }));
+});
+
+test('should error when cascading a hasFiltered property without path nor filter', async function(assert) {
+  assert.expect(1);
+
+  // Arrange
+  const adapter = this.subject({
+    firebase: this.ref,
+  });
+
+  try {
+    // Act
+    await adapter.deleteRecord(this.store, {
+      modelName: 'user',
+      cascade: [{ hasFiltered: 'posts' }],
+      metaForProperty: () => ({
+        isHasFiltered: true,
+        modelName: 'blog-post',
+        query: {},
+      }),
+    }, { id: 'user_a' });
+  } catch (error) {
+    // Assert
+    assert.ok(error);
+  }
+});
+
+test('should return the fanout without writing it on a dry run', async function(assert) {
+  assert.expect(2);
+
+  // Arrange
+  const spy = sinon.spy(this.ref, 'update');
+  const adapter = this.subject({
+    firebase: this.ref,
+  });
+  const record = {
+    constructor: {
+      modelName: 'blog-post',
+      cascade: [{ path: 'comments/:id' }],
+    },
+    store: this.store,
+    changedAttributes: () => ({}),
+    eachAttribute() {},
+    eachRelationship() {},
+    get: (key) => (key === 'id' ? 'post_a' : undefined),
+  };
+
+  // Act
+  const result = await adapter.dryRunDeleteRecord(record);
+
+  // Assert
+  assert.deepEqual(result, {
+    'blogPosts/post_a': null,
+    'comments/post_a': null,
+  });
+  assert.ok(spy.notCalled);
+});
+
+moduleFor('adapter:firebase-flex', 'Unit | Adapter | firebase flex | polymorphic', {
+  needs: [ 'service:firebase', 'service:firebase-app' ],
+
+  beforeEach() {
+    const fixtureData = getFixtureData();
+
+    fixtureData.notifications = {
+      notification_a: { type: 'comment-notification', comment: 'Comment A' },
+      notification_b: { type: 'like-notification', numberOfLikes: 2 },
+    };
+
+    stubFirebase();
+    this.ref = createOfflineRef(fixtureData);
+    this.store = {
+      modelFor: (modelName) => ({
+        modelName: modelName,
+        polymorphic: { modelName: 'notification', typeKey: 'type' },
+      }),
+      normalize() {},
+      peekAll: () => EmberObject.create({ content: new A() }),
+      push() {},
+    };
+    this.recordArray = EmberObject.create({
+      content: new A(),
+      firebase: {
+        next() {},
+        off() {},
+      },
+      query: {},
+      update() {},
+    });
+  },
+
+  afterEach() {
+    unStubFirebase();
+    destroyFirebaseApps();
+  },
+});
+
+test('should use the node of the base model for its subclasses', function(assert) {
+  assert.expect(1);
+
+  // Arrange
+  const adapter = this.subject({ firebase: this.ref, store: this.store });
+
+  // Act
+  const result = adapter.pathForType('comment-notification');
+
+  // Assert
+  assert.equal(result, 'notifications');
+});
+
+test('should find all records of the shared node for the base model', async function(assert) {
+  assert.expect(1);
+
+  // Arrange
+  const adapter = this.subject({ firebase: this.ref, store: this.store });
+
+  // Act
+  const result = await adapter.findAll(this.store, {
+    modelName: 'notification',
+  });
+
+  // Assert
+  assert.deepEqual(result.map((record) => record.id), [
+    'notification_a',
+    'notification_b',
+  ]);
+});
+
+test('should only find all records with the type key of a subclass', async function(assert) {
+  assert.expect(1);
+
+  // Arrange
+  const adapter = this.subject({ firebase: this.ref, store: this.store });
+
+  // Act
+  const result = await adapter.findAll(this.store, {
+    modelName: 'like-notification',
+  });
+
+  // Assert
+  assert.deepEqual(result.map((record) => record.id), [ 'notification_b' ]);
+});
+
+test('should only query records with the type key of a subclass', async function(assert) {
+  assert.expect(1);
+
+  // Arrange
+  const adapter = this.subject({ firebase: this.ref, store: this.store });
+
+  // Act
+  const result = await adapter.query(this.store, {
+    modelName: 'comment-notification',
+  }, {}, this.recordArray);
+
+  // Assert
+  assert.deepEqual(result.map((record) => record.id), [ 'notification_a' ]);
+});
+
+moduleFor('adapter:firebase-flex', 'Unit | Adapter | firebase flex | soft delete', {
+  needs: [ 'service:firebase', 'service:firebase-app' ],
+
+  beforeEach() {
+    const fixtureData = getFixtureData();
+
+    fixtureData.blogPosts.post_b.deletedAt = 1483228800000;
+    fixtureData.blogPosts.post_b.deletedBy = 'user_a';
+    fixtureData.trash = {
+      blogPosts: {
+        post_c: {
+          message: 'Post C',
+          timestamp: 1483228800000,
+          author: 'user_a',
+          deletedAt: 1483228800000,
+          deletedBy: 'user_a',
+        },
+      },
+    };
+
+    stubFirebase();
+    this.transactionStub = stubTransaction();
+    this.ref = createOfflineRef(fixtureData);
+    this.firebaseApp = {
+      auth: () => ({ currentUser: { uid: 'user_a' } }),
+    };
+    this.store = {
+      normalize() {},
+      peekAll: () => EmberObject.create({ content: new A() }),
+      peekRecord() {},
+      push() {},
+    };
+    this.versionedStore = {
+      modelFor: (modelName) => ({ modelName: modelName, versioned: true }),
+      peekRecord() {},
+      serializerFor: () => EmberObject.create({ versionName: '_version' }),
+    };
+    this.recordArray = EmberObject.create({
+      content: new A(),
+      firebase: {
+        next() {},
+        off() {},
+      },
+      query: {},
+      update() {},
+    });
+  },
+
+  afterEach() {
+    this.transactionStub.restore();
+    unStubFirebase();
+    destroyFirebaseApps();
+  },
+});
+
+test('should mark the record as deleted when soft deleting a record', async function(assert) {
+  assert.expect(1);
+
+  // Arrange
+  const spy = sinon.spy(this.ref, 'update');
+  const adapter = this.subject({
+    firebase: this.ref,
+    firebaseApp: this.firebaseApp,
+  });
+
+  // Act
+  await adapter.deleteRecord({}, { modelName: 'blog-post' }, {
+    id: 'post_a',
+    adapterOptions: {
+      softDelete: true,
+      include: { 'users/user_a/blogPosts/post_a': null },
+    },
+  });
+
+  // Assert
+  assert.ok(spy.calledWith({
+    'blogPosts/post_a/deletedAt': firebase.database.ServerValue.TIMESTAMP,
+    'blogPosts/post_a/deletedBy': 'user_a',
+    'users/user_a/blogPosts/post_a': null,
+  }));
+});
+
+test('should move the record to the trash path of its model when soft deleting a record', async function(assert) {
+  assert.expect(2);
+
+  // Arrange
+  const spy = sinon.spy(this.ref, 'update');
+  const adapter = this.subject({
+    firebase: this.ref,
+    firebaseApp: this.firebaseApp,
+  });
+
+  // Act
+  await adapter.deleteRecord({}, {
+    modelName: 'blog-post',
+    softDelete: { trashPath: 'trash/blogPosts' },
+  }, { id: 'post_a' });
+
+  // Assert
+  const snapshot = await this.ref.child('blogPosts/post_a').once('value');
+
+  assert.notOk(snapshot.exists());
+  assert.ok(spy.calledWith({
+    'blogPosts/post_a': null,
+    'trash/blogPosts/post_a': {
+      message: 'Post A',
+      timestamp: 1483228800000,
+      author: 'user_a',
+      deletedAt: firebase.database.ServerValue.TIMESTAMP,
+      deletedBy: 'user_a',
+    },
+  }));
+});
+
+test('should increment the version of a versioned record when soft deleting it', async function(assert) {
+  assert.expect(2);
+
+  // Arrange
+  const adapter = this.subject({
+    firebase: this.ref,
+    firebaseApp: this.firebaseApp,
+  });
+
+  await this.ref.child('blogPosts/post_a/_version').set(2);
+
+  // Act
+  await adapter.deleteRecord(this.versionedStore, {
+    modelName: 'blog-post',
+    softDelete: true,
+    versioned: true,
+  }, { id: 'post_a' });
+
+  // Assert
+  const snapshot = await this.ref.child('blogPosts/post_a').once('value');
+
+  assert.equal(snapshot.val()._version, 3);
+  assert.equal(snapshot.val().deletedBy, 'user_a');
+});
+
+test('should increment the version of a versioned record when moving it to the trash path', async function(assert) {
+  assert.expect(1);
+
+  // Arrange
+  const adapter = this.subject({
+    firebase: this.ref,
+    firebaseApp: this.firebaseApp,
+  });
+
+  await this.ref.child('blogPosts/post_a/_version').set(2);
+
+  // Act
+  await adapter.deleteRecord(this.versionedStore, {
+    modelName: 'blog-post',
+    softDelete: { trashPath: 'trash/blogPosts' },
+    versioned: true,
+  }, { id: 'post_a' });
+
+  // Assert
+  const snapshot = await this.ref.child(
+      'trash/blogPosts/post_a/_version').once('value');
+
+  assert.equal(snapshot.val(), 3);
+});
+
+test('should reject with a conflict error when a versioned record changes before moving it to the trash path', async function(assert) {
+  assert.expect(3);
+
+  // Arrange
+  const spy = sinon.spy(this.ref, 'update');
+  const adapter = this.subject({
+    firebase: this.ref,
+    firebaseApp: this.firebaseApp,
+    _once: sinon.stub().returns(RSVP.resolve({
+      val: () => ({ message: 'Post A', _version: 2 }),
+    })),
+  });
+
+  await this.ref.child('blogPosts/post_a/_version').set(3);
+
+  try {
+    // Act
+    await adapter.deleteRecord(this.versionedStore, {
+      modelName: 'blog-post',
+      softDelete: { trashPath: 'trash/blogPosts' },
+      versioned: true,
+    }, { id: 'post_a' });
+  } catch (error) {
+    // Assert
+    const snapshot = await this.ref.child('blogPosts/post_a').once('value');
+
+    assert.ok(error instanceof ConflictError);
+    assert.ok(spy.notCalled);
+    assert.equal(snapshot.val()._version, 3);
+  }
+});
+
+test('should put the version back when moving a versioned record to the trash path fails', async function(assert) {
+  assert.expect(2);
+
+  // Arrange
+  const stub = sinon.stub(this.ref, 'update');
+  const adapter = this.subject({
+    firebase: this.ref,
+    firebaseApp: this.firebaseApp,
+  });
+
+  stub.onFirstCall().callsFake((fanout, onComplete) => {
+    onComplete(new Error('PERMISSION_DENIED: Permission denied'));
+  });
+  stub.callThrough();
+  await this.ref.child('blogPosts/post_a/_version').set(2);
+
+  try {
+    // Act
+    await adapter.deleteRecord(this.versionedStore, {
+      modelName: 'blog-post',
+      softDelete: { trashPath: 'trash/blogPosts' },
+      versioned: true,
+    }, { id: 'post_a' });
+  } catch (error) {
+    // Assert
+    const snapshot = await this.ref.child('blogPosts/post_a').once('value');
+
+    assert.ok(error);
+    assert.equal(snapshot.val()._version, 2);
+  }
+});
+
+test('should exclude soft deleted records when finding all records', async function(assert) {
+  assert.expect(1);
+
+  // Arrange
+  const adapter = this.subject({ firebase: this.ref });
+
+  // Act
+  const result = await adapter.findAll(this.store, { modelName: 'blog-post' });
+
+  // Assert
+  assert.deepEqual(result.map((record) => record.id), [ 'post_a' ]);
+});
+
+test('should exclude soft deleted records when querying records', async function(assert) {
+  assert.expect(1);
+
+  // Arrange
+  const adapter = this.subject({ firebase: this.ref });
+
+  // Act
+  const result = await adapter.query(
+      this.store, { modelName: 'blog-post' }, {}, this.recordArray);
+
+  // Assert
+  assert.deepEqual(result.map((record) => record.id), [ 'post_a' ]);
+});
+
+test('should reject when finding a soft deleted record', function(assert) {
+  assert.expect(1);
+
+  // Arrange
+  const done = assert.async();
+  const adapter = this.subject({ firebase: this.ref });
+
+  // Act
+  run(() => {
+    adapter.findRecord(this.store, { modelName: 'blog-post' }, 'post_b').catch(
+        (error) => {
+          // Assert
+          assert.ok(error);
+          done();
+        });
+  });
+});
+
+test('should clear the deleted marks when restoring a record', async function(assert) {
+  assert.expect(1);
+
+  // Arrange
+  const spy = sinon.spy(this.ref, 'update');
+  const adapter = this.subject({ firebase: this.ref });
+
+  // Act
+  await adapter.restoreRecord('blog-post', 'post_b');
+
+  // Assert
+  assert.ok(spy.calledWith({
+    'blogPosts/post_b/deletedAt': null,
+    'blogPosts/post_b/deletedBy': null,
+  }));
+});
+
+test('should increment the version of a versioned record when restoring it', async function(assert) {
+  assert.expect(2);
+
+  // Arrange
+  const adapter = this.subject({
+    firebase: this.ref,
+    store: this.versionedStore,
+  });
+
+  // Act
+  await adapter.restoreRecord('blog-post', 'post_b');
+
+  // Assert
+  const snapshot = await this.ref.child('blogPosts/post_b').once('value');
+
+  assert.equal(snapshot.val()._version, 1);
+  assert.notOk(snapshot.val().hasOwnProperty('deletedAt'));
+});
+
+test('should move the record back from the trash path when restoring a record', async function(assert) {
+  assert.expect(2);
+
+  // Arrange
+  const spy = sinon.spy(this.ref, 'update');
+  const adapter = this.subject({ firebase: this.ref });
+
+  // Act
+  await adapter.restoreRecord('blog-post', 'post_c', {
+    softDelete: { trashPath: 'trash/blogPosts' },
+  });
+
+  // Assert
+  const snapshot = await this.ref.child('trash/blogPosts/post_c').once('value');
+
+  assert.notOk(snapshot.exists());
+  assert.ok(spy.calledWith({
+    'trash/blogPosts/post_c': null,
+    'blogPosts/post_c': {
+      message: 'Post C',
+      timestamp: 1483228800000,
+      author: 'user_a',
+    },
+  }));
+});
+
+test('should reject with a not found error when there is nothing in the trash path to restore', async function(assert) {
+  assert.expect(2);
+
+  // Arrange
+  const spy = sinon.spy(this.ref, 'update');
+  const adapter = this.subject({ firebase: this.ref });
+
+  try {
+    // Act
+    await adapter.restoreRecord('blog-post', 'post_a', {
+      softDelete: { trashPath: 'trash/blogPosts' },
+    });
+  } catch (error) {
+    // Assert
+    assert.ok(error instanceof NotFoundError);
+    assert.ok(spy.notCalled);
+  }
+});
+
+test('should leave the record in the trash path when restoring it fails', async function(assert) {
+  assert.expect(2);
+
+  // Arrange
+  const stub = sinon.stub(this.ref, 'update');
+  const adapter = this.subject({ firebase: this.ref });
+
+  stub.onFirstCall().callsFake((fanout, onComplete) => {
+    onComplete(new Error('Network error'));
+  });
+  stub.callThrough();
+
+  try {
+    // Act
+    await adapter.restoreRecord('blog-post', 'post_c', {
+      softDelete: { trashPath: 'trash/blogPosts' },
+    });
+  } catch (error) {
+    // Assert
+    const snapshot = await this.ref.child('trash/blogPosts/post_c').once(
+        'value');
+
+    assert.ok(error);
+    assert.deepEqual(snapshot.val(), {
+      message: 'Post C',
+      timestamp: 1483228800000,
+      author: 'user_a',
+      deletedAt: 1483228800000,
+      deletedBy: 'user_a',
+    });
+  }
+});
+
+test('should permanently delete a soft deleted record when purging it', async function(assert) {
+  assert.expect(1);
+
+  // Arrange
+  const spy = sinon.spy(this.ref, 'update');
+  const adapter = this.subject({ firebase: this.ref });
+
+  // Act
+  await adapter.purge('blog-post', 'post_c', {
+    softDelete: { trashPath: 'trash/blogPosts' },
+  });
+
+  // Assert
+  assert.ok(spy.calledWith({ 'trash/blogPosts/post_c': null }));
+});
+
+moduleFor('adapter:firebase-flex', 'Unit | Adapter | firebase flex | audit', {
+  needs: [ 'service:firebase', 'service:firebase-app' ],
+
+  beforeEach() {
+    stubFirebase();
+    this.ref = createOfflineRef(getFixtureData());
+    this.firebaseApp = {
+      auth: () => ({ currentUser: { uid: 'user_a' } }),
+    };
+    this.store = {
+      normalize() {},
+      peekAll: () => EmberObject.create({ content: new A() }),
+      push() {},
+      serializerFor: () => ({ hasSerializeRecordsOption: () => false }),
+    };
+    this.type = { modelName: 'blog-post', audit: true };
+    this.snapshot = {
+      id: 'post_a',
+      attrs: { message: 'Post A', author: 'user_a' },
+      changedAttributes: () => ({ message: [ 'Post', 'Post A' ] }),
+      eachAttribute(callback) {
+        Object.keys(this.attrs).forEach((key) => callback(key, {}));
+      },
+      eachRelationship() {},
+      attr(key) {
+        return this.attrs[key];
+      },
+    };
+  },
+
+  afterEach() {
+    unStubFirebase();
+    destroyFirebaseApps();
+  },
+});
+
+test('should append a history entry along with the record when updating a record', async function(assert) {
+  assert.expect(1);
+
+  // Arrange
+  const spy = sinon.spy(this.ref, 'update');
+  const adapter = this.subject({
+    firebase: this.ref,
+    firebaseApp: this.firebaseApp,
+    generateIdForRecord: () => 'entry_a',
+    serialize: sinon.stub().returns({ 'blogPosts/post_a/message': 'Post A' }),
+  });
+
+  // Act
+  await adapter.updateRecord(this.store, this.type, this.snapshot);
+
+  // Assert
+  assert.ok(spy.calledWith({
+    'blogPosts/post_a/message': 'Post A',
+    'history/blog-post/post_a/entry_a': {
+      event: 'update',
+      changes: { message: { oldValue: 'Post', newValue: 'Post A' } },
+      uid: 'user_a',
+      timestamp: firebase.database.ServerValue.TIMESTAMP,
+    },
+  }));
+});
+
+test('should append a history entry along with the record when deleting a record', async function(assert) {
+  assert.expect(1);
+
+  // Arrange
+  const spy = sinon.spy(this.ref, 'update');
+  const adapter = this.subject({
+    firebase: this.ref,
+    firebaseApp: this.firebaseApp,
+    generateIdForRecord: () => 'entry_a',
+  });
+
+  // Act
+  await adapter.deleteRecord(this.store, this.type, this.snapshot);
+
+  // Assert
+  assert.ok(spy.calledWith({
+    'blogPosts/post_a': null,
+    'history/blog-post/post_a/entry_a': {
+      event: 'delete',
+      changes: {
+        message: { oldValue: 'Post A', newValue: null },
+        author: { oldValue: 'user_a', newValue: null },
+      },
+      uid: 'user_a',
+      timestamp: firebase.database.ServerValue.TIMESTAMP,
+    },
+  }));
+});
+
+test('should keep the timestamps of a history entry in milliseconds', async function(assert) {
+  assert.expect(1);
+
+  // Arrange
+  const spy = sinon.spy(this.ref, 'update');
+  const adapter = this.subject({
+    firebase: this.ref,
+    firebaseApp: this.firebaseApp,
+    generateIdForRecord: () => 'entry_a',
+    serialize: sinon.stub().returns({
+      'blogPosts/post_a/timestamp': firebase.database.ServerValue.TIMESTAMP,
+    }),
+  });
+
+  this.snapshot.attrs.timestamp = new Date(1483228900000);
+  this.snapshot.changedAttributes = () => ({
+    timestamp: [ new Date(1483228800000), new Date(1483228900000) ],
+  });
+  this.snapshot.eachAttribute = function(callback) {
+    Object.keys(this.attrs).forEach((key) => {
+      callback(key, key === 'timestamp' ? { type: 'timestamp' } : {});
+    });
+  };
+
+  // Act
+  await adapter.updateRecord(this.store, this.type, this.snapshot);
+
+  // Assert
+  assert.deepEqual(spy.firstCall.args[0][
+      'history/blog-post/post_a/entry_a'].changes, {
+    timestamp: { oldValue: 1483228800000, newValue: 1483228900000 },
+  });
+});
+
+test('should not append a history entry when audit is disabled in the adapter options', async function(assert) {
+  assert.expect(1);
+
+  // Arrange
+  const spy = sinon.spy(this.ref, 'update');
+  const adapter = this.subject({
+    firebase: this.ref,
+    serialize: sinon.stub().returns({ 'blogPosts/post_a/message': 'Post A' }),
+  });
+
+  this.snapshot.adapterOptions = { audit: false };
+
+  // Act
+  await adapter.updateRecord(this.store, this.type, this.snapshot);
+
+  // Assert
+  assert.ok(spy.calledWith({ 'blogPosts/post_a/message': 'Post A' }));
+});
+
+moduleFor('adapter:firebase-flex', 'Unit | Adapter | firebase flex | revertRecord', {
+  needs: [ 'service:firebase', 'service:firebase-app' ],
+
+  beforeEach() {
+    const fixtureData = getFixtureData();
+
+    fixtureData.history = {
+      'blog-post': {
+        post_a: {
+          entry_a: {
+            event: 'create',
+            changes: { message: { newValue: 'Post' } },
+          },
+          entry_b: {
+            event: 'update',
+            changes: { message: { oldValue: 'Post', newValue: 'Post A' } },
+          },
+          entry_c: {
+            event: 'update',
+            changes: {
+              message: { oldValue: 'Post A', newValue: 'Post B' },
+              author: { oldValue: 'user_b', newValue: 'user_a' },
+            },
+          },
+        },
+      },
+    };
+
+    stubFirebase();
+    this.transactionStub = stubTransaction();
+    this.ref = createOfflineRef(fixtureData);
+    this.firebaseApp = {
+      auth: () => ({ currentUser: { uid: 'user_a' } }),
+    };
+
+    const attrs = { id: 'post_a', message: 'Post B', author: 'user_a' };
+
+    this.record = {
+      constructor: { modelName: 'blog-post' },
+      get: (key) => attrs[key],
+      eachAttribute(callback) {
+        [ 'message', 'author' ].forEach((key) => callback(key, {}));
+      },
+      eachRelationship() {},
+    };
+    this.store = {
+      normalize: (modelName, payload) => ({ modelName, payload }),
+      push: sinon.spy(),
+    };
+  },
+
+  afterEach() {
+    this.transactionStub.restore();
+    unStubFirebase();
+    destroyFirebaseApps();
+  },
+});
+
+test('should undo the changes of a history entry and the entries after it', async function(assert) {
+  assert.expect(2);
+
+  // Arrange
+  const spy = sinon.spy(this.ref, 'update');
+  const adapter = this.subject({
+    firebase: this.ref,
+    firebaseApp: this.firebaseApp,
+    generateIdForRecord: () => 'entry_d',
+  });
+
+  // Act
+  const result = await adapter.revertRecord(
+      this.store, this.record, 'entry_b');
+
+  // Assert
+  assert.equal(result, this.record);
+  assert.ok(spy.calledWith({
+    'blogPosts/post_a/message': 'Post',
+    'blogPosts/post_a/author': 'user_b',
+    'history/blog-post/post_a/entry_d': {
+      event: 'revert',
+      changes: {
+        message: { oldValue: 'Post B', newValue: 'Post' },
+        author: { oldValue: 'user_a', newValue: 'user_b' },
+      },
+      uid: 'user_a',
+      timestamp: firebase.database.ServerValue.TIMESTAMP,
+      revertedEntryId: 'entry_b',
+    },
+  }));
+});
+
+test('should push the reverted record to the store', async function(assert) {
+  assert.expect(1);
+
+  // Arrange
+  const adapter = this.subject({
+    firebase: this.ref,
+    firebaseApp: this.firebaseApp,
+    generateIdForRecord: () => 'entry_d',
+  });
+
+  // Act
+  await adapter.revertRecord(this.store, this.record, 'entry_b');
+
+  // Assert
+  assert.ok(this.store.push.calledWith(sinon.match({
+    modelName: 'blog-post',
+    payload: sinon.match({
+      id: 'post_a',
+      message: 'Post',
+      author: 'user_b',
+      timestamp: 1483228800000,
+    }),
+  })));
+});
+
+test('should increment the version of a versioned record when reverting it', async function(assert) {
+  assert.expect(2);
+
+  // Arrange
+  const adapter = this.subject({
+    firebase: this.ref,
+    firebaseApp: this.firebaseApp,
+    generateIdForRecord: () => 'entry_d',
+  });
+
+  this.record.constructor.versioned = true;
+  this.store.serializerFor = () => EmberObject.create({
+    versionName: '_version',
+  });
+
+  // Act
+  await adapter.revertRecord(this.store, this.record, 'entry_b');
+
+  // Assert
+  const snapshot = await this.ref.child('blogPosts/post_a').once('value');
+
+  assert.equal(snapshot.val()._version, 1);
+  assert.equal(snapshot.val().message, 'Post');
+});
+
+test('should write back the stored timestamps when reverting a record', async function(assert) {
+  assert.expect(2);
+
+  // Arrange
+  const spy = sinon.spy(this.ref, 'update');
+  const adapter = this.subject({
+    firebase: this.ref,
+    firebaseApp: this.firebaseApp,
+    generateIdForRecord: () => 'entry_e',
+  });
+  const attrs = { id: 'post_a', timestamp: new Date(1483228900000) };
+  const record = {
+    constructor: { modelName: 'blog-post' },
+    get: (key) => attrs[key],
+    eachAttribute(callback) {
+      callback('timestamp', { type: 'timestamp' });
+    },
+    eachRelationship() {},
+  };
+
+  await this.ref.child('history/blog-post/post_a/entry_d').set({
+    event: 'update',
+    changes: {
+      timestamp: { oldValue: 1483228800000, newValue: 1483228900000 },
+    },
+  });
+
+  // Act
+  await adapter.revertRecord(this.store, record, 'entry_d');
+
+  // Assert
+  const snapshot = await this.ref.child(
+      'blogPosts/post_a/timestamp').once('value');
+
+  assert.equal(snapshot.val(), 1483228800000);
+  assert.deepEqual(spy.firstCall.args[0][
+      'history/blog-post/post_a/entry_e'].changes, {
+    timestamp: { oldValue: 1483228900000, newValue: 1483228800000 },
+  });
+});
+
+test('should reject when reverting a history entry that does not exist', async function(assert) {
+  assert.expect(1);
+
+  // Arrange
+  const adapter = this.subject({ firebase: this.ref });
+
+  try {
+    // Act
+    await adapter.revertRecord(this.store, this.record, 'entry_x');
+  } catch (error) {
+    // Assert
+    assert.ok(error);
+  }
+});
+
+moduleFor('adapter:firebase-flex', 'Unit | Adapter | firebase flex | versioned save', {
+  needs: [ 'service:firebase', 'service:firebase-app' ],
+
+  beforeEach() {
+    this.store = {
+      normalize() {},
+      peekAll: () => EmberObject.create({ content: new A() }),
+      push() {},
+      serializerFor: () => EmberObject.create({
+        versionName: '_version',
+        getPreviousVersion: () => 2,
+      }),
+    };
+    this.type = { modelName: 'blog-post', versioned: true };
+  },
+});
+
+test('should increment the version when it has not changed since the record was loaded', async function(assert) {
+  assert.expect(1);
+
+  // Arrange
+  let result;
+  const adapter = this.subject({
+    firebase: {
+      child: sinon.stub().returns({
+        transaction(onUpdate, onComplete) {
+          result = onUpdate({ message: 'Post A', _version: 2 });
+          onComplete(null, true, { exists: () => true });
+        },
+      }),
+    },
+    serialize: sinon.stub().returns({
+      'blogPosts/post_a/message': 'Message',
+    }),
+    _getGetSnapshotWithId: sinon.stub().returns({ id: 'post_a' }),
+    _setupValueListener() {},
+  });
+
+  // Act
+  await adapter.updateRecord(this.store, this.type, { id: 'post_a' });
+
+  // Assert
+  assert.deepEqual(result, { message: 'Message', _version: 3 });
+});
+
+test('should still increment the version of an update that skips the check', async function(assert) {
+  assert.expect(1);
+
+  // Arrange
+  let result;
+  const adapter = this.subject({
+    firebase: {
+      child: sinon.stub().returns({
+        transaction(onUpdate, onComplete) {
+          result = onUpdate({ message: 'Post A', _version: 5 });
+          onComplete(null, true);
+        },
+      }),
+    },
+    serialize: sinon.stub().returns({
+      'blogPosts/post_a/message': 'Message',
+    }),
+    _setupValueListener() {},
+  });
+
+  // Act
+  await adapter.updateRecord(this.store, this.type, {
+    id: 'post_a',
+    adapterOptions: { versioned: false },
+  });
+
+  // Assert
+  assert.deepEqual(result, { message: 'Message', _version: 6 });
+});
+
+test('should reject with a conflict error holding the server copy when the version has changed', async function(assert) {
+  assert.expect(3);
+
+  // Arrange
+  let result;
+  const serverCopy = { id: 'post_a', message: 'Post B', _version: 3 };
+  const adapter = this.subject({
+    firebase: {
+      child: sinon.stub().returns({
+        transaction(onUpdate, onComplete) {
+          result = onUpdate({ message: 'Post B', _version: 3 });
+          onComplete(null, false, { exists: () => true });
+        },
+      }),
+    },
+    serialize: sinon.stub().returns({
+      'blogPosts/post_a/message': 'Message',
+    }),
+    _getGetSnapshotWithId: sinon.stub().returns(serverCopy),
+  });
+
+  // Act
+  try {
+    await adapter.updateRecord(this.store, this.type, { id: 'post_a' });
+  } catch (error) {
+    // Assert
+    assert.equal(result, undefined);
+    assert.ok(error instanceof ConflictError);
+    assert.deepEqual(error.serverCopy, serverCopy);
+  }
 });
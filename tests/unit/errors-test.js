@@ -0,0 +1,203 @@
+import { module, test } from 'qunit';
+
+import {
+  AdapterError,
+  InvalidError,
+  TimeoutError,
+  errorsArrayToHash,
+} from 'ember-data/adapters/errors';
+
+import {
+  ConflictError,
+  ForbiddenError,
+  NotFoundError,
+  TransactionAbortedError,
+  UnauthorizedError,
+  createInvalidError,
+  createNotFoundError,
+  getInvalidPath,
+  toAdapterError,
+} from 'emberfire-utils/errors';
+
+/**
+ * @param {string} code
+ * @return {Error} Error like the ones Firebase rejects with
+ */
+function createFirebaseError(code) {
+  const error = new Error(`${code}: Something went wrong`);
+
+  error.code = code;
+
+  return error;
+}
+
+module('Unit | Errors');
+
+test('should map permission errors to forbidden errors', function(assert) {
+  assert.expect(3);
+
+  // Act
+  const results = [
+    'PERMISSION_DENIED',
+    'permission-denied',
+    'storage/unauthorized',
+  ].map((code) => toAdapterError(createFirebaseError(code)));
+
+  // Assert
+  results.forEach((result) => assert.ok(result instanceof ForbiddenError));
+});
+
+test('should map authentication errors to unauthorized errors', function(assert) {
+  assert.expect(2);
+
+  // Act
+  const results = [
+    'unauthenticated',
+    'storage/unauthenticated',
+  ].map((code) => toAdapterError(createFirebaseError(code)));
+
+  // Assert
+  results.forEach((result) => assert.ok(result instanceof UnauthorizedError));
+});
+
+test('should map network errors to timeout errors', function(assert) {
+  assert.expect(3);
+
+  // Act
+  const results = [
+    'NETWORK_ERROR',
+    'deadline-exceeded',
+    'storage/retry-limit-exceeded',
+  ].map((code) => toAdapterError(createFirebaseError(code)));
+
+  // Assert
+  results.forEach((result) => assert.ok(result instanceof TimeoutError));
+});
+
+test('should keep the path and code of the firebase error', function(assert) {
+  assert.expect(3);
+
+  // Act
+  const result = toAdapterError(
+      createFirebaseError('storage/object-not-found'), 'images/foo.jpg');
+
+  // Assert
+  assert.ok(result instanceof NotFoundError);
+  assert.equal(result.path, 'images/foo.jpg');
+  assert.equal(result.code, 'storage/object-not-found');
+});
+
+test('should map errors without a known code to adapter errors', function(assert) {
+  assert.expect(2);
+
+  // Act
+  const result = toAdapterError('Something went wrong');
+
+  // Assert
+  assert.ok(result instanceof AdapterError);
+  assert.equal(result.message, 'Something went wrong');
+});
+
+test('should create error classes that are adapter errors with a default message', function(assert) {
+  assert.expect(6);
+
+  // Act
+  const abortedError = new TransactionAbortedError();
+  const conflictError = new ConflictError();
+
+  // Assert
+  assert.ok(abortedError instanceof AdapterError);
+  assert.ok(abortedError.isAdapterError);
+  assert.equal(abortedError.message, 'The transaction was aborted');
+  assert.ok(conflictError instanceof AdapterError);
+  assert.equal(
+      conflictError.message, 'The record has changed since it was loaded');
+  assert.deepEqual(conflictError.errors, [{
+    title: 'Adapter Error',
+    detail: 'The record has changed since it was loaded',
+  }]);
+});
+
+test('should leave adapter errors as is', function(assert) {
+  assert.expect(1);
+
+  // Arrange
+  const error = new TransactionAbortedError();
+
+  // Act
+  const result = toAdapterError(error);
+
+  // Assert
+  assert.equal(result, error);
+});
+
+test('should create not found errors holding the path', function(assert) {
+  assert.expect(2);
+
+  // Act
+  const result = createNotFoundError('blogPosts/post_a');
+
+  // Assert
+  assert.ok(result instanceof NotFoundError);
+  assert.equal(result.path, 'blogPosts/post_a');
+});
+
+test('should create invalid errors pointing to the attribute of the path', function(assert) {
+  assert.expect(3);
+
+  // Act
+  const result = createInvalidError(
+      new Error('Invalid value'), '/blogPosts/post_a/body/text',
+      'blogPosts/post_a');
+
+  // Assert
+  assert.ok(result instanceof InvalidError);
+  assert.equal(result.path, '/blogPosts/post_a/body/text');
+  assert.deepEqual(result.errors, [{
+    title: 'Invalid',
+    detail: 'Invalid value',
+    source: { pointer: '/data/attributes/body' },
+  }]);
+});
+
+test('should create invalid errors pointing to the record when the path is outside of it', function(assert) {
+  assert.expect(1);
+
+  // Act
+  const result = createInvalidError(
+      new Error('Invalid value'), 'users/user_a/blogPosts/post_a',
+      'blogPosts/post_a');
+
+  // Assert
+  assert.deepEqual(result.errors[0].source, { pointer: '/data' });
+});
+
+test('should put invalid errors in the record errors through the serializer', function(assert) {
+  assert.expect(1);
+
+  // Arrange
+  const error = createInvalidError(
+      new Error('Invalid value'), 'blogPosts/post_a/message',
+      'blogPosts/post_a');
+
+  // Act
+  const result = errorsArrayToHash(error.errors);
+
+  // Assert
+  assert.deepEqual(result, { message: [ 'Invalid value' ] });
+});
+
+test('should find the first path of a fanout that Firebase can\'t store', function(assert) {
+  assert.expect(2);
+
+  // Act
+  const invalidValueResult = getInvalidPath({
+    'blogPosts/post_a/title': 'Title',
+    'blogPosts/post_a/body': { text: undefined },
+  });
+  const invalidKeyResult = getInvalidPath({ 'blogPosts/post.a': true });
+
+  // Assert
+  assert.equal(invalidValueResult, 'blogPosts/post_a/body');
+  assert.equal(invalidKeyResult, 'blogPosts/post.a');
+});
@@ -0,0 +1,81 @@
+import { module, test } from 'qunit';
+import EmberObject from 'ember-object';
+import RSVP from 'rsvp';
+
+import sinon from 'sinon';
+
+import FirebaseFlexStoreMixin from 'emberfire-utils/mixins/firebase-flex-store';
+
+module('Unit | Mixin | firebase flex store', {
+  beforeEach() {
+    this.post = EmberObject.create({ id: 'post_a' });
+    this.proxy = EmberObject.create({ content: this.post });
+    this.adapter = {
+      peekQueryRecord: (cacheId) => {
+        return cacheId === 'latest_post' ? this.proxy : undefined;
+      },
+    };
+
+    const Store = EmberObject.extend({
+      adapterFor: () => this.adapter,
+      queryRecord: () => RSVP.resolve(this.post),
+    });
+
+    this.store = Store.extend(FirebaseFlexStoreMixin).create();
+  },
+});
+
+test('should resolve a cacheId query record with its proxy', async function(assert) {
+  assert.expect(1);
+
+  // Act
+  const result = await this.store.queryRecord('blog-post', {
+    cacheId: 'latest_post',
+    limitToLast: 1,
+  });
+
+  // Assert
+  assert.equal(result, this.proxy);
+});
+
+test('should resolve with the record when there is no proxy', async function(assert) {
+  assert.expect(1);
+
+  // Act
+  const result = await this.store.queryRecord('blog-post', {
+    cacheId: 'fastboot_post',
+    limitToLast: 1,
+  });
+
+  // Assert
+  assert.equal(result, this.post);
+});
+
+test('should resolve a query record without cacheId with the record', async function(assert) {
+  assert.expect(1);
+
+  // Act
+  const result = await this.store.queryRecord('blog-post', {
+    limitToLast: 1,
+  });
+
+  // Assert
+  assert.equal(result, this.post);
+});
+
+test('should revert a record through its adapter', async function(assert) {
+  assert.expect(2);
+
+  // Arrange
+  const record = { constructor: { modelName: 'blog-post' } };
+
+  this.adapter.revertRecord = sinon.stub().returns(RSVP.resolve(record));
+
+  // Act
+  const result = await this.store.revertRecord(record, 'entry_a');
+
+  // Assert
+  assert.equal(result, record);
+  assert.ok(this.adapter.revertRecord.calledWithExactly(
+      this.store, record, 'entry_a'));
+});
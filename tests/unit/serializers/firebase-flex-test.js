@@ -1,9 +1,19 @@
 import { moduleForModel, test } from 'ember-qunit';
+import run from 'ember-runloop';
 
 import firebase from 'firebase';
+import sinon from 'sinon';
+
+import { copyOf, increment, serverTimestamp } from 'emberfire-utils/utils/include-value';
+import FirebaseFlexAdapter from 'emberfire-utils/adapters/firebase-flex';
 
 moduleForModel('blog-post', 'Unit | Serializer | firebase flex', {
-  needs: [ 'model:user', 'serializer:application', 'transform:timestamp' ],
+  needs: [
+    'model:user',
+    'serializer:application',
+    'service:firebase-app',
+    'transform:timestamp',
+  ],
 });
 
 test('should serialize record to Firebase fanout', function(assert) {
@@ -48,3 +58,620 @@ test('should remove inner reference path from fanout', function(assert) {
     'blogPosts/post_a/timestamp': firebase.database.ServerValue.TIMESTAMP,
   });
 });
+
+test('should serialize belongsTo of a new record to Firebase fanout', function(assert) {
+  assert.expect(1);
+
+  // Arrange
+  const store = this.store();
+  const post = run(() => {
+    const user = store.createRecord('user', { id: 'user_a' });
+
+    return this.subject({ id: 'post_a', message: 'Post', author: user });
+  });
+
+  // Act
+  const serializedRecord = post.serialize();
+
+  // Assert
+  assert.deepEqual(serializedRecord, {
+    'blogPosts/post_a/message': 'Post',
+    'blogPosts/post_a/author': 'user_a',
+  });
+});
+
+test('should not serialize belongsTo that has not changed since the last push', function(assert) {
+  assert.expect(1);
+
+  // Arrange
+  const store = this.store();
+  const post = run(() => {
+    store.push(store.normalize('blog-post', {
+      id: 'post_a',
+      message: 'Post',
+      author: 'user_a',
+    }));
+
+    return store.peekRecord('blog-post', 'post_a');
+  });
+
+  run(() => post.set('message', 'Foo'));
+
+  // Act
+  const serializedRecord = post.serialize();
+
+  // Assert
+  assert.deepEqual(serializedRecord, { 'blogPosts/post_a/message': 'Foo' });
+});
+
+test('should serialize belongsTo that has changed since the last push', function(assert) {
+  assert.expect(1);
+
+  // Arrange
+  const store = this.store();
+  const post = run(() => {
+    store.push(store.normalize('blog-post', {
+      id: 'post_a',
+      message: 'Post',
+      author: 'user_a',
+    }));
+
+    const post = store.peekRecord('blog-post', 'post_a');
+
+    post.set('author', store.createRecord('user', { id: 'user_b' }));
+
+    return post;
+  });
+
+  // Act
+  const serializedRecord = post.serialize();
+
+  // Assert
+  assert.deepEqual(serializedRecord, { 'blogPosts/post_a/author': 'user_b' });
+});
+
+test('should serialize removed belongsTo as null', function(assert) {
+  assert.expect(1);
+
+  // Arrange
+  const store = this.store();
+  const post = run(() => {
+    store.push(store.normalize('blog-post', {
+      id: 'post_a',
+      message: 'Post',
+      author: 'user_a',
+    }));
+
+    const post = store.peekRecord('blog-post', 'post_a');
+
+    post.set('author', null);
+
+    return post;
+  });
+
+  // Act
+  const serializedRecord = post.serialize();
+
+  // Assert
+  assert.deepEqual(serializedRecord, { 'blogPosts/post_a/author': null });
+});
+
+test('should remember the version of a record as of its last push', function(assert) {
+  assert.expect(1);
+
+  // Arrange
+  const store = this.store();
+  const post = run(() => {
+    store.push(store.normalize('blog-post', {
+      id: 'post_a',
+      message: 'Post',
+      _version: 3,
+    }));
+
+    return store.peekRecord('blog-post', 'post_a');
+  });
+
+  // Act
+  const result = store.serializerFor('blog-post').getPreviousVersion(
+      post._createSnapshot());
+
+  // Assert
+  assert.equal(result, 3);
+});
+
+test('should forget what it cached about a record', function(assert) {
+  assert.expect(2);
+
+  // Arrange
+  const store = this.store();
+  const post = run(() => {
+    store.push(store.normalize('blog-post', {
+      id: 'post_a',
+      message: 'Post',
+      author: 'user_a',
+      _version: 3,
+    }));
+
+    return store.peekRecord('blog-post', 'post_a');
+  });
+  const serializer = store.serializerFor('blog-post');
+
+  // Act
+  serializer.forgetRecord('blog-post', 'post_a');
+
+  // Assert
+  assert.equal(serializer.getPreviousVersion(post._createSnapshot()),
+      undefined);
+  assert.equal(serializer.getPreviousRelationships(post._createSnapshot()),
+      undefined);
+});
+
+moduleForModel('comment', 'Unit | Serializer | firebase flex | origin path', {
+  needs: [
+    'adapter:application',
+    'model:blog-post',
+    'model:user',
+    'serializer:application',
+    'service:firebase',
+    'service:firebase-app',
+    'transform:timestamp',
+  ],
+});
+
+test('should serialize record to where it was loaded from', function(assert) {
+  assert.expect(1);
+
+  // Arrange
+  const store = this.store();
+  const comment = run(() => {
+    store.push(store.normalize('comment', {
+      id: 'comment_a',
+      message: 'Comment',
+      innerReferencePath: 'post_a',
+      _originPath: 'postComments/post_a',
+    }));
+
+    const record = store.peekRecord('comment', 'comment_a');
+
+    record.set('message', 'Foo');
+
+    return record;
+  });
+
+  // Act
+  const serializedRecord = comment.serialize({
+    innerReferencePathName: 'innerReferencePath',
+  });
+
+  // Assert
+  assert.deepEqual(serializedRecord, {
+    'postComments/post_a/comment_a/message': 'Foo',
+  });
+});
+
+moduleForModel('note', 'Unit | Serializer | firebase flex | timestamps', {
+  needs: [
+    'serializer:application',
+    'service:firebase-app',
+    'transform:timestamp',
+  ],
+});
+
+test('should stamp created and updated timestamps on first save', function(assert) {
+  assert.expect(1);
+
+  // Arrange
+  const note = this.subject({ id: 'note_a', message: 'Note' });
+
+  // Act
+  const serializedRecord = note.serialize();
+
+  // Assert
+  assert.deepEqual(serializedRecord, {
+    'notes/note_a/message': 'Note',
+    'notes/note_a/createdAt': firebase.database.ServerValue.TIMESTAMP,
+    'notes/note_a/updatedAt': firebase.database.ServerValue.TIMESTAMP,
+  });
+});
+
+test('should only stamp updated timestamp on later saves', function(assert) {
+  assert.expect(1);
+
+  // Arrange
+  const store = this.store();
+  const note = run(() => {
+    store.push(store.normalize('note', {
+      id: 'note_a',
+      message: 'Note',
+      createdAt: 1483228800000,
+      updatedAt: 1483228800000,
+    }));
+
+    const note = store.peekRecord('note', 'note_a');
+
+    note.setProperties({ message: 'Foo', createdAt: new Date() });
+
+    return note;
+  });
+
+  // Act
+  const serializedRecord = note.serialize();
+
+  // Assert
+  assert.deepEqual(serializedRecord, {
+    'notes/note_a/message': 'Foo',
+    'notes/note_a/updatedAt': firebase.database.ServerValue.TIMESTAMP,
+  });
+});
+
+test('should serialize changed timestamp in value mode as is', function(assert) {
+  assert.expect(1);
+
+  // Arrange
+  const store = this.store();
+  const note = run(() => {
+    store.push(store.normalize('note', { id: 'note_a', message: 'Note' }));
+
+    const note = store.peekRecord('note', 'note_a');
+
+    note.set('publishedAt', new Date('2017-01-01'));
+
+    return note;
+  });
+
+  // Act
+  const serializedRecord = note.serialize();
+
+  // Assert
+  assert.deepEqual(serializedRecord, {
+    'notes/note_a/updatedAt': firebase.database.ServerValue.TIMESTAMP,
+    'notes/note_a/publishedAt': 1483228800000,
+  });
+});
+
+moduleForModel('blog-post', 'Unit | Serializer | firebase flex | include', {
+  needs: [
+    'model:user',
+    'serializer:application',
+    'service:firebase-app',
+    'transform:timestamp',
+  ],
+
+  beforeEach() {
+    const store = this.store();
+
+    this.post = run(() => {
+      store.push(store.normalize('blog-post', {
+        id: 'post_a',
+        message: 'Post',
+        author: 'user_a',
+        innerReferencePath: 'user_a',
+      }));
+
+      return store.peekRecord('blog-post', 'post_a');
+    });
+    this.serializer = store.serializerFor('blog-post');
+  },
+});
+
+test('should resolve placeholders in include keys', function(assert) {
+  assert.expect(1);
+
+  // Arrange
+  const snapshot = this.post._createSnapshot();
+
+  snapshot.adapterOptions = {
+    include: {
+      'userFeeds/:author.id/:id': true,
+      'userPosts/:author/:id': true,
+      'drafts/:innerReferencePath/:id': null,
+    },
+  };
+
+  // Act
+  const serializedRecord = this.serializer.serialize(snapshot, {
+    innerReferencePathName: 'innerReferencePath',
+  });
+
+  // Assert
+  assert.deepEqual(serializedRecord, {
+    'userFeeds/user_a/post_a': true,
+    'userPosts/user_a/post_a': true,
+    'drafts/user_a/post_a': null,
+  });
+});
+
+test('should resolve signed in user in include keys', function(assert) {
+  assert.expect(1);
+
+  // Arrange
+  const snapshot = this.post._createSnapshot();
+
+  snapshot.adapterOptions = { include: { 'readers/:auth.uid/:id': true } };
+  this.serializer.set('firebaseApp', {
+    auth: () => ({ currentUser: { uid: 'user_b' } }),
+  });
+
+  // Act
+  const serializedRecord = this.serializer.serialize(snapshot);
+
+  // Assert
+  assert.deepEqual(serializedRecord, { 'readers/user_b/post_a': true });
+});
+
+test('should throw when an include key placeholder cannot be resolved', function(assert) {
+  assert.expect(1);
+
+  // Arrange
+  const snapshot = this.post._createSnapshot();
+
+  snapshot.adapterOptions = { include: { 'tags/:tag/:id': true } };
+
+  // Act & Assert
+  assert.throws(() => this.serializer.serialize(snapshot));
+});
+
+test('should resolve include values', function(assert) {
+  assert.expect(1);
+
+  // Arrange
+  const snapshot = this.post._createSnapshot();
+
+  snapshot.adapterOptions = {
+    include: {
+      'userFeeds/user_a/:id': {
+        message: copyOf('message'),
+        author: copyOf('author'),
+        timestamp: serverTimestamp(),
+      },
+    },
+  };
+
+  // Act
+  const serializedRecord = this.serializer.serialize(snapshot);
+
+  // Assert
+  assert.deepEqual(serializedRecord, {
+    'userFeeds/user_a/post_a': {
+      message: 'Post',
+      author: 'user_a',
+      timestamp: firebase.database.ServerValue.TIMESTAMP,
+    },
+  });
+});
+
+test('should resolve increment through the server value of the SDK', function(assert) {
+  assert.expect(2);
+
+  // Arrange
+  const ServerValue = firebase.database.ServerValue;
+  const originalIncrement = ServerValue.increment;
+  const stub = sinon.stub().returns({ '.sv': { increment: 2 } });
+  const snapshot = this.post._createSnapshot();
+
+  snapshot.adapterOptions = {
+    include: { 'counters/user_a/posts': increment(2) },
+  };
+  ServerValue.increment = stub;
+
+  // Act
+  let serializedRecord;
+
+  try {
+    serializedRecord = this.serializer.serialize(snapshot);
+  } finally {
+    ServerValue.increment = originalIncrement;
+  }
+
+  // Assert
+  assert.ok(stub.calledWithExactly(2));
+  assert.deepEqual(serializedRecord, {
+    'counters/user_a/posts': { '.sv': { increment: 2 } },
+  });
+});
+
+test('should throw on increment when the SDK has no server value for it', function(assert) {
+  assert.expect(1);
+
+  // Arrange
+  const ServerValue = firebase.database.ServerValue;
+  const originalIncrement = ServerValue.increment;
+  const snapshot = this.post._createSnapshot();
+
+  snapshot.adapterOptions = {
+    include: { 'counters/user_a/posts': increment(1) },
+  };
+  delete ServerValue.increment;
+
+  // Act & Assert
+  try {
+    assert.throws(
+        () => this.serializer.serialize(snapshot),
+        /increment\(\) requires a Firebase SDK/);
+  } finally {
+    if (originalIncrement) {
+      ServerValue.increment = originalIncrement;
+    }
+  }
+});
+
+moduleForModel('order', 'Unit | Serializer | firebase flex | embedded records', {
+  needs: [
+    'model:line-item',
+    'serializer:application',
+    'serializer:order',
+    'service:firebase-app',
+  ],
+
+  beforeEach() {
+    const store = this.store();
+
+    this.order = run(() => {
+      store.push(store.normalize('order', {
+        id: 'order_a',
+        total: 10,
+        lineItems: {
+          line_item_a: { name: 'Apple', quantity: 1 },
+        },
+      }));
+
+      return store.peekRecord('order', 'order_a');
+    });
+  },
+});
+
+test('should deserialize embedded records into models', function(assert) {
+  assert.expect(2);
+
+  // Act
+  const lineItem = this.store().peekRecord('line-item', 'line_item_a');
+
+  // Assert
+  assert.equal(lineItem.get('quantity'), 1);
+  assert.deepEqual(this.order.hasMany('lineItems').ids(), [ 'line_item_a' ]);
+});
+
+test('should only serialize the changed attributes of an embedded record', function(assert) {
+  assert.expect(1);
+
+  // Arrange
+  run(() => {
+    this.store().peekRecord('line-item', 'line_item_a').set('quantity', 2);
+  });
+
+  // Act
+  const serializedRecord = this.order.serialize();
+
+  // Assert
+  assert.deepEqual(serializedRecord, {
+    'orders/order_a/lineItems/line_item_a/quantity': 2,
+  });
+});
+
+test('should serialize added embedded records as a whole and removed ones as null', function(assert) {
+  assert.expect(1);
+
+  // Arrange
+  const store = this.store();
+
+  run(() => {
+    const lineItems = this.order.get('lineItems');
+
+    lineItems.removeObject(store.peekRecord('line-item', 'line_item_a'));
+    lineItems.pushObject(store.createRecord('line-item', {
+      id: 'line_item_b',
+      name: 'Banana',
+      quantity: 3,
+    }));
+  });
+
+  // Act
+  const serializedRecord = this.order.serialize();
+
+  // Assert
+  assert.deepEqual(serializedRecord, {
+    'orders/order_a/lineItems/line_item_b': { name: 'Banana', quantity: 3 },
+    'orders/order_a/lineItems/line_item_a': null,
+  });
+});
+
+test('should serialize the payload of an embedded record', function(assert) {
+  assert.expect(1);
+
+  // Arrange
+  const lineItem = this.store().peekRecord('line-item', 'line_item_a');
+
+  run(() => lineItem.setProperties({ name: null, quantity: 2 }));
+
+  // Act
+  const result = this.store().serializerFor('line-item')
+      .serializeEmbeddedPayload(lineItem._createSnapshot());
+
+  // Assert
+  assert.deepEqual(result, { id: 'line_item_a', name: null, quantity: 2 });
+});
+
+test('should push the embedded records back to the store once their parent is saved', function(assert) {
+  assert.expect(3);
+
+  // Arrange
+  const store = this.store();
+  const adapter = FirebaseFlexAdapter.create();
+  const lineItemA = store.peekRecord('line-item', 'line_item_a');
+  const lineItemB = run(() => {
+    return store.createRecord('line-item', {
+      id: 'line_item_b',
+      name: 'Banana',
+      quantity: 3,
+    });
+  });
+
+  run(() => {
+    lineItemA.set('quantity', 2);
+    this.order.get('lineItems').pushObject(lineItemB);
+  });
+
+  // Act
+  run(() => {
+    adapter._commitEmbeddedRecords(store, this.order._createSnapshot());
+  });
+
+  // Assert
+  assert.equal(lineItemA.get('quantity'), 2);
+  assert.notOk(lineItemA.get('hasDirtyAttributes'));
+  assert.notOk(lineItemB.get('hasDirtyAttributes'));
+});
+
+moduleForModel('notification', 'Unit | Serializer | firebase flex | polymorphic', {
+  needs: [
+    'model:comment-notification',
+    'model:like-notification',
+    'serializer:application',
+    'service:firebase-app',
+  ],
+});
+
+test('should normalize a record as the model of its type key', function(assert) {
+  assert.expect(2);
+
+  // Arrange
+  const store = this.store();
+
+  // Act
+  run(() => {
+    store.push(store.normalize('notification', {
+      id: 'notification_a',
+      type: 'comment-notification',
+      message: 'Notification A',
+      comment: 'Comment A',
+    }));
+  });
+
+  // Assert
+  const record = store.peekRecord('comment-notification', 'notification_a');
+
+  assert.equal(record.get('comment'), 'Comment A');
+  assert.equal(store.peekRecord('notification', 'notification_a'), null);
+});
+
+test('should serialize a new record under the shared node along with its type key', function(assert) {
+  assert.expect(1);
+
+  // Arrange
+  const store = this.store();
+  const record = run(() => {
+    return store.createRecord('like-notification', {
+      id: 'notification_b',
+      numberOfLikes: 2,
+    });
+  });
+
+  // Act
+  const serializedRecord = record.serialize();
+
+  // Assert
+  assert.deepEqual(serializedRecord, {
+    'notifications/notification_b/numberOfLikes': 2,
+    'notifications/notification_b/type': 'like-notification',
+  });
+});
@@ -0,0 +1,526 @@
+import { moduleFor, test } from 'ember-qunit';
+import { assign } from 'ember-platform';
+import { InvalidError } from 'ember-data/adapters/errors';
+import EmberObject from 'ember-object';
+import RSVP from 'rsvp';
+
+import createOfflineRef from 'dummy/tests/helpers/create-offline-ref';
+import destroyFirebaseApps from 'dummy/tests/helpers/destroy-firebase-apps';
+import sinon from 'sinon';
+import stubFirebase from 'dummy/tests/helpers/stub-firebase';
+import unStubFirebase from 'dummy/tests/helpers/unstub-firebase';
+
+import getFixtureData from 'dummy/tests/helpers/fixture-data';
+
+import FirebaseRetry from 'emberfire-utils/services/firebase-retry';
+
+/**
+ * @param {Array.<Object>} [entries=[]] Initial entries
+ * @return {Object} In-memory outbox storage
+ */
+function createMemoryStorage(entries = []) {
+  const storedEntries = {};
+
+  entries.forEach((entry) => storedEntries[entry.id] = entry);
+
+  return {
+    storedEntries: storedEntries,
+
+    getAll() {
+      return RSVP.resolve(Object.keys(storedEntries).sort().map((id) => {
+        return storedEntries[id];
+      }));
+    },
+
+    put(entry) {
+      storedEntries[entry.id] = entry;
+
+      return RSVP.resolve();
+    },
+
+    delete(id) {
+      delete storedEntries[id];
+
+      return RSVP.resolve();
+    },
+  };
+}
+
+/**
+ * @param {string} [uid] UID of the signed in user
+ * @return {Object} Firebase app that restores the user right away
+ */
+function createFirebaseApp(uid) {
+  const auth = {
+    currentUser: uid ? { uid: uid } : null,
+
+    onAuthStateChanged(callback) {
+      callback(auth.currentUser);
+
+      return () => {};
+    },
+  };
+
+  return { auth: () => auth };
+}
+
+moduleFor('service:firebase-outbox', 'Unit | Service | firebase outbox | update', {
+  needs: [ 'service:firebase', 'service:firebase-app' ],
+
+  beforeEach() {
+    stubFirebase();
+    this.ref = createOfflineRef(getFixtureData());
+    this.firebaseApp = createFirebaseApp('user_a');
+  },
+
+  afterEach() {
+    unStubFirebase();
+    destroyFirebaseApps();
+  },
+});
+
+test('should store the write before updating Firebase', async function(assert) {
+  assert.expect(2);
+
+  // Arrange
+  const storage = createMemoryStorage();
+  const spy = sinon.spy(storage, 'put');
+  const updateSpy = sinon.spy(this.ref, 'update');
+  const service = this.subject({
+    firebase: this.ref,
+    firebaseApp: this.firebaseApp,
+    storage: storage,
+  });
+
+  // Act
+  await service.update({ 'users/user_a/name': 'Foo' });
+
+  // Assert
+  assert.ok(spy.calledBefore(updateSpy));
+  assert.ok(updateSpy.calledWith({ 'users/user_a/name': 'Foo' }));
+});
+
+test('should remove the write from the storage once acknowledged', async function(assert) {
+  assert.expect(2);
+
+  // Arrange
+  const storage = createMemoryStorage();
+  const service = this.subject({
+    firebase: this.ref,
+    firebaseApp: this.firebaseApp,
+    storage: storage,
+  });
+
+  // Act
+  await service.update({ 'users/user_a/name': 'Foo' });
+
+  // Assert
+  assert.deepEqual(storage.storedEntries, {});
+  assert.equal(service.get('pendingWriteCount'), 0);
+});
+
+test('should keep track of failed writes', async function(assert) {
+  assert.expect(3);
+
+  // Arrange
+  const storage = createMemoryStorage();
+  const service = this.subject({
+    firebase: {
+      push: sinon.stub().returns({ key: 'write_a' }),
+      update: sinon.stub().callsArgWith(1, 'PERMISSION_DENIED'),
+    },
+    firebaseApp: this.firebaseApp,
+    storage: storage,
+  });
+
+  // Act
+  try {
+    await service.update({ 'users/user_a/name': 'Foo' });
+  } catch (error) {
+    assert.equal(error, 'PERMISSION_DENIED');
+  }
+
+  // Assert
+  assert.equal(service.get('failedWriteCount'), 1);
+  assert.deepEqual(service.get('failedWrites.firstObject'), {
+    id: 'write_a',
+    uid: 'user_a',
+    fanout: { 'users/user_a/name': 'Foo' },
+    error: 'PERMISSION_DENIED',
+  });
+});
+
+test('should keep failed writes in the storage', async function(assert) {
+  assert.expect(1);
+
+  // Arrange
+  const storage = createMemoryStorage();
+  const service = this.subject({
+    firebase: {
+      push: sinon.stub().returns({ key: 'write_a' }),
+      update: sinon.stub().callsArgWith(1, 'PERMISSION_DENIED'),
+    },
+    firebaseApp: this.firebaseApp,
+    storage: storage,
+  });
+
+  // Act
+  await service.update({ 'users/user_a/name': 'Foo' }).catch(() => {});
+
+  // Assert
+  assert.deepEqual(storage.storedEntries, {
+    write_a: {
+      id: 'write_a',
+      uid: 'user_a',
+      fanout: { 'users/user_a/name': 'Foo' },
+      failed: true,
+      error: { code: undefined, message: 'PERMISSION_DENIED' },
+    },
+  });
+});
+
+test('should keep track of writes that Firebase throws on', async function(assert) {
+  assert.expect(3);
+
+  // Arrange
+  const storage = createMemoryStorage();
+  const service = this.subject({
+    firebase: {
+      push: sinon.stub().returns({ key: 'write_a' }),
+      update: sinon.stub().throws(new Error('Invalid value')),
+    },
+    firebaseApp: this.firebaseApp,
+    storage: storage,
+  });
+
+  // Act
+  try {
+    await service.update({ 'users/user_a/name': undefined });
+  } catch (error) {
+    assert.ok(error instanceof InvalidError);
+  }
+
+  // Assert
+  assert.equal(service.get('failedWriteCount'), 1);
+  assert.ok(storage.storedEntries.write_a.failed);
+});
+
+test('should not wait for a signed in user in FastBoot', async function(assert) {
+  assert.expect(2);
+
+  // Arrange
+  const storage = createMemoryStorage();
+  const spy = sinon.spy();
+  const service = this.subject({
+    fastboot: EmberObject.create({ isFastBoot: true }),
+    firebase: this.ref,
+    firebaseApp: { auth: spy },
+    storage: storage,
+  });
+
+  // Act
+  await service.update({ 'users/user_a/name': 'Foo' });
+
+  // Assert
+  assert.ok(spy.notCalled);
+  assert.deepEqual(storage.storedEntries, {});
+});
+
+test('should take over a failed write of the same fanout', async function(assert) {
+  assert.expect(3);
+
+  // Arrange
+  const storage = createMemoryStorage();
+  const push = sinon.stub();
+  const update = sinon.stub();
+
+  push.onFirstCall().returns({ key: 'write_a' });
+  push.onSecondCall().returns({ key: 'write_b' });
+  update.onFirstCall().callsArgWithAsync(1, 'PERMISSION_DENIED');
+  update.onSecondCall().callsArgWithAsync(1, null);
+
+  const service = this.subject({
+    firebase: { push: push, update: update },
+    firebaseApp: this.firebaseApp,
+    storage: storage,
+  });
+
+  await service.update({ 'users/user_a/name': 'Foo' }).catch(() => {});
+
+  // Act
+  await service.update({ 'users/user_a/name': 'Foo' });
+
+  // Assert
+  assert.ok(push.calledOnce);
+  assert.equal(service.get('failedWriteCount'), 0);
+  assert.deepEqual(storage.storedEntries, {});
+});
+
+test('should keep a single failed write once retrying gives up', async function(assert) {
+  assert.expect(2);
+
+  // Arrange
+  const unavailableError = new Error(
+      'UNAVAILABLE: The service is unavailable');
+
+  unavailableError.code = 'UNAVAILABLE';
+
+  const storage = createMemoryStorage();
+  const push = sinon.stub();
+
+  push.onFirstCall().returns({ key: 'write_a' });
+  push.onSecondCall().returns({ key: 'write_b' });
+  push.onThirdCall().returns({ key: 'write_c' });
+
+  const service = this.subject({
+    firebase: {
+      push: push,
+      update: sinon.stub().callsArgWithAsync(1, unavailableError),
+    },
+    firebaseApp: this.firebaseApp,
+    storage: storage,
+  });
+  const firebaseRetry = FirebaseRetry.create({ baseDelay: 0 });
+
+  // Act
+  await firebaseRetry.run(() => {
+    return service.update({ 'users/user_a/name': 'Foo' });
+  }).catch(() => {});
+
+  // Assert
+  assert.equal(service.get('failedWriteCount'), 1);
+  assert.deepEqual(Object.keys(storage.storedEntries), [ 'write_a' ]);
+});
+
+test('should write after the writes left over from the previous session', async function(assert) {
+  assert.expect(1);
+
+  // Arrange
+  const storage = createMemoryStorage([
+    {
+      id: '-write_a',
+      uid: 'user_a',
+      fanout: { 'users/user_a/name': 'Foo' },
+    },
+  ]);
+  const spy = sinon.spy(this.ref, 'update');
+  const service = this.subject({
+    firebase: this.ref,
+    firebaseApp: this.firebaseApp,
+    storage: storage,
+  });
+
+  // Act
+  service.replay();
+  await service.update({ 'users/user_a/name': 'Bar' });
+
+  // Assert
+  assert.deepEqual(spy.args.map((args) => args[0]), [
+    { 'users/user_a/name': 'Foo' },
+    { 'users/user_a/name': 'Bar' },
+  ]);
+});
+
+test('should remove cleared failed writes from the storage', async function(assert) {
+  assert.expect(2);
+
+  // Arrange
+  const storage = createMemoryStorage();
+  const service = this.subject({
+    firebase: {
+      push: sinon.stub().returns({ key: 'write_a' }),
+      update: sinon.stub().callsArgWith(1, 'PERMISSION_DENIED'),
+    },
+    firebaseApp: this.firebaseApp,
+    storage: storage,
+  });
+
+  await service.update({ 'users/user_a/name': 'Foo' }).catch(() => {});
+
+  // Act
+  await service.clearFailedWrites();
+
+  // Assert
+  assert.equal(service.get('failedWriteCount'), 0);
+  assert.deepEqual(storage.storedEntries, {});
+});
+
+moduleFor('service:firebase-outbox', 'Unit | Service | firebase outbox | replay', {
+  needs: [ 'service:firebase', 'service:firebase-app' ],
+
+  beforeEach() {
+    stubFirebase();
+    this.ref = createOfflineRef(getFixtureData());
+    this.firebaseApp = createFirebaseApp('user_a');
+  },
+
+  afterEach() {
+    unStubFirebase();
+    destroyFirebaseApps();
+  },
+});
+
+test('should write the stored writes in order', async function(assert) {
+  assert.expect(2);
+
+  // Arrange
+  const storage = createMemoryStorage([
+    {
+      id: 'write_b',
+      uid: 'user_a',
+      fanout: { 'users/user_a/name': 'Bar' },
+    },
+    {
+      id: 'write_a',
+      uid: 'user_a',
+      fanout: { 'users/user_a/name': 'Foo' },
+    },
+  ]);
+  const spy = sinon.spy(this.ref, 'update');
+  const service = this.subject({
+    firebase: this.ref,
+    firebaseApp: this.firebaseApp,
+    storage: storage,
+  });
+
+  // Act
+  await service.replay();
+
+  // Assert
+  assert.deepEqual(spy.args.map((args) => args[0]), [
+    { 'users/user_a/name': 'Foo' },
+    { 'users/user_a/name': 'Bar' },
+  ]);
+  assert.deepEqual(storage.storedEntries, {});
+});
+
+test('should restore failed writes without writing them again', async function(assert) {
+  assert.expect(2);
+
+  // Arrange
+  const failedWrite = {
+    id: 'write_a',
+    uid: 'user_a',
+    fanout: { 'users/user_a/name': 'Foo' },
+    error: { code: 'PERMISSION_DENIED', message: 'Permission denied' },
+  };
+  const storage = createMemoryStorage([
+    assign({ failed: true }, failedWrite),
+  ]);
+  const spy = sinon.spy(this.ref, 'update');
+  const service = this.subject({
+    firebase: this.ref,
+    firebaseApp: this.firebaseApp,
+    storage: storage,
+  });
+
+  // Act
+  await service.replay();
+
+  // Assert
+  assert.ok(spy.notCalled);
+  assert.deepEqual(service.get('failedWrites').toArray(), [ failedWrite ]);
+});
+
+test('should leave the writes of other users in the storage', async function(assert) {
+  assert.expect(3);
+
+  // Arrange
+  const failedWrite = {
+    id: 'write_b',
+    uid: 'user_b',
+    fanout: { 'users/user_b/name': 'Bar' },
+    failed: true,
+    error: { code: 'PERMISSION_DENIED', message: 'Permission denied' },
+  };
+  const pendingWrite = {
+    id: 'write_a',
+    uid: 'user_b',
+    fanout: { 'users/user_b/name': 'Foo' },
+  };
+  const storage = createMemoryStorage([ pendingWrite, failedWrite ]);
+  const spy = sinon.spy(this.ref, 'update');
+  const service = this.subject({
+    firebase: this.ref,
+    firebaseApp: this.firebaseApp,
+    storage: storage,
+  });
+
+  // Act
+  await service.replay();
+
+  // Assert
+  assert.ok(spy.notCalled);
+  assert.equal(service.get('failedWriteCount'), 0);
+  assert.deepEqual(storage.storedEntries, {
+    write_a: pendingWrite,
+    write_b: failedWrite,
+  });
+});
+
+test('should wait for the signed in user to be restored before writing', async function(assert) {
+  assert.expect(2);
+
+  // Arrange
+  const storage = createMemoryStorage([
+    {
+      id: 'write_a',
+      uid: 'user_a',
+      fanout: { 'users/user_a/name': 'Foo' },
+    },
+  ]);
+  const spy = sinon.spy(this.ref, 'update');
+  const auth = { currentUser: null, onAuthStateChanged: sinon.stub() };
+  const service = this.subject({
+    firebase: this.ref,
+    firebaseApp: { auth: () => auth },
+    storage: storage,
+  });
+
+  // Act
+  const replay = service.replay();
+
+  await RSVP.resolve();
+
+  const isCalledBeforeAuth = spy.called;
+
+  auth.currentUser = { uid: 'user_a' };
+  auth.onAuthStateChanged.args[0][0](auth.currentUser);
+  await replay;
+
+  // Assert
+  assert.notOk(isCalledBeforeAuth);
+  assert.ok(spy.calledWith({ 'users/user_a/name': 'Foo' }));
+});
+
+test('should write the stored writes of a user who signs in later', async function(assert) {
+  assert.expect(2);
+
+  // Arrange
+  const storage = createMemoryStorage([
+    {
+      id: 'write_a',
+      uid: 'user_b',
+      fanout: { 'users/user_b/name': 'Foo' },
+    },
+  ]);
+  const spy = sinon.spy(this.ref, 'update');
+  const service = this.subject({
+    firebase: this.ref,
+    firebaseApp: this.firebaseApp,
+    storage: storage,
+  });
+  const auth = this.firebaseApp.auth();
+
+  sinon.spy(auth, 'onAuthStateChanged');
+  await service.replay();
+
+  // Act
+  auth.currentUser = { uid: 'user_b' };
+  auth.onAuthStateChanged.args[0][0](auth.currentUser);
+  await service.replay();
+
+  // Assert
+  assert.ok(spy.calledOnce);
+  assert.deepEqual(storage.storedEntries, {});
+});
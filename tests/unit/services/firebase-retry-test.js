@@ -0,0 +1,194 @@
+import { moduleFor, test } from 'ember-qunit';
+import RSVP from 'rsvp';
+
+import sinon from 'sinon';
+
+import FirebaseRetry from 'emberfire-utils/services/firebase-retry';
+
+/**
+ * @param {string} status Status that the server responded with
+ * @param {string} reason
+ * @return {Error} Error that `update()` completes with
+ */
+function createWriteError(status, reason) {
+  const error = new Error(`${status.toUpperCase()}: ${reason}`);
+
+  error.code = status.toUpperCase();
+
+  return error;
+}
+
+/**
+ * @param {function} update Stubbed `firebase.update()`
+ * @return {function} Operation writing a fanout through `update()`
+ */
+function createUpdateOperation(update) {
+  return () => new RSVP.Promise((resolve, reject) => {
+    update({ 'users/user_a/name': 'Foo' }, (error) => {
+      if (error) {
+        reject(error);
+      } else {
+        resolve();
+      }
+    });
+  });
+}
+
+moduleFor('service:firebase-retry', 'Unit | Service | firebase retry | run');
+
+test('should retry retryable errors until the operation succeeds', async function(assert) {
+  assert.expect(1);
+
+  // Arrange
+  const stub = sinon.stub();
+
+  stub.onFirstCall().callsArgWithAsync(
+      1, createWriteError('unavailable', 'The service is unavailable'));
+  stub.onSecondCall().callsArgWithAsync(1, null);
+
+  const service = this.subject({ baseDelay: 0 });
+
+  // Act
+  await service.run(createUpdateOperation(stub));
+
+  // Assert
+  assert.equal(stub.callCount, 2);
+});
+
+test('should retry transactions that lost their connection', async function(assert) {
+  assert.expect(2);
+
+  // Arrange
+  const stub = sinon.stub();
+
+  // Transactions reject with the status and no code
+  stub.onFirstCall().callsFake(() => RSVP.reject(new Error('disconnect')));
+  stub.onSecondCall().callsFake(() => RSVP.resolve('foo'));
+
+  const service = this.subject({ baseDelay: 0 });
+
+  // Act
+  const result = await service.run(stub);
+
+  // Assert
+  assert.equal(result, 'foo');
+  assert.equal(stub.callCount, 2);
+});
+
+test('should not retry errors that are not retryable', async function(assert) {
+  assert.expect(3);
+
+  // Arrange
+  const permissionError = createWriteError(
+      'permission_denied', 'Permission denied');
+  const stub = sinon.stub().callsArgWithAsync(1, permissionError);
+  const spy = sinon.spy();
+  const service = this.subject({ baseDelay: 0, didFail: spy });
+
+  // Act
+  try {
+    await service.run(createUpdateOperation(stub), { method: 'update' });
+  } catch (error) {
+    // Assert
+    assert.equal(error, permissionError);
+    assert.equal(stub.callCount, 1);
+    assert.ok(spy.calledWith(permissionError, {
+      method: 'update',
+      attempts: 1,
+    }));
+  }
+});
+
+test('should give up once the max attempts are reached', async function(assert) {
+  assert.expect(2);
+
+  // Arrange
+  const unavailableError = createWriteError(
+      'unavailable', 'The service is unavailable');
+  const stub = sinon.stub().callsArgWithAsync(1, unavailableError);
+  const spy = sinon.spy();
+  const service = this.subject({
+    baseDelay: 0,
+    maxAttempts: 4,
+    didFail: spy,
+  });
+
+  // Act
+  try {
+    await service.run(createUpdateOperation(stub));
+  } catch (error) {
+    // Assert
+    assert.equal(stub.callCount, 4);
+    assert.ok(spy.calledWith(unavailableError, { attempts: 4 }));
+  }
+});
+
+moduleFor('service:firebase-retry', 'Unit | Service | firebase retry | retryableCodes');
+
+test('should not share the default retryable codes between instances', function(assert) {
+  assert.expect(2);
+
+  // Arrange
+  const service = FirebaseRetry.create();
+  const otherService = FirebaseRetry.create();
+
+  // Act
+  service.get('retryableCodes').push('permission_denied');
+
+  // Assert
+  assert.notOk(otherService.isRetryable(
+      createWriteError('permission_denied', 'Permission denied')));
+  assert.ok(service.isRetryable(
+      createWriteError('permission_denied', 'Permission denied')));
+});
+
+test('should keep the retryable codes it was given', function(assert) {
+  assert.expect(1);
+
+  // Arrange
+  const service = this.subject({ retryableCodes: [ 'too_big' ] });
+
+  // Act
+  const result = service.get('retryableCodes');
+
+  // Assert
+  assert.deepEqual(result, [ 'too_big' ]);
+});
+
+moduleFor('service:firebase-retry', 'Unit | Service | firebase retry | getDelay', {
+  beforeEach() {
+    sinon.stub(Math, 'random').returns(1);
+  },
+
+  afterEach() {
+    Math.random.restore();
+  },
+});
+
+test('should double the delay on every attempt', function(assert) {
+  assert.expect(2);
+
+  // Arrange
+  const service = this.subject({ baseDelay: 1000 });
+
+  // Act
+  const firstResult = service.getDelay(1);
+  const thirdResult = service.getDelay(3);
+
+  // Assert
+  assert.equal(firstResult, 1000);
+  assert.equal(thirdResult, 4000);
+});
+
+test('should not exceed the max delay', function(assert) {
+  assert.expect(1);
+
+  // Arrange
+  const service = this.subject({ baseDelay: 1000, maxDelay: 3000 });
+
+  // Act
+  const result = service.getDelay(5);
+
+  // Assert
+  assert.equal(result, 3000);
+});
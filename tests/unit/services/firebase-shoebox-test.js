@@ -0,0 +1,144 @@
+import { moduleFor, test } from 'ember-qunit';
+import EmberObject from 'ember-object';
+import RSVP from 'rsvp';
+
+import sinon from 'sinon';
+
+/**
+ * @param {boolean} isFastBoot
+ * @param {Object} [shoeboxData={}] Data keyed by shoebox key
+ * @return {Ember.Object} Fake FastBoot service
+ */
+function createFastBoot(isFastBoot, shoeboxData = {}) {
+  return EmberObject.create({
+    isFastBoot: isFastBoot,
+    shoebox: {
+      put: sinon.spy((key, value) => shoeboxData[key] = value),
+      retrieve: (key) => shoeboxData[key],
+    },
+  });
+}
+
+moduleFor('service:firebase-shoebox', 'Unit | Service | firebase shoebox');
+
+test('should put entries in the shoebox when in FastBoot', function(assert) {
+  assert.expect(1);
+
+  // Arrange
+  const shoeboxData = {};
+  const service = this.subject({
+    fastboot: createFastBoot(true, shoeboxData),
+  });
+
+  // Act
+  service.put('findAll:blog-post:{}', { modelName: 'blog-post', records: [] });
+
+  // Assert
+  assert.deepEqual(shoeboxData, {
+    'emberfire-utils': {
+      'findAll:blog-post:{}': { modelName: 'blog-post', records: [] },
+    },
+  });
+});
+
+test('should not put entries in the shoebox when not in FastBoot', function(assert) {
+  assert.expect(1);
+
+  // Arrange
+  const fastboot = createFastBoot(false);
+  const service = this.subject({ fastboot: fastboot });
+
+  // Act
+  service.put('findAll:blog-post:{}', { modelName: 'blog-post', records: [] });
+
+  // Assert
+  assert.ok(fastboot.get('shoebox').put.notCalled);
+});
+
+test('should retrieve an entry only once', function(assert) {
+  assert.expect(2);
+
+  // Arrange
+  const entry = { modelName: 'blog-post', records: [] };
+  const service = this.subject({
+    fastboot: createFastBoot(false, {
+      'emberfire-utils': { 'findAll:blog-post:{}': entry },
+    }),
+  });
+
+  // Act
+  const firstResult = service.retrieve('findAll:blog-post:{}');
+  const secondResult = service.retrieve('findAll:blog-post:{}');
+
+  // Assert
+  assert.equal(firstResult, entry);
+  assert.equal(secondResult, undefined);
+});
+
+test('should push transferred records and track transferred util queries with cacheId', function(assert) {
+  assert.expect(2);
+
+  // Arrange
+  const store = {
+    normalize: (modelName, payload) => ({ data: payload }),
+    push: sinon.spy(),
+  };
+  const firebaseUtil = { query: sinon.spy() };
+  const service = this.subject({
+    store: store,
+    firebaseUtil: firebaseUtil,
+    fastboot: createFastBoot(false, {
+      'emberfire-utils': {
+        'findRecord:blog-post:"blogPosts/post_a"': {
+          modelName: 'blog-post',
+          records: [{ id: 'post_a', message: 'Post A' }],
+        },
+        'util:query:userFeeds/user_a:{"cacheId":"feed"}': {
+          method: 'query',
+          path: 'userFeeds/user_a',
+          options: { cacheId: 'feed' },
+          records: [{ id: 'post_a', value: true }],
+        },
+      },
+    }),
+  });
+
+  // Act
+  service.rehydrate();
+
+  // Assert
+  assert.ok(store.push.calledWith({
+    data: { id: 'post_a', message: 'Post A' },
+  }));
+  assert.ok(firebaseUtil.query.calledWith(
+      'userFeeds/user_a', { cacheId: 'feed' }));
+});
+
+test('should resolve rehydrating when a transferred query fails to be tracked', async function(assert) {
+  assert.expect(1);
+
+  // Arrange
+  const firebaseUtil = {
+    query: sinon.stub().returns(RSVP.reject(new Error('Permission denied'))),
+  };
+  const service = this.subject({
+    store: {},
+    firebaseUtil: firebaseUtil,
+    fastboot: createFastBoot(false, {
+      'emberfire-utils': {
+        'util:query:userFeeds/user_a:{"cacheId":"feed"}': {
+          method: 'query',
+          path: 'userFeeds/user_a',
+          options: { cacheId: 'feed' },
+          records: [],
+        },
+      },
+    }),
+  });
+
+  // Act
+  await service.rehydrate();
+
+  // Assert
+  assert.ok(firebaseUtil.query.calledOnce);
+});
@@ -12,6 +12,13 @@ import unStubFirebase from 'dummy/tests/helpers/unstub-firebase';
 import fixtureData from 'dummy/tests/helpers/fixture-data';
 import stubPromise from 'dummy/tests/helpers/stub-promise';
 
+import { InvalidError } from 'ember-data/adapters/errors';
+import {
+  ForbiddenError,
+  TransactionAbortedError,
+} from 'emberfire-utils/errors';
+import FirebaseRetry from 'emberfire-utils/services/firebase-retry';
+
 const oldFixtureData = {
   'users': {
     'foo': {
@@ -280,6 +287,133 @@ test('should update firebase data', async function(assert) {
   assert.equal(snapshot.val(), 'Foo');
 });
 
+test('should reject with an invalid error when firebase rejects the data', async function(assert) {
+  assert.expect(1);
+
+  // Arrange
+  const service = this.subject({ firebase: this.ref });
+
+  // Act
+  try {
+    await service.update({ 'users/user_a/name': undefined });
+  } catch (error) {
+    // Assert
+    assert.ok(error instanceof InvalidError);
+  }
+});
+
+test('should reject with a forbidden error when permission is denied', function(assert) {
+  assert.expect(2);
+
+  // Arrange
+  const done = assert.async();
+  const permissionError = new Error('PERMISSION_DENIED: Permission denied');
+
+  permissionError.code = 'PERMISSION_DENIED';
+
+  const service = this.subject({
+    firebase: {
+      update(fanout, onComplete) {
+        onComplete(permissionError);
+      },
+    },
+  });
+
+  // Act
+  run(() => {
+    service.update({ 'users/user_a/name': 'Foo' }).catch((error) => {
+      // Assert
+      assert.ok(error instanceof ForbiddenError);
+      assert.equal(error.code, 'PERMISSION_DENIED');
+      done();
+    });
+  });
+});
+
+test('should report the failure once retrying gives up', async function(assert) {
+  assert.expect(3);
+
+  // Arrange
+  const unavailableError = new Error(
+      'UNAVAILABLE: The service is unavailable');
+
+  unavailableError.code = 'UNAVAILABLE';
+
+  const stub = sinon.stub().callsArgWithAsync(1, unavailableError);
+  const spy = sinon.spy();
+  const service = this.subject({
+    firebase: { update: stub },
+    firebaseRetry: FirebaseRetry.create({ baseDelay: 0, didFail: spy }),
+  });
+
+  // Act
+  try {
+    await service.update({ 'users/user_a/name': 'Foo' });
+  } catch (error) {
+    // Assert
+    assert.equal(stub.callCount, 3);
+    assert.ok(spy.calledWith(error, {
+      method: 'update',
+      fanout: { 'users/user_a/name': 'Foo' },
+      attempts: 3,
+    }));
+    assert.equal(error.code, 'UNAVAILABLE');
+  }
+});
+
+moduleFor('service:firebase-util', 'Unit | Service | firebase util | transaction', {
+  needs: [ 'service:firebase', 'service:firebase-app' ],
+});
+
+test('should resolve to the committed record', async function(assert) {
+  assert.expect(2);
+
+  // Arrange
+  const stub = sinon.stub();
+  const service = this.subject({
+    firebase: {
+      child: sinon.stub().returns({
+        transaction(onUpdate, onComplete) {
+          onUpdate(1);
+          onComplete(null, true, { key: 'likes', val: () => 2 });
+        },
+      }),
+    },
+  });
+
+  // Act
+  const result = await service.transaction('posts/post_a/likes', stub);
+
+  // Assert
+  assert.ok(stub.calledWithExactly(1));
+  assert.deepEqual(result, { id: 'likes', value: 2 });
+});
+
+test('should reject with a transaction aborted error when aborted', function(assert) {
+  assert.expect(1);
+
+  // Arrange
+  const done = assert.async();
+  const service = this.subject({
+    firebase: {
+      child: sinon.stub().returns({
+        transaction(onUpdate, onComplete) {
+          onComplete(null, false, null);
+        },
+      }),
+    },
+  });
+
+  // Act
+  run(() => {
+    service.transaction('posts/post_a/likes', () => {}).catch((error) => {
+      // Assert
+      assert.ok(error instanceof TransactionAbortedError);
+      done();
+    });
+  });
+});
+
 moduleFor('service:firebase-util', 'Unit | Service | firebase util | queryRecord', {
   needs: [ 'service:firebase', 'service:firebase-app' ],
 
@@ -562,6 +696,47 @@ test('should return records matching the limitToLast param', async function(asse
   }]);
 });
 
+test('should return records that matches the where query', async function(assert) {
+  assert.expect(1);
+
+  // Arrange
+  const service = this.subject({ firebase: this.ref });
+
+  // Act
+  const result = await service.query('comments/post_a', {
+    where: { message: 'Comment B' },
+  });
+
+  // Assert
+  assert.deepEqual(result, [{
+    id: 'comment_b',
+    message: 'Comment B',
+    timestamp: 1483228800000,
+    author: 'user_b',
+  }]);
+});
+
+test('should fill the first page with records matching where', async function(assert) {
+  assert.expect(1);
+
+  // Arrange
+  const service = this.subject({ firebase: this.ref });
+
+  // Act
+  const result = await service.query('comments/post_a', {
+    limitToFirst: 1,
+    where: { message: 'Comment B' },
+  });
+
+  // Assert
+  assert.deepEqual(result, [{
+    id: 'comment_b',
+    message: 'Comment B',
+    timestamp: 1483228800000,
+    author: 'user_b',
+  }]);
+});
+
 test('should return no records when nothing matches the query', async function(assert) {
   assert.expect(1);
 
@@ -629,6 +804,32 @@ test('should update query record in realtime when cacheId is provided', async fu
   }]);
 });
 
+test('should keep query array filtered by where in realtime when cacheId is provided', async function(assert) {
+  assert.expect(1);
+
+  // Arrange
+  const service = this.subject({ firebase: this.ref });
+
+  // Act
+  const result = await service.query('comments/post_a', {
+    cacheId: 'cache_id',
+    where: { message: 'Comment A' },
+  });
+
+  await service.update({
+    'comments/post_a/comment_a/message': 'Foo',
+    'comments/post_a/comment_b/message': 'Comment A',
+  });
+
+  // Assert
+  assert.deepEqual(result, [{
+    id: 'comment_b',
+    message: 'Comment A',
+    timestamp: 1483228800000,
+    author: 'user_b',
+  }]);
+});
+
 test('should return cached records when available', async function(assert) {
   assert.expect(1);
 
@@ -682,6 +883,43 @@ test('should load next limitToFirst records when requesting it', async function(
   }]);
 });
 
+test('should keep loading next records until they are filled with records matching where', async function(assert) {
+  assert.expect(1);
+
+  // Arrange
+  const service = this.subject({ firebase: this.ref });
+
+  await service.update({
+    'comments/post_a/comment_c': {
+      message: 'Comment C',
+      timestamp: 1483228800000,
+      author: 'user_b',
+    },
+  });
+
+  // Act
+  const result = await service.query('comments/post_a', {
+    cacheId: 'cache_id',
+    limitToFirst: 1,
+    where: { message: { in: [ 'Comment A', 'Comment C' ] } },
+  });
+
+  await service.next('cache_id', 1);
+
+  // Assert
+  assert.deepEqual(result, [{
+    id: 'comment_a',
+    message: 'Comment A',
+    timestamp: 1483228800000,
+    author: 'user_b',
+  }, {
+    id: 'comment_c',
+    message: 'Comment C',
+    timestamp: 1483228800000,
+    author: 'user_b',
+  }]);
+});
+
 test('should load next limitToLast records when requesting it', async function(assert) {
   assert.expect(1);
 
@@ -1009,6 +1247,103 @@ test('should return false when record does not exist', async function(assert) {
   assert.equal(result, false);
 });
 
+moduleFor('service:firebase-util', 'Unit | Service | firebase util | findHistory', {
+  needs: [ 'service:firebase', 'service:firebase-app' ],
+
+  beforeEach() {
+    const data = fixtureData();
+
+    data.history = {
+      'blog-post': {
+        post_a: {
+          entry_a: {
+            event: 'create',
+            changes: { message: { newValue: 'Post' } },
+            uid: 'user_a',
+            timestamp: 1483228800000,
+          },
+          entry_b: {
+            event: 'update',
+            changes: { message: { oldValue: 'Post', newValue: 'Post A' } },
+            uid: 'user_b',
+            timestamp: 1483228900000,
+          },
+        },
+      },
+    };
+
+    stubFirebase();
+    this.ref = createOfflineRef(data);
+    this.store = {
+      adapterFor: () => ({
+        pathForHistory: (modelName, id) => `history/${modelName}/${id}`,
+      }),
+    };
+  },
+
+  afterEach() {
+    unStubFirebase();
+    destroyFirebaseApps();
+  },
+});
+
+test('should return the history entries of a record', async function(assert) {
+  assert.expect(1);
+
+  // Arrange
+  const service = this.subject({ firebase: this.ref, store: this.store });
+
+  // Act
+  const result = await service.findHistory('blog-post', 'post_a');
+
+  // Assert
+  assert.deepEqual(result, [{
+    id: 'entry_a',
+    event: 'create',
+    changes: { message: { newValue: 'Post' } },
+    uid: 'user_a',
+    timestamp: 1483228800000,
+  }, {
+    id: 'entry_b',
+    event: 'update',
+    changes: { message: { oldValue: 'Post', newValue: 'Post A' } },
+    uid: 'user_b',
+    timestamp: 1483228900000,
+  }]);
+});
+
+test('should return no history entries when a record has none', async function(assert) {
+  assert.expect(1);
+
+  // Arrange
+  const service = this.subject({ firebase: this.ref, store: this.store });
+
+  // Act
+  const result = await service.findHistory('blog-post', 'post_b');
+
+  // Assert
+  assert.deepEqual(result, []);
+});
+
+test('should reject when the adapter does not write history entries', async function(assert) {
+  assert.expect(1);
+
+  // Arrange
+  const service = this.subject({
+    firebase: this.ref,
+    store: { adapterFor: () => ({}) },
+  });
+
+  try {
+    // Act
+    await service.findHistory('blog-post', 'post_a');
+  } catch (error) {
+    // Assert
+    assert.equal(error.message, 'The adapter for blog-post doesn\'t ' +
+        'write history entries. Use Adapter.FirebaseFlex instead.');
+  }
+});
+
 moduleFor('service:firebase-util', 'Unit | Service | firebase util | findRecord', {
   needs: [ 'service:firebase', 'service:firebase-app' ],
 
@@ -17,6 +17,49 @@ test('should serialize to Firebase server value timestamp', function(assert) {
   assert.deepEqual(result, firebase.database.ServerValue.TIMESTAMP);
 });
 
+test('should serialize to Firebase server value timestamp in created and updated modes', function(assert) {
+  assert.expect(2);
+
+  // Arrange
+  const transform = this.subject();
+
+  // Act
+  const createdResult = transform.serialize(new Date(), { mode: 'created' });
+  const updatedResult = transform.serialize(new Date(), { mode: 'updated' });
+
+  // Assert
+  assert.deepEqual(createdResult, firebase.database.ServerValue.TIMESTAMP);
+  assert.deepEqual(updatedResult, firebase.database.ServerValue.TIMESTAMP);
+});
+
+test('should serialize date to milliseconds in value mode', function(assert) {
+  assert.expect(1);
+
+  // Arrange
+  const transform = this.subject();
+
+  // Act
+  const result = transform.serialize(new Date('2017-01-01'), {
+    mode: 'value',
+  });
+
+  // Assert
+  assert.equal(result, 1483228800000);
+});
+
+test('should serialize empty value to null in value mode', function(assert) {
+  assert.expect(1);
+
+  // Arrange
+  const transform = this.subject();
+
+  // Act
+  const result = transform.serialize(null, { mode: 'value' });
+
+  // Assert
+  assert.equal(result, null);
+});
+
 test('should deserialize to date', function(assert) {
   assert.expect(1);
 
@@ -0,0 +1,28 @@
+import { module, test } from 'qunit';
+
+import { copyOf, increment, isIncludeValue } from 'emberfire-utils/utils/include-value';
+
+module('Unit | Utility | include value');
+
+test('should create include values', function(assert) {
+  assert.expect(3);
+
+  // Act
+  const result = increment();
+
+  // Assert
+  assert.ok(isIncludeValue(result));
+  assert.equal(result.get('type'), 'increment');
+  assert.equal(result.get('argument'), 1);
+});
+
+test('should not treat plain objects as include values', function(assert) {
+  assert.expect(2);
+
+  // Act
+  const result = isIncludeValue({ type: 'copyOf', argument: 'message' });
+
+  // Assert
+  assert.notOk(result);
+  assert.ok(isIncludeValue(copyOf('message')));
+});
@@ -0,0 +1,37 @@
+import { module, test } from 'qunit';
+
+import resolvePathTemplate from 'emberfire-utils/utils/path-template';
+
+module('Unit | Utility | path template');
+
+test('should replace placeholders with their values', function(assert) {
+  assert.expect(1);
+
+  // Arrange
+  const values = { 'tenant.id': 'tenant_a', 'id': 'post_a' };
+
+  // Act
+  const result = resolvePathTemplate('tenants/:tenant.id/posts/:id', (name) => {
+    return values[name];
+  });
+
+  // Assert
+  assert.equal(result, 'tenants/tenant_a/posts/post_a');
+});
+
+test('should leave paths without placeholders as is', function(assert) {
+  assert.expect(1);
+
+  // Act
+  const result = resolvePathTemplate('blogPosts', () => 'foo');
+
+  // Assert
+  assert.equal(result, 'blogPosts');
+});
+
+test('should throw when a placeholder has no value', function(assert) {
+  assert.expect(1);
+
+  // Act & Assert
+  assert.throws(() => resolvePathTemplate('tenants/:tenantId', () => {}));
+});
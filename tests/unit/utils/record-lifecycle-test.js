@@ -0,0 +1,69 @@
+import { moduleForModel, test } from 'ember-qunit';
+import EmberObject from 'ember-object';
+import run from 'ember-runloop';
+
+import sinon from 'sinon';
+
+import {
+  onDestroy,
+  onRecordUnload,
+} from 'emberfire-utils/utils/record-lifecycle';
+
+moduleForModel('blog-post', 'Unit | Utility | record lifecycle', {
+  needs: [ 'model:user', 'transform:timestamp' ],
+});
+
+test('should call back with the ID of an unloaded record', function(assert) {
+  assert.expect(2);
+
+  // Arrange
+  const store = this.store();
+  const spy = sinon.spy();
+  const post = run(() => store.push({
+    data: { id: 'post_a', type: 'blog-post', attributes: {} },
+  }));
+
+  onRecordUnload(store, 'blog-post', spy);
+
+  // Act
+  run(() => store.unloadRecord(post));
+
+  // Assert
+  assert.ok(spy.calledOnce);
+  assert.ok(spy.calledWithExactly('post_a'));
+});
+
+test('should call back once a record array gets destroyed', function(assert) {
+  assert.expect(2);
+
+  // Arrange
+  const store = this.store();
+  const spy = sinon.spy();
+  const recordArray = run(() => store.peekAll('blog-post'));
+
+  onDestroy(recordArray, spy);
+  onDestroy(recordArray, spy);
+
+  // Act
+  run(() => recordArray.destroy());
+
+  // Assert
+  assert.ok(spy.calledOnce);
+  assert.ok(spy.calledWithExactly(recordArray));
+});
+
+test('should still call the object\'s own willDestroy', function(assert) {
+  assert.expect(1);
+
+  // Arrange
+  const spy = sinon.spy();
+  const object = EmberObject.extend({ willDestroy: spy }).create();
+
+  onDestroy(object, () => {});
+
+  // Act
+  run(() => object.destroy());
+
+  // Assert
+  assert.ok(spy.calledOnce);
+});
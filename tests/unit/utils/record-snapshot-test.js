@@ -0,0 +1,51 @@
+import { moduleForModel, test } from 'ember-qunit';
+import run from 'ember-runloop';
+
+import createRecordSnapshot from 'emberfire-utils/utils/record-snapshot';
+
+moduleForModel('blog-post', 'Unit | Utility | record snapshot', {
+  needs: [ 'model:user', 'transform:timestamp' ],
+
+  beforeEach() {
+    const store = this.store();
+
+    this.post = run(() => store.push({
+      data: {
+        id: 'post_a',
+        type: 'blog-post',
+        attributes: { message: 'Post A' },
+        relationships: {
+          author: { data: { id: 'user_a', type: 'user' } },
+        },
+      },
+    }));
+  },
+});
+
+test('should read the attributes and relationships of a record', function(assert) {
+  assert.expect(6);
+
+  // Act
+  const result = createRecordSnapshot(this.post, { path: 'blogPosts' });
+
+  // Assert
+  assert.equal(result.id, 'post_a');
+  assert.equal(result.modelName, 'blog-post');
+  assert.deepEqual(result.adapterOptions, { path: 'blogPosts' });
+  assert.equal(result.attr('message'), 'Post A');
+  assert.equal(result.belongsTo('author', { id: true }), 'user_a');
+  assert.equal(result.belongsTo('author'), null);
+});
+
+test('should iterate over the attributes of a record', function(assert) {
+  assert.expect(1);
+
+  // Arrange
+  const result = [];
+
+  // Act
+  createRecordSnapshot(this.post).eachAttribute((key) => result.push(key));
+
+  // Assert
+  assert.deepEqual(result, [ 'message', 'timestamp', 'innerReferencePath' ]);
+});
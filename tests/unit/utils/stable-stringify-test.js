@@ -0,0 +1,37 @@
+import { module, test } from 'qunit';
+
+import stableStringify from 'emberfire-utils/utils/stable-stringify';
+
+module('Unit | Utility | stable stringify');
+
+test('should give the same JSON regardless of the order of keys', function(assert) {
+  assert.expect(2);
+
+  // Act
+  const result = stableStringify({
+    limitToFirst: 10,
+    where: { status: 'published', author: 'user_a' },
+    orderBy: 'timestamp',
+  });
+
+  // Assert
+  assert.equal(result, stableStringify({
+    orderBy: 'timestamp',
+    limitToFirst: 10,
+    where: { author: 'user_a', status: 'published' },
+  }));
+  assert.equal(
+      result,
+      '{"limitToFirst":10,"orderBy":"timestamp",' +
+      '"where":{"author":"user_a","status":"published"}}');
+});
+
+test('should keep the order of arrays', function(assert) {
+  assert.expect(1);
+
+  // Act
+  const result = stableStringify({ in: [ 'b', 'a' ] });
+
+  // Assert
+  assert.equal(result, '{"in":["b","a"]}');
+});
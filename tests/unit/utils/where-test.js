@@ -0,0 +1,99 @@
+import { module, test } from 'qunit';
+
+import matchesWhere from 'emberfire-utils/utils/where';
+
+module('Unit | Utility | where', {
+  beforeEach() {
+    this.record = {
+      author: 'user_a',
+      status: 'draft',
+      timestamp: 1483228800000,
+      tags: [ 'ember', 'firebase' ],
+      comments: { comment_a: true },
+    };
+    this.getValue = (name) => this.record[name];
+  },
+});
+
+test('should match values to be equal', function(assert) {
+  assert.expect(2);
+
+  // Act
+  const matchingResult = matchesWhere({
+    author: 'user_a',
+    status: { eq: 'draft' },
+  }, this.getValue);
+  const result = matchesWhere({ author: 'user_b' }, this.getValue);
+
+  // Assert
+  assert.ok(matchingResult);
+  assert.notOk(result);
+});
+
+test('should match values in a list', function(assert) {
+  assert.expect(2);
+
+  // Act
+  const matchingResult = matchesWhere({
+    status: { in: [ 'draft', 'published' ] },
+  }, this.getValue);
+  const result = matchesWhere({
+    status: { in: [ 'published' ] },
+  }, this.getValue);
+
+  // Assert
+  assert.ok(matchingResult);
+  assert.notOk(result);
+});
+
+test('should match values in a range including dates', function(assert) {
+  assert.expect(2);
+
+  // Act
+  const matchingResult = matchesWhere({
+    timestamp: { gte: new Date('2017-01-01'), lt: 1514764800000 },
+  }, this.getValue);
+  const result = matchesWhere({
+    timestamp: { gt: 1483228800000 },
+  }, this.getValue);
+
+  // Assert
+  assert.ok(matchingResult);
+  assert.notOk(result);
+});
+
+test('should match arrays and maps that contain a value', function(assert) {
+  assert.expect(3);
+
+  // Act
+  const arrayResult = matchesWhere({
+    tags: { contains: 'ember' },
+  }, this.getValue);
+  const mapResult = matchesWhere({
+    comments: { contains: 'comment_a' },
+  }, this.getValue);
+  const result = matchesWhere({ tags: { contains: 'foo' } }, this.getValue);
+
+  // Assert
+  assert.ok(arrayResult);
+  assert.ok(mapResult);
+  assert.notOk(result);
+});
+
+test('should throw on unknown operators', function(assert) {
+  assert.expect(1);
+
+  // Act & Assert
+  assert.throws(() => {
+    matchesWhere({ status: { like: 'dr%' } }, this.getValue);
+  });
+});
+
+test('should throw on an in operand that is not an array', function(assert) {
+  assert.expect(1);
+
+  // Act & Assert
+  assert.throws(() => {
+    matchesWhere({ status: { in: 'draft' } }, this.getValue);
+  }, /The in where operator needs an array but got draft/);
+});